@@ -0,0 +1,55 @@
+// VoteSphere embed loader. Every
+//   <script src="https://votes.example.com/embed.js" data-poll-id="42"
+//           data-theme="dark" data-width="100%" data-height="480" async></script>
+// is replaced by an iframe of /embed/42 that grows and shrinks with the poll.
+// Votes in the frame are dispatched on the iframe as a bubbling
+// `votesphere:vote` event with { pollId, choice } as its detail.
+(function () {
+  var script = document.currentScript;
+  var origin = new URL(script ? script.src : '/', window.location.href).origin;
+
+  var toCssSize = function (value) {
+    return /^\d+$/.test(value) ? value + 'px' : value;
+  };
+
+  var frames = [];
+
+  var embed = function (element) {
+    var pollId = element.getAttribute('data-poll-id');
+    if (!pollId) return;
+    var theme = element.getAttribute('data-theme');
+    var url = new URL('/embed/' + encodeURIComponent(pollId), origin);
+    if (theme && theme !== 'light') url.searchParams.set('theme', theme);
+
+    var frame = document.createElement('iframe');
+    frame.src = url.toString();
+    frame.title = 'Poll';
+    frame.loading = 'lazy';
+    frame.style.border = '0';
+    frame.style.width = toCssSize(element.getAttribute('data-width') || '100%');
+    frame.style.height = toCssSize(element.getAttribute('data-height') || '480');
+    element.setAttribute('data-embedded', '');
+    element.parentNode.insertBefore(frame, element);
+    frames.push(frame);
+  };
+
+  Array.prototype.forEach.call(document.querySelectorAll('script[data-poll-id]:not([data-embedded])'), embed);
+
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (event.origin !== origin || !data || data.source !== 'votesphere') return;
+    var frame = frames.filter(function (candidate) {
+      return candidate.contentWindow === event.source;
+    })[0];
+    if (!frame) return;
+
+    if (data.type === 'resize' && data.height > 0) {
+      frame.style.height = Math.ceil(data.height) + 'px';
+    } else if (data.type === 'vote') {
+      frame.dispatchEvent(new CustomEvent('votesphere:vote', {
+        bubbles: true,
+        detail: { pollId: data.pollId, choice: data.choice }
+      }));
+    }
+  });
+})();
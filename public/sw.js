@@ -0,0 +1,124 @@
+// VoteSphere service worker, registered by src/pwa.js as sw.js?api=<API base URL>.
+//  - App shell: pages and branding.json are loaded from the network and fall
+//    back to the cache; scripts, styles, images and fonts are served from the
+//    cache once loaded (the build gives them hashed names).
+//  - Polls API: GET requests for the poll list and single polls are
+//    stale-while-revalidate. A stored copy is served right away, with an
+//    `X-Cached-At` header holding the time it was stored, while the network
+//    answer replaces it in the background. Requests made with
+//    `cache: 'no-store'` (reloads after a write, edit conflicts) always go to
+//    the network.
+// Bump VERSION to drop the caches of older versions on activation.
+const VERSION = 'v3';
+const SHELL_CACHE = `votesphere-shell-${VERSION}`;
+const API_CACHE = `votesphere-api-${VERSION}`;
+
+const scope = new URL(self.registration.scope);
+const apiBase = new URL(self.location).searchParams.get('api')?.replace(/\/+$/, '') || null;
+
+const SHELL_FILES = ['./', './index.html', './manifest.webmanifest', './icon.svg', './branding.json'];
+
+// Only shared poll data is cached, the user's own lists, the health check and
+// the event stream always go to the network
+const isCachedApiRequest = (url) => {
+  if (!apiBase || !`${url.origin}${url.pathname}`.startsWith(apiBase)) return false;
+  const path = url.pathname.slice(new URL(apiBase).pathname.length).replace(/\/$/, '');
+  return path === '' || (/^\/[^/]+$/.test(path) && !['/mine', '/voted', '/health', '/stream', '/vote'].includes(path));
+};
+
+const isShellAsset = (request, url) =>
+  url.origin === scope.origin && ['script', 'style', 'image', 'font', 'manifest'].includes(request.destination);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES.map(file => new URL(file, scope).href)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('votesphere-') && key !== SHELL_CACHE && key !== API_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks for the API cache to be dropped on sign-out
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-polls-cache') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+const withCachedAt = async (response) => {
+  const headers = new Headers(response.headers);
+  headers.set('X-Cached-At', new Date().toISOString());
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+};
+
+// Stores good answers, stamped with the time they were stored
+const refreshApi = async (request) => {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(API_CACHE);
+    await cache.put(request, await withCachedAt(response.clone()));
+  }
+  return response;
+};
+
+// Answers from the cache right away and refreshes it in the background; only
+// the first request for an URL waits for the network
+const staleWhileRevalidateApi = async (event) => {
+  const { request } = event;
+  const cached = await caches.match(request, { cacheName: API_CACHE });
+  if (!cached) return refreshApi(request);
+  event.waitUntil(refreshApi(request).catch(() => {}));
+  return cached;
+};
+
+// Pages are all index.html (the app routes on the client), so they share one entry
+const networkFirst = async (request, cacheKey = request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (isCachedApiRequest(url)) {
+    if (request.cache !== 'no-store') event.respondWith(staleWhileRevalidateApi(event));
+  } else if (request.mode === 'navigate' && url.origin === scope.origin) {
+    event.respondWith(networkFirst(request, new URL('./index.html', scope).href));
+  } else if (url.href === new URL('./branding.json', scope).href) {
+    event.respondWith(networkFirst(request));
+  } else if (isShellAsset(request, url)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
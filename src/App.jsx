@@ -1,7 +1,15 @@
+import { useMatch } from 'react-router-dom'
 import './App.css'
 import VotingApp from './VotingApp'
+import PollEmbed from './PollEmbed'
 
 function App() {
+  // "/embed/:pollId" is a single poll for iframes, without the app around it
+  const embedMatch = useMatch('/embed/:pollId')
+
+  if (embedMatch) {
+    return <PollEmbed pollId={embedMatch.params.pollId} />
+  }
 
   return (
     <>
@@ -0,0 +1,161 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Clock, ExternalLink, Lock, Users } from 'lucide-react';
+import { pollsClient } from './api/pollsClient';
+import { ClientError } from './api/errors';
+import { loadVotedPolls, loadVoterName, saveVotedPoll, saveVoterName } from './storage/votedPolls';
+import { useLiveResults } from './hooks/useLiveResults';
+import { useNow } from './hooks/useNow';
+import { getTotalVotes } from './utils/results';
+import { getCountdownLabel, getPollStatus, hasCountdown } from './utils/pollStatus';
+import { getChosenIndexes } from './utils/pollTypes';
+import { parseEmbedTheme, postToHost } from './utils/embed';
+import PollOptions from './components/PollOptions';
+import VoteComment from './components/VoteComment';
+import { useAuth } from './context/AuthContext';
+import { usePollStore, usePolls } from './context/PollStoreContext';
+import { selectPoll } from './store/pollStore';
+import { useI18n } from './context/I18nContext';
+import { useBranding } from './context/BrandingContext';
+
+// "/embed/:pollId": one poll card for iframes on other pages, without the
+// background, header and create button of the app. `?theme=dark` switches
+// the colors, independent of the theme chosen in the app. Height changes and votes are posted to the host page (see utils/embed).
+const PollEmbed = ({ pollId }) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [searchParams] = useSearchParams();
+  const theme = parseEmbedTheme(searchParams);
+  const { appName } = useBranding();
+  const pollStore = usePollStore();
+  const poll = usePolls(useCallback(state => selectPoll(state, pollId), [pollId]));
+  const [error, setError] = useState(null);
+  const [votedPolls, setVotedPolls] = useState(() => loadVotedPolls());
+  const [comment, setComment] = useState('');
+  const [voterName, setVoterName] = useState(() => loadVoterName());
+  const [message, setMessage] = useState(null); // { text, isError }
+  const rootRef = useRef(null);
+
+  const fetchPoll = useCallback(
+    () => pollsClient.fetchPollById(pollId, { retries: 0 }).then(poll => [poll]),
+    [pollId]
+  );
+  useLiveResults(fetchPoll);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    pollStore.loadPoll(pollId)
+      .catch(error => {
+        console.error('Error fetching poll:', error);
+        if (!cancelled) setError(error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pollStore, pollId]);
+
+  // Lets the host page (or public/embed.js) size the frame to the card
+  useEffect(() => {
+    const element = rootRef.current;
+    const observer = new ResizeObserver(() => postToHost('resize', { pollId, height: element.offsetHeight }));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [pollId]);
+
+  const now = useNow(Boolean(poll && hasCountdown(poll)));
+
+  const renderPoll = () => {
+    const votedEntry = votedPolls[poll.id];
+    const hasVoted = Boolean(votedEntry);
+    const chosenIndexes = votedEntry ? getChosenIndexes(votedEntry.choice ?? votedEntry.optionIndex) : [];
+    const status = getPollStatus(poll, now);
+    const countdown = getCountdownLabel(poll, now, t);
+    const showResults = hasVoted || status === 'closed';
+    const needsSignIn = Boolean(poll.internal) && !user;
+    const isPublic = poll.visibility === 'public';
+    const needsName = isPublic && !user && !voterName.trim();
+    const canVote = !hasVoted && status === 'open' && !needsSignIn && !needsName;
+    const pollUrl = new URL(`/polls/${poll.id}`, window.location.origin).toString();
+
+    const vote = async (choice) => {
+      const extras = isPublic ? { comment: comment.trim() || undefined, voterName: user ? undefined : voterName.trim() } : {};
+      setMessage(null);
+      try {
+        await pollStore.vote(poll.id, choice, extras);
+        setVotedPolls(saveVotedPoll(poll.id, choice));
+        setComment('');
+        setMessage({ text: t('vote.success'), isError: false });
+        postToHost('vote', { pollId: poll.id, choice });
+      } catch (error) {
+        console.error('Error voting:', error);
+        if (error instanceof ClientError && error.status === 409) {
+          setVotedPolls(saveVotedPoll(poll.id, null));
+          setMessage({ text: t('vote.duplicate'), isError: true });
+        } else {
+          setMessage({ text: t('vote.failed'), isError: true });
+        }
+      }
+    };
+
+    return (
+      <>
+        <div className="flex items-center justify-between mb-4 text-sm text-fg-muted">
+          {countdown ? (
+            <span className="inline-flex items-center">
+              {status === 'closed' ? <Lock className="w-4 h-4 me-1" aria-hidden="true" /> : <Clock className="w-4 h-4 me-1" aria-hidden="true" />}
+              {countdown}
+            </span>
+          ) : <span />}
+          <span className="inline-flex items-center">
+            <Users className="w-4 h-4 me-1" aria-hidden="true" />
+            {t('poll.votes', { count: getTotalVotes(poll) })}
+          </span>
+        </div>
+
+        <h1 id={`poll-${poll.id}-question`} className="text-xl font-bold mb-4 text-fg">{poll.question}</h1>
+
+        {needsSignIn && status === 'open' && !hasVoted && (
+          <a href={pollUrl} target="_blank" rel="noopener noreferrer" className="block mb-4 text-sm text-brand-strong hover:text-brand font-semibold">
+            {t('poll.signInToVote')}
+          </a>
+        )}
+
+        {isPublic && !hasVoted && status === 'open' && !needsSignIn && (
+          <VoteComment
+            comment={comment}
+            onCommentChange={setComment}
+            voterName={voterName}
+            onVoterNameChange={(name) => setVoterName(saveVoterName(name))}
+            askName={!user}
+          />
+        )}
+
+        <PollOptions poll={poll} showResults={showResults} canVote={canVote} chosenIndexes={chosenIndexes} onVote={vote} />
+
+        {message && (
+          <p role="status" className={`mt-3 text-sm ${message.isError ? 'text-red-500' : 'text-green-600'}`}>{message.text}</p>
+        )}
+
+        <a href={pollUrl} target="_blank" rel="noopener noreferrer" className="mt-4 inline-flex items-center text-xs hover:underline text-fg-muted">
+          {t('embed.open', { app: appName })}
+          <ExternalLink className="w-3 h-3 ms-1" aria-hidden="true" />
+        </a>
+      </>
+    );
+  };
+
+  return (
+    <div ref={rootRef} className={`${theme} rounded-2xl p-6 bg-surface-raised text-fg`}>
+      {poll ? renderPoll() : error ? (
+        <p className="text-center py-6 text-fg-muted">
+          {error.status === 404 ? t('poll.notFound') : t('poll.loadFailed')}
+        </p>
+      ) : (
+        <p role="status" className="text-center py-6 text-fg-muted">{t('poll.loading')}</p>
+      )}
+    </div>
+  );
+};
+
+export default PollEmbed;
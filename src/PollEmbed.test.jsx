@@ -0,0 +1,52 @@
+import React from 'react';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PollEmbed from './PollEmbed';
+import { SAMPLE_POLLS, createMockBackend } from './test/mockBackend';
+import { renderWithProviders } from './test/renderApp';
+
+let backend;
+let postMessage;
+
+beforeEach(() => {
+  backend = createMockBackend({ polls: SAMPLE_POLLS });
+  vi.stubGlobal('fetch', backend.fetch);
+  // jsdom has no layout, report a fixed height
+  vi.stubGlobal('ResizeObserver', class {
+    constructor(callback) {
+      this.callback = callback;
+    }
+    observe() {
+      this.callback([]);
+    }
+    disconnect() {}
+  });
+  postMessage = vi.fn();
+  vi.stubGlobal('parent', { postMessage });
+});
+
+const messages = (type) => postMessage.mock.calls.map(([message]) => message).filter(message => message.type === type);
+
+describe('PollEmbed', () => {
+  it('shows the poll without the app around it', async () => {
+    renderWithProviders(<PollEmbed pollId="1" />, { route: '/embed/1' });
+    expect(await screen.findByRole('heading', { name: 'Where should we have lunch?' })).toBeInTheDocument();
+    expect(screen.queryByText('Create New Poll')).not.toBeInTheDocument();
+    expect(messages('resize')[0]).toMatchObject({ source: 'votesphere', pollId: '1', height: expect.any(Number) });
+  });
+
+  it('tells the host page about votes', async () => {
+    renderWithProviders(<PollEmbed pollId="1" />, { route: '/embed/1' });
+    const options = await screen.findByRole('group');
+    await userEvent.click(within(options).getByRole('button', { name: /Sushi/ }));
+
+    await waitFor(() => expect(messages('vote')).toEqual([{ source: 'votesphere', type: 'vote', pollId: 1, choice: 1 }]));
+    expect(await screen.findByText('5 votes')).toBeInTheDocument();
+  });
+
+  it('reports polls that do not exist', async () => {
+    renderWithProviders(<PollEmbed pollId="99" />, { route: '/embed/99' });
+    expect(await screen.findByText(/does not exist/)).toBeInTheDocument();
+  });
+});
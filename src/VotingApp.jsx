@@ -1,222 +1,189 @@
-import React, { useState, useEffect } from 'react';
-import { Plus, Vote, TrendingUp, Users, BarChart3, CheckCircle, Delete } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { NavLink, useMatch, useNavigate, useSearchParams } from 'react-router-dom';
+import { Plus, TrendingUp, History } from 'lucide-react';
+import { forgetVotedPoll, loadVotedPolls } from './storage/votedPolls';
+import { loadOwnedPolls, rememberCreatedPoll } from './storage/ownedPolls';
+import { useLiveResults } from './hooks/useLiveResults';
+import { useOutbox } from './hooks/useOutbox';
+import { useVoting } from './hooks/useVoting';
+import { usePollEditor } from './hooks/usePollEditor';
+import { useDeleteWithUndo } from './hooks/useDeleteWithUndo';
+import { useNow } from './hooks/useNow';
+import { usePreferences } from './hooks/usePreferences';
+import { useConnectionHealth } from './hooks/useConnectionHealth';
+import { compareByStatus, hasCountdown } from './utils/pollStatus';
+import { pollToForm } from './utils/pollForm';
+import PollCard from './components/PollCard';
+import PollGrid from './components/PollGrid';
+import PollEditor from './components/PollEditor';
+import PollDetail from './components/PollDetail';
+import PersonalPolls from './components/PersonalPolls';
+import ConnectionBanner from './components/ConnectionBanner';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import PollToolbar from './components/PollToolbar';
+import Pagination from './components/Pagination';
+import ConfirmDialog from './components/ConfirmDialog';
+import DisplaySettings from './components/DisplaySettings';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import EmbedDialog from './components/EmbedDialog';
+import LoginModal from './components/LoginModal';
+import UserMenu from './components/UserMenu';
+import { useAuth } from './context/AuthContext';
+import { useToast } from './context/ToastContext';
+import { useI18n } from './context/I18nContext';
+import { useBranding } from './context/BrandingContext';
+import { usePollStore, usePolls } from './context/PollStoreContext';
+import { FRESH, selectListPolls, selectPoll } from './store/pollStore';
+import { PAGE_SIZE, filterPolls, hasClientFilters, parseQuery, sortPolls, toSearchParams, toServerSort } from './utils/pollQuery';
+
+const selectList = (state) => state.list;
 
 const VotingApp = () => {
-  const [polls, setPolls] = useState([]);
-  const [showCreateForm, setShowCreateForm] = useState(false);
-  const [selectedPoll, setSelectedPoll] = useState(null);
-  const [newPoll, setNewPoll] = useState({
-    question: '',
-    options: [{ voteOption: '', voteCount: 0 }, { voteOption: '', voteCount: 0 }]
-  });
-  const [votedPolls, setVotedPolls] = useState(new Set());
-  const [loading, setLoading] = useState(false);
-  const [notification, setNotification] = useState('');
-  const [error, setError] = useState('');
-  const [retryCount, setRetryCount] = useState(0);
-  const [isOnline, setIsOnline] = useState(navigator.onLine);
-  const [connectionStatus, setConnectionStatus] = useState('checking');
-
-  // API configuration - Remove trailing slash
-  const API_BASE = 'http://localhost:8080/api/polls';
-
-  // API utility functions with error handling and retry logic
-  const apiCall = async (url, options = {}, retries = 3) => {
-    const config = {
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...options.headers
-      },
-      mode: 'cors', // Enable CORS
-      ...options
-    };
-
-    for (let attempt = 0; attempt <= retries; attempt++) {
-      try {
-        console.log(`Making API call to: ${url}`, config); // Debug log
-        const response = await fetch(url, config);
-        
-        console.log(`Response status: ${response.status}`); // Debug log
-        
-        if (!response.ok) {
-          if (response.status >= 500 && attempt < retries) {
-            // Retry on server errors
-            console.log(`Server error, retrying... (${attempt + 1}/${retries})`);
-            await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
-            continue;
-          }
-          throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-        }
-        
-        // Handle empty responses (like for vote endpoint)
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          const data = await response.json();
-          console.log('API response data:', data); // Debug log
-          return data;
-        } else {
-          console.log('Empty or non-JSON response'); // Debug log
-          return null;
-        }
-      } catch (error) {
-        console.error(`API call attempt ${attempt + 1} failed:`, error);
-        if (attempt === retries) {
-          console.error('API call failed after all retries:', error);
-          throw error;
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+  const toast = useToast();
+  const { t, formatDateTime } = useI18n();
+  const branding = useBranding();
+  const [showLogin, setShowLogin] = useState(false);
+  const [preferences, updatePreferences] = usePreferences();
+  const pollStore = usePollStore();
+  const polls = usePolls(selectListPolls);
+  // { totalPages, totalItems } in `page` when the list on screen is one server page, null when it holds every poll
+  const { status: listStatus, page: serverPage, serverPaging, updatedAt: listUpdatedAt } = usePolls(selectList);
+  const loading = listStatus === 'loading';
+  // { [pollId]: { optionIndex, choice, votedAt } }, persisted per backend across reloads
+  const [votedPolls, setVotedPolls] = useState(() => loadVotedPolls());
+  // Polls created from this device, their owner can close them early
+  const [ownedPolls, setOwnedPolls] = useState(() => loadOwnedPolls());
+  // Reachability of the backend, probed on an interval, see api/healthMonitor
+  const health = useConnectionHealth();
+  const connectionStatus = health.status;
+  // Poll whose embed code is shown
+  const [embedPoll, setEmbedPoll] = useState(null);
+  // { userId } of the session a queued write was refused for (401), see useOutbox
+  const [outboxSignInFor, setOutboxSignInFor] = useState(null);
+
+  // Search, filters, sort and page are kept in the URL
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = parseQuery(searchParams);
+  const updateQuery = useCallback((changes) => {
+    // Any change other than the page itself starts again from page 1
+    setSearchParams(current => toSearchParams({ ...parseQuery(current), page: 1, ...changes }));
+  }, [setSearchParams]);
+
+  // One server page at a time, unless a filter only the client can apply is
+  // on: then every poll is loaded and the grid lists all that match
+  const listParams = hasClientFilters(query)
+    ? { all: true, q: query.q, sort: toServerSort(query.sort) }
+    : { page: query.page, size: PAGE_SIZE, q: query.q, sort: toServerSort(query.sort) };
+
+  // The polling fallback refreshes the list on screen
+  const liveMode = useLiveResults(() => pollStore.fetchList(listParams, { retries: 0 }));
+
+  // Routes: "/" poll list, "/polls/new" create form, "/polls/:pollId" single poll,
+  // "/polls/:pollId/edit" edit form (owners only)
+  const navigate = useNavigate();
+  const createMatch = useMatch('/polls/new');
+  const pollMatch = useMatch('/polls/:pollId');
+  const editMatch = useMatch('/polls/:pollId/edit');
+  const showCreateForm = Boolean(createMatch);
+  const editPollId = editMatch?.params.pollId;
+  const detailPollId = createMatch ? null : pollMatch?.params.pollId;
+  // "/my/polls" and "/my/votes" list the signed-in user's polls
+  const myPollsMatch = useMatch('/my/polls');
+  const myVotesMatch = useMatch('/my/votes');
+  const personalView = myPollsMatch ? 'created' : myVotesMatch ? 'voted' : null;
+  // Polls created on this device, or by the signed-in user on any device
+  const isOwner = (poll) => Boolean(ownedPolls[poll.id]) || Boolean(user && poll.createdBy?.id === user.id);
+
+  // Queued writes are replayed once the server is reachable again
+  const outbox = useOutbox({
+    onSent: async (item, result) => {
+      if (item.type === 'create-poll') {
+        pollStore.dispatch({ type: 'created', poll: result });
+        setOwnedPolls(rememberCreatedPoll(result));
+        toast.success(t('outbox.pollCreated'));
+      } else {
+        toast.success(t('outbox.voteSent'));
+        try {
+          await pollStore.loadPoll(item.payload.pollId, FRESH);
+        } catch (error) {
+          console.error('Error refreshing poll after replay:', error);
         }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
       }
-    }
-  };
+    },
+    onConflict: (item, error) => {
+      // Conflict messages stay until dismissed, the user has to know the write was lost
+      if (item.type === 'create-poll') {
+        toast.error(t('outbox.pollFailed', { question: item.payload.question, error: error.message }), { duration: null });
+        return;
+      }
+      const poll = selectPoll(pollStore.getState(), item.payload.pollId);
+      const label = poll ? t('outbox.pollLabel', { question: poll.question }) : t('outbox.unknownPoll');
+      if (error.status === 409) {
+        toast.error(t('outbox.voteDuplicate', { poll: label }), { duration: null });
+      } else {
+        setVotedPolls(forgetVotedPoll(item.payload.pollId));
+        toast.error(error.status === 404
+          ? t('outbox.votePollDeleted', { poll: label })
+          : t('outbox.voteRejected', { poll: label, error: error.message }), { duration: null });
+      }
+    },
+    // The write stays queued, replay waits until someone signs in
+    onUnauthorized: () => {
+      setOutboxSignInFor({ userId });
+      toast.warning(t('outbox.signInRequired'), {
+        key: 'outbox-sign-in',
+        duration: null,
+        action: { label: t('login.submit'), onClick: () => setShowLogin(true) }
+      });
+    },
+  });
+
+  const isDisconnected = connectionStatus === 'offline' || connectionStatus === 'disconnected';
+
+  // Votes from the cards, and the create / edit form (see components/PollEditor)
+  const voting = useVoting({ isDisconnected, outbox, setVotedPolls });
+  const editor = usePollEditor({
+    showCreateForm,
+    editPollId,
+    isOwner,
+    ownedPolls,
+    isDisconnected,
+    outbox,
+    onCreated: (poll) => setOwnedPolls(rememberCreatedPoll(poll)),
+  });
+  // A poll deleted from its own page leaves it for the list
+  const deletion = useDeleteWithUndo({
+    ownedPolls,
+    setOwnedPolls,
+    onConfirmed: () => detailPollId && navigate('/'),
+  });
+  const { pendingDelete } = deletion;
 
   // Fetch all polls from backend
   const fetchPolls = async () => {
-    setLoading(true);
-    setError('');
+    toast.dismiss('load-polls');
     try {
-      const data = await apiCall(API_BASE);
-      setPolls(data || []);
-      setRetryCount(0);
+      await pollStore.loadList(listParams);
     } catch (error) {
       console.error('Error fetching polls:', error);
-      setError('Failed to load polls. Please check your connection and try again.');
-      setPolls([]);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  // Fetch a specific poll by ID
-  const fetchPollById = async (pollId) => {
-    try {
-      const data = await apiCall(`${API_BASE}/${pollId}`);
-      return data;
-    } catch (error) {
-      console.error('Error fetching poll:', error);
-      setError(`Failed to fetch poll details for poll ${pollId}`);
-      throw error;
-    }
-  };
-
-  const deletePollById = async (pollId) => {
-    try {
-      const data = await apiCall(`${API_BASE}/delete/${pollId}`);
-      return data;
-    } catch (error) {
-      console.error('Error deleting poll:', error);
-      setError(`Failed to delete the poll ${pollId}`);
-      throw error;
-    }
-  };
-  const handleDeletePoll = async (pollId) => {
-    try {
-      await deletePollById(pollId);
-      setNotification('Poll deleted successfully!');
-      setPolls(polls.filter(poll => poll.id !== pollId));
-      setTimeout(() => setNotification(''), 3000);
-    } catch (error) {
-      console.error('Error deleting poll:', error);
-      setError('Failed to delete poll. Please try again.');
-      setTimeout(() => setError(''), 3000);
-    }
-  };
-
-  // Create a new poll
-  const createPoll = async () => {
-    if (!newPoll.question.trim()) {
-      setError('Poll question is required');
-      setTimeout(() => setError(''), 3000);
-      return;
-    }
-
-    const validOptions = newPoll.options.filter(opt => opt.voteOption.trim());
-    if (validOptions.length < 2) {
-      setError('At least 2 options are required');
-      setTimeout(() => setError(''), 3000);
-      return;
-    }
-
-    setLoading(true);
-    try {
-      const pollData = {
-        question: newPoll.question.trim(),
-        options: validOptions.map(opt => ({
-          voteOption: opt.voteOption.trim(),
-          voteCount: 0
-        }))
-      };
-
-      const createdPoll = await apiCall(API_BASE, {
-        method: 'POST',
-        body: JSON.stringify(pollData)
-      });
-
-      // Add the new poll to the local state
-      setPolls([createdPoll, ...polls]);
-      
-      // Reset form
-      setNewPoll({
-        question: '',
-        options: [{ voteOption: '', voteCount: 0 }, { voteOption: '', voteCount: 0 }]
+      toast.error(t('polls.loadFailed'), {
+        key: 'load-polls',
+        duration: null,
+        action: { label: t('common.retry'), onClick: () => latestFetchPolls.current() }
       });
-      setShowCreateForm(false);
-      setNotification('Poll created successfully!');
-      setTimeout(() => setNotification(''), 3000);
-    } catch (error) {
-      console.error('Error creating poll:', error);
-      setError('Failed to create poll. Please try again.');
-      setTimeout(() => setError(''), 3000);
-    } finally {
-      setLoading(false);
     }
   };
 
-  // Submit a vote
-  const vote = async (pollId, optionIndex) => {
+  // Close a poll before its end time (owner only)
+  const handleClosePoll = async (pollId) => {
     try {
-      const voteData = {
-        pollId: pollId,
-        optionIndex: optionIndex
-      };
-
-      await apiCall(`${API_BASE}/vote`, {
-        method: 'POST',
-        body: JSON.stringify(voteData)
-      });
-
-      // After successful vote, fetch the updated poll data
-      try {
-        const updatedPoll = await fetchPollById(pollId);
-        
-        // Update the polls array with the new vote counts
-        const updatedPolls = polls.map(poll => 
-          poll.id === pollId ? updatedPoll : poll
-        );
-        setPolls(updatedPolls);
-      } catch (fetchError) {
-        // If we can't fetch updated data, optimistically update the UI
-        const updatedPolls = polls.map(poll => {
-          if (poll.id === pollId) {
-            const updatedOptions = [...poll.options];
-            updatedOptions[optionIndex].voteCount += 1;
-            return { ...poll, options: updatedOptions };
-          }
-          return poll;
-        });
-        setPolls(updatedPolls);
-      }
-      
-      // Mark this poll as voted
-      setVotedPolls(new Set([...votedPolls, pollId]));
-      setNotification('Vote submitted successfully!');
-      setTimeout(() => setNotification(''), 3000);
+      await pollStore.closePoll(pollId, ownedPolls[pollId]?.ownerToken);
+      toast.success(t('close.success'));
     } catch (error) {
-      console.error('Error voting:', error);
-      setError('Failed to submit vote. Please try again.');
-      setTimeout(() => setError(''), 3000);
+      console.error('Error closing poll:', error);
+      toast.error(t('close.failed'), { action: { label: t('common.retry'), onClick: () => handleClosePoll(pollId) } });
     }
   };
 
@@ -225,155 +192,149 @@ const VotingApp = () => {
     await fetchPolls();
   };
 
-  const addOption = () => {
-    setNewPoll({
-      ...newPoll,
-      options: [...newPoll.options, { voteOption: '', voteCount: 0 }]
-    });
-  };
-
-  const removeOption = (index) => {
-    if (newPoll.options.length > 2) {
-      const updatedOptions = newPoll.options.filter((_, i) => i !== index);
-      setNewPoll({ ...newPoll, options: updatedOptions });
+  // Load polls on mount. When the backend pages the list, load again whenever
+  // the page, search, sort or client-side filtering changes; otherwise every
+  // poll is already here.
+  const latestFetchPolls = useRef(fetchPolls);
+  const loadedListKey = useRef(null);
+  const listKey = JSON.stringify(listParams);
+  useEffect(() => {
+    latestFetchPolls.current = fetchPolls;
+  });
+  useEffect(() => {
+    if (loadedListKey.current === null || (serverPaging && loadedListKey.current !== listKey)) {
+      loadedListKey.current = listKey;
+      latestFetchPolls.current();
     }
-  };
-
-  const updateOption = (index, value) => {
-    const updatedOptions = [...newPoll.options];
-    updatedOptions[index].voteOption = value;
-    setNewPoll({ ...newPoll, options: updatedOptions });
-  };
+  }, [listKey, serverPaging]);
 
-  const getTotalVotes = (poll) => {
-    return poll.options.reduce((total, option) => total + option.voteCount, 0);
-  };
-
-  const getVotePercentage = (option, total) => {
-    return total > 0 ? ((option.voteCount / total) * 100).toFixed(1) : 0;
-  };
+  // Load the polls again when the server is back after a failed load
+  const previousConnectionStatus = useRef(connectionStatus);
+  useEffect(() => {
+    const cameBack = connectionStatus === 'connected' && previousConnectionStatus.current !== 'connected';
+    previousConnectionStatus.current = connectionStatus;
+    if (cameBack && pollStore.getState().list.status === 'error') latestFetchPolls.current();
+  }, [connectionStatus, pollStore]);
+
+  // Replay queued votes and polls as soon as the server is reachable again,
+  // and after every successful health probe while some are left (a 5xx or a
+  // timeout stops a replay halfway). Writes that needed a signed-in user wait
+  // until the user changes.
+  const { queue: outboxQueue, replay: replayOutbox } = outbox;
+  const outboxWaitsForSignIn = outboxSignInFor !== null && outboxSignInFor.userId === userId;
+  useEffect(() => {
+    if (connectionStatus === 'connected' && outboxQueue.length > 0 && !outboxWaitsForSignIn) {
+      replayOutbox();
+    }
+  }, [connectionStatus, health.checkedAt, outboxQueue.length, outboxWaitsForSignIn, replayOutbox]);
 
+  // Signing in or out can change which polls the backend returns (internal
+  // polls), and lets queued writes that needed a session try again
+  const previousUserId = useRef(userId);
   useEffect(() => {
-    fetchPolls();
-    
-    // Check connection status
-    const checkConnection = async () => {
-      try {
-        // Use a simple GET request instead of HEAD for connection check
-        await fetch(`${API_BASE}`, { 
-          method: 'GET',
-          mode: 'cors',
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-        setConnectionStatus('connected');
-      } catch (error) {
-        console.error('Connection check failed:', error);
-        setConnectionStatus('disconnected');
-      }
-    };
-    
-    checkConnection();
-    
-    // Listen for online/offline events
-    const handleOnline = () => {
-      setIsOnline(true);
-      setConnectionStatus('checking');
-      checkConnection();
-    };
-    
-    const handleOffline = () => {
-      setIsOnline(false);
-      setConnectionStatus('offline');
-    };
-    
-    window.addEventListener('online', handleOnline);
-    window.addEventListener('offline', handleOffline);
-    
-    return () => {
-      window.removeEventListener('online', handleOnline);
-      window.removeEventListener('offline', handleOffline);
-    };
-  }, []);
+    if (previousUserId.current === userId) return;
+    previousUserId.current = userId;
+    toast.dismiss('outbox-sign-in');
+    latestFetchPolls.current();
+  }, [userId, toast]);
+
+  // Polls created offline are shown from the outbox until they are replayed
+  const pendingPolls = outboxQueue
+    .filter(item => item.type === 'create-poll')
+    .map(item => ({ ...item.payload, id: item.id, pending: true }));
+  const pendingVotes = new Set(outboxQueue.filter(item => item.type === 'vote').map(item => item.payload.pollId));
+  // A poll inside its undo window is hidden as if it were already deleted
+  const allPolls = [...pendingPolls, ...polls].filter(poll => poll.id !== pendingDelete?.id);
+
+  // Tick every second only while some poll has a countdown
+  const now = useNow(allPolls.some(poll => hasCountdown(poll)));
+
+  // Filter and sort, then keep open polls ahead of scheduled and closed ones
+  // (a stable sort, so the chosen order holds within each group)
+  const listedPolls = sortPolls(filterPolls(allPolls, query, { votedPolls, ownedPolls, userId, now }), query.sort, now)
+    .sort((a, b) => compareByStatus(a, b, now));
+  const renderPollCard = (poll, index) => (
+    <PollCard
+      key={poll.id}
+      poll={poll}
+      index={index}
+      now={now}
+      votedEntry={votedPolls[poll.id]}
+      isPending={pendingVotes.has(poll.id)}
+      isOwner={isOwner(poll)}
+      expanded={Boolean(detailPollId)}
+      commentDraft={voting.commentDrafts[poll.id]}
+      onCommentDraftChange={voting.setCommentDraft}
+      voterName={voting.voterName}
+      onVoterNameChange={voting.setVoterName}
+      onVote={voting.vote}
+      onDuplicate={(original) => editor.fillCreateForm(pollToForm(original))}
+      onEmbed={setEmbedPoll}
+      onClose={handleClosePoll}
+      onDelete={deletion.requestDelete}
+      onSignIn={() => setShowLogin(true)}
+    />
+  );
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900">
+    <div className="min-h-screen bg-gradient-to-br from-page-start via-page-middle to-page-end">
+      <a href="#content" className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:start-2 focus:z-50 focus:px-4 focus:py-2 focus:rounded-lg focus:bg-surface-raised focus:text-fg">
+        {t('nav.skipToContent')}
+      </a>
+
       {/* Animated background elements */}
-      <div className="absolute inset-0 overflow-hidden">
-        <div className="absolute -top-4 -right-4 w-72 h-72 bg-purple-300 rounded-full mix-blend-multiply filter blur-xl opacity-20 animate-pulse"></div>
-        <div className="absolute -bottom-8 -left-4 w-72 h-72 bg-cyan-300 rounded-full mix-blend-multiply filter blur-xl opacity-20 animate-pulse delay-1000"></div>
+      <div className="background-blobs absolute inset-0 overflow-hidden" aria-hidden="true">
+        <div className="absolute -top-4 -end-4 w-72 h-72 bg-brand-secondary rounded-full mix-blend-multiply filter blur-xl opacity-20 animate-pulse"></div>
+        <div className="absolute -bottom-8 -start-4 w-72 h-72 bg-brand rounded-full mix-blend-multiply filter blur-xl opacity-20 animate-pulse delay-1000"></div>
         <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 w-72 h-72 bg-pink-300 rounded-full mix-blend-multiply filter blur-xl opacity-20 animate-pulse delay-500"></div>
       </div>
 
       <div className="relative z-10 container mx-auto px-4 py-8">
         {/* Header */}
+        <div className="flex flex-wrap justify-end items-center gap-2 mb-4">
+          <LanguageSwitcher />
+          <DisplaySettings preferences={preferences} onChange={updatePreferences} />
+          <UserMenu onSignIn={() => setShowLogin(true)} />
+        </div>
+
         <div className="text-center mb-12">
-          <h1 className="text-6xl font-bold text-white mb-4 animate-fade-in">
-            <span className="bg-gradient-to-r from-cyan-400 to-purple-400 bg-clip-text text-transparent">
-              VoteSphere
+          <h1 className="flex items-center justify-center text-6xl font-bold text-fg mb-4 animate-fade-in">
+            {branding.logoUrl && <img src={branding.logoUrl} alt="" className="h-16 w-auto me-4" />}
+            <span className="bg-gradient-to-r from-brand to-brand-secondary bg-clip-text text-transparent">
+              {branding.appName}
             </span>
           </h1>
-          <p className="text-xl text-gray-300 animate-fade-in-delay">
-            Create polls, gather opinions, make decisions together
+          <p className="text-xl text-fg-muted animate-fade-in-delay">
+            {branding.tagline || t('app.tagline')}
           </p>
           
-          {/* Connection Status */}
-          {connectionStatus !== 'connected' && (
-            <div className={`mt-4 inline-flex items-center px-4 py-2 rounded-full text-sm font-medium ${
-              connectionStatus === 'offline' 
-                ? 'bg-red-500 text-white' 
-                : connectionStatus === 'disconnected'
-                ? 'bg-yellow-500 text-white'
-                : 'bg-blue-500 text-white'
-            }`}>
-              <div className={`w-2 h-2 rounded-full mr-2 ${
-                connectionStatus === 'offline' 
-                  ? 'bg-red-300' 
-                  : connectionStatus === 'disconnected'
-                  ? 'bg-yellow-300 animate-pulse'
-                  : 'bg-blue-300 animate-pulse'
-              }`}></div>
-              {connectionStatus === 'offline' && 'You are offline'}
-              {connectionStatus === 'disconnected' && 'Server disconnected'}
-              {connectionStatus === 'checking' && 'Checking connection...'}
-            </div>
-          )}
+          <ConnectionBanner status={connectionStatus} />
         </div>
 
-        {/* Notification & Error Messages */}
-        {notification && (
-          <div className="fixed top-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg z-50 animate-slide-in">
-            <div className="flex items-center">
-              <CheckCircle className="w-5 h-5 mr-2" />
-              {notification}
-            </div>
-          </div>
-        )}
-        
-        {error && (
-          <div className="fixed top-4 right-4 bg-red-500 text-white px-6 py-3 rounded-lg shadow-lg z-50 animate-slide-in">
-            <div className="flex items-center justify-between">
-              <span>{error}</span>
-              <button 
-                onClick={() => setError('')}
-                className="ml-4 text-white hover:text-gray-200"
-              >
-                ×
-              </button>
-            </div>
-          </div>
+        {showLogin && <LoginModal onClose={() => setShowLogin(false)} />}
+
+        {embedPoll && <EmbedDialog poll={embedPoll} onClose={() => setEmbedPoll(null)} />}
+
+        {/* Delete confirmation */}
+        {deletion.isConfirming && (
+          <ConfirmDialog
+            title={t('delete.confirmTitle')}
+            message={t('delete.confirmMessage', { question: deletion.confirmPoll?.question })}
+            confirmLabel={t('delete.confirm')}
+            onConfirm={deletion.confirmDelete}
+            onCancel={deletion.cancelDelete}
+          />
         )}
 
         {/* Create Poll Button */}
         <div className="text-center mb-8">
           <div className="flex justify-center space-x-4">
             <button
-              onClick={() => setShowCreateForm(!showCreateForm)}
-              className="bg-gradient-to-r from-cyan-500 to-purple-500 hover:from-cyan-600 hover:to-purple-600 text-white px-8 py-4 rounded-full font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300 flex items-center"
+              onClick={() => navigate('/polls/new')}
+              className="bg-gradient-to-r from-brand to-brand-secondary hover:brightness-110 text-white px-8 py-4 rounded-full font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300 flex items-center"
             >
-              <Plus className="w-5 h-5 mr-2" />
-              Create New Poll
+              <Plus className="w-5 h-5 me-2" aria-hidden="true" />
+              {t('create.button')}
             </button>
             
             <button
@@ -381,208 +342,110 @@ const VotingApp = () => {
               disabled={loading}
               className="bg-gradient-to-r from-green-500 to-teal-500 hover:from-green-600 hover:to-teal-600 text-white px-6 py-4 rounded-full font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300 flex items-center disabled:opacity-50"
             >
-              <TrendingUp className="w-5 h-5 mr-2" />
-              {loading ? 'Refreshing...' : 'Refresh'}
+              <TrendingUp className="w-5 h-5 me-2" aria-hidden="true" />
+              {loading ? t('polls.refreshing') : t('polls.refresh')}
             </button>
           </div>
-        </div>
 
-        {/* Create Poll Form */}
-        {showCreateForm && (
-          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-40 animate-fade-in">
-            <div className="bg-white rounded-2xl p-8 max-w-md w-full mx-4 shadow-2xl transform animate-scale-in">
-              <h2 className="text-2xl font-bold text-gray-800 mb-6">Create New Poll</h2>
-              
-              <div className="mb-6">
-                <label className="block text-gray-700 font-semibold mb-2">Question</label>
-                <input
-                  type="text"
-                  value={newPoll.question}
-                  onChange={(e) => setNewPoll({ ...newPoll, question: e.target.value })}
-                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-300"
-                  placeholder="Enter your poll question..."
-                />
-              </div>
-
-              <div className="mb-6">
-                <label className="block text-gray-700 font-semibold mb-2">Options</label>
-                {newPoll.options.map((option, index) => (
-                  <div key={index} className="flex items-center mb-3">
-                    <input
-                      type="text"
-                      value={option.voteOption}
-                      onChange={(e) => updateOption(index, e.target.value)}
-                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-300"
-                      placeholder={`Option ${index + 1}`}
-                    />
-                    {newPoll.options.length > 2 && (
-                      <button
-                        onClick={() => removeOption(index)}
-                        className="ml-2 text-red-500 hover:text-red-700 transition-colors duration-200"
-                      >
-                        ×
-                      </button>
-                    )}
-                  </div>
-                ))}
-                <button
-                  onClick={addOption}
-                  className="text-purple-500 hover:text-purple-700 font-semibold transition-colors duration-200"
-                >
-                  + Add Option
-                </button>
-              </div>
-
-              <div className="flex space-x-4">
-                <button
-                  onClick={createPoll}
-                  className="flex-1 bg-gradient-to-r from-purple-500 to-pink-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-300"
-                >
-                  Create Poll
-                </button>
-                <button
-                  onClick={() => setShowCreateForm(false)}
-                  className="flex-1 bg-gray-300 text-gray-700 py-3 rounded-lg font-semibold hover:bg-gray-400 transition-colors duration-300"
-                >
-                  Cancel
-                </button>
-              </div>
+          {/* Live results status */}
+          {liveMode !== 'idle' && (
+            <div className="mt-4 inline-flex items-center text-sm text-fg-muted">
+              <span className={`w-2 h-2 rounded-full me-2 ${
+                liveMode === 'stream' ? 'bg-green-400 animate-pulse' : 'bg-yellow-400'
+              }`}></span>
+              {liveMode === 'stream' ? t('live.stream') : t('live.polling')}
             </div>
-          </div>
-        )}
+          )}
+        </div>
 
-        {/* Loading */}
-        {loading && (
-          <div className="text-center py-12">
-            <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-white"></div>
-            <p className="text-white mt-4">Loading polls...</p>
-          </div>
-        )}
+        {/* Create and edit form, with its confirmations */}
+        <PollEditor editor={editor} />
+
+        <main id="content" tabIndex={-1} className="focus:outline-none">
+          {/* Views of the signed-in user */}
+          {user && !detailPollId && (
+            <nav className="flex justify-center space-x-2 mb-8">
+              {[
+                { to: '/', label: t('nav.allPolls') },
+                { to: '/my/polls', label: t('nav.myPolls') },
+                { to: '/my/votes', label: t('nav.myVotes') },
+              ].map(tab => (
+                <NavLink
+                  key={tab.to}
+                  to={tab.to}
+                  end
+                  className={({ isActive }) => `px-4 py-2 rounded-full text-sm font-semibold transition-all duration-300 ${
+                    isActive ? 'bg-surface-hover text-fg shadow' : 'text-fg-muted hover:text-fg'
+                  }`}
+                >
+                  {tab.label}
+                </NavLink>
+              ))}
+            </nav>
+          )}
 
-        {/* Polls Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-          {polls.map((poll, index) => {
-            const totalVotes = getTotalVotes(poll);
-            const hasVoted = votedPolls.has(poll.id);
-            
-            return (
-              <div
-                key={poll.id}
-                className="bg-white bg-opacity-10 backdrop-blur-lg rounded-2xl p-6 shadow-xl hover:shadow-2xl transform hover:scale-105 transition-all duration-300 animate-fade-in"
-                style={{ animationDelay: `${index * 0.1}s` }}
-              >
-                <div className="flex items-center justify-between mb-4">
-                  <Vote className="w-6 h-6 text-cyan-400" />
-                  <div className="flex items-center text-gray-300">
-                    <Users className="w-4 h-4 mr-1" />
-                    <span className="text-sm">{totalVotes} votes</span>
-                  </div>
-                  <Delete onClick={() => handleDeletePoll(poll.id)}  className='text-cyan-400 cursor-pointer hover:text-red-600'/>
+          {detailPollId ? (
+            <PollDetail pollId={detailPollId} votedPolls={votedPolls} now={now} renderCard={renderPollCard} />
+          ) : personalView ? (
+            <PersonalPolls
+              view={personalView}
+              hiddenPollId={pendingDelete?.id}
+              now={now}
+              renderCard={renderPollCard}
+              onSignIn={() => setShowLogin(true)}
+            />
+          ) : (
+            <>
+              <PollToolbar query={query} onChange={updateQuery} />
+
+              {/* Loading */}
+              {loading && (
+                <div className="text-center py-12">
+                  <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-fg"></div>
+                  <p className="text-fg mt-4">{t('polls.loading')}</p>
                 </div>
-
-                <h3 className="text-xl font-bold text-gray-700 mb-6">{poll.question}</h3>
-
-                <div className="space-y-3">
-                  {poll.options.map((option, optionIndex) => {
-                    const percentage = getVotePercentage(option, totalVotes);
-                    
-                    return (
-                      <div key={optionIndex} className="relative">
-                        <button
-                          onClick={() => !hasVoted && vote(poll.id, optionIndex)}
-                          disabled={hasVoted}
-                          className={`w-full text-left p-4 rounded-lg border-2 transition-all duration-300 ${
-                            hasVoted
-                              ? 'bg-gray-100 border-gray-300 cursor-not-allowed'
-                              : 'bg-white bg-opacity-10 border-gray-300 hover:border-cyan-400 hover:bg-opacity-20 cursor-pointer'
-                          }`}
-                        >
-                          <div className="flex justify-between items-center">
-                            <span className="text-gray-700 font-medium">{option.voteOption}</span>
-                            <span className="text-cyan-400 font-bold">{percentage}%</span>
-                          </div>
-                          
-                          {hasVoted && (
-                            <div className="mt-2 bg-gray-200 rounded-full h-2 overflow-hidden">
-                              <div
-                                className="h-full bg-gradient-to-r from-cyan-400 to-purple-400 transition-all duration-1000 ease-out"
-                                style={{ width: `${percentage}%` }}
-                              ></div>
-                            </div>
-                          )}
-                        </button>
-                        
-                        {hasVoted && (
-                          <div className="absolute top-2 right-2">
-                            <div className="bg-green-500 rounded-full p-1">
-                              <CheckCircle className="w-4 h-4 text-white" />
-                            </div>
-                          </div>
-                        )}
-                      </div>
-                    );
-                  })}
+              )}
+
+              {/* Polls kept from the last load while the server is out of reach */}
+              {(isDisconnected || listStatus === 'error') && listUpdatedAt && polls.length > 0 && (
+                <p role="status" className="flex items-center justify-center mb-6 text-sm text-fg-muted">
+                  <History className="w-4 h-4 me-2" aria-hidden="true" />
+                  {t('polls.savedCopy', { time: formatDateTime(listUpdatedAt) })}
+                </p>
+              )}
+
+              {/* Polls Grid */}
+              <PollGrid polls={listedPolls} now={now} splitClosed renderCard={renderPollCard} />
+
+              {serverPage && (
+                <Pagination page={query.page} totalPages={serverPage.totalPages} onChange={(page) => updateQuery({ page })} />
+              )}
+
+              {allPolls.length > 0 && listedPolls.length === 0 && !loading && (
+                <div className="text-center py-12">
+                  <p className="text-xl text-fg-muted">{t('polls.noMatches')}</p>
+                  <button
+                    onClick={() => setSearchParams(new URLSearchParams())}
+                    className="mt-2 text-brand-strong hover:text-brand font-semibold"
+                  >
+                    {t('polls.clearFilters')}
+                  </button>
                 </div>
+              )}
 
-                {hasVoted && (
-                  <div className="mt-4 text-center">
-                    <div className="flex items-center justify-center text-gray-300">
-                      <BarChart3 className="w-4 h-4 mr-1" />
-                      <span className="text-sm">Results visible after voting</span>
-                    </div>
-                  </div>
-                )}
-              </div>
-            );
-          })}
-        </div>
+              {polls.length === 0 && pendingPolls.length === 0 && !loading && listStatus !== 'error' && (
+                <div className="text-center py-12">
+                  <TrendingUp className="w-16 h-16 text-fg-subtle mx-auto mb-4" aria-hidden="true" />
+                  <p className="text-xl text-fg-muted">{t('polls.empty')}</p>
+                  <p className="text-fg-subtle">{t('polls.emptyHint')}</p>
+                </div>
+              )}
+            </>
+          )}
+        </main>
 
-        {polls.length === 0 && !loading && (
-          <div className="text-center py-12">
-            <TrendingUp className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-            <p className="text-xl text-gray-300">No polls available yet.</p>
-            <p className="text-gray-400">Create your first poll to get started!</p>
-          </div>
-        )}
+        <DiagnosticsPanel health={health} />
       </div>
-
-      <style>{`
-        @keyframes fade-in {
-          from { opacity: 0; transform: translateY(20px); }
-          to { opacity: 1; transform: translateY(0); }
-        }
-        
-        @keyframes fade-in-delay {
-          from { opacity: 0; transform: translateY(20px); }
-          to { opacity: 1; transform: translateY(0); }
-        }
-        
-        @keyframes scale-in {
-          from { opacity: 0; transform: scale(0.9); }
-          to { opacity: 1; transform: scale(1); }
-        }
-        
-        @keyframes slide-in {
-          from { opacity: 0; transform: translateX(100%); }
-          to { opacity: 1; transform: translateX(0); }
-        }
-        
-        .animate-fade-in {
-          animation: fade-in 0.6s ease-out;
-        }
-        
-        .animate-fade-in-delay {
-          animation: fade-in-delay 0.6s ease-out 0.3s both;
-        }
-        
-        .animate-scale-in {
-          animation: scale-in 0.3s ease-out;
-        }
-        
-        .animate-slide-in {
-          animation: slide-in 0.3s ease-out;
-        }
-      `}</style>
     </div>
   );
 };
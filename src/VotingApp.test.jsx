@@ -0,0 +1,282 @@
+import React from 'react';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import VotingApp from './VotingApp';
+import { saveOwnedPoll } from './storage/ownedPolls';
+import { SAMPLE_POLLS, createMockBackend } from './test/mockBackend';
+import { renderWithProviders } from './test/renderApp';
+import { apiDiagnostics } from './api/diagnostics';
+
+// Same client as the app, without the waits between retries
+vi.mock('./api/pollsClient', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, pollsClient: actual.createPollsClient({ retryDelay: 0, timeout: 500 }) };
+});
+
+let backend;
+
+beforeEach(() => {
+  backend = createMockBackend({ polls: SAMPLE_POLLS });
+  vi.stubGlobal('fetch', backend.fetch);
+});
+
+const renderApp = (route) => renderWithProviders(<VotingApp />, { route });
+
+const findCard = async (question) => (await screen.findByText(question)).closest('.poll-card');
+
+describe('poll list', () => {
+  it('shows the polls from the backend', async () => {
+    renderApp();
+    expect(await screen.findByText('Where should we have lunch?')).toBeInTheDocument();
+    expect(screen.getByText('Best day for the team meeting?')).toBeInTheDocument();
+  });
+
+  it('keeps the loaded polls with their time when the server goes down', async () => {
+    renderApp();
+    await screen.findByText('Where should we have lunch?');
+    backend.fail({ network: true }, { method: 'GET', path: '', times: Infinity });
+    await userEvent.click(screen.getByRole('button', { name: 'Refresh' }));
+
+    expect(await screen.findByText(/^Showing the polls as of/)).toBeInTheDocument();
+    expect(screen.getByText('Where should we have lunch?')).toBeInTheDocument();
+    expect(screen.queryByText('No polls available yet.')).not.toBeInTheDocument();
+  });
+
+  it('reports a failed load and loads again on retry', async () => {
+    const recover = backend.fail({ status: 503 }, { method: 'GET', path: '', times: Infinity });
+    renderApp();
+
+    expect(await screen.findByText('Failed to load polls. Please check your connection and try again.')).toBeInTheDocument();
+    recover();
+    await userEvent.click(within(screen.getByRole('alert')).getByRole('button', { name: 'Retry' }));
+    expect(await screen.findByText('Where should we have lunch?')).toBeInTheDocument();
+  });
+});
+
+describe('voting', () => {
+  it('sends the vote and shows the updated results', async () => {
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    await userEvent.click(within(card).getByRole('button', { name: /Pizza/ }));
+
+    expect(await screen.findByText('Vote submitted successfully!')).toBeInTheDocument();
+    expect(backend.requestsTo('POST', '/vote')[0].body).toMatchObject({ pollId: 1, optionIndex: 0 });
+    expect(within(card).getByText('5 votes')).toBeInTheDocument();
+    expect(within(card).getByRole('button', { name: /Pizza/ })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('counts the vote locally when the updated poll cannot be loaded', async () => {
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    backend.fail({ status: 500 }, { method: 'GET', path: '/1', times: 4 });
+    await userEvent.click(within(card).getByRole('button', { name: /Sushi/ }));
+
+    expect(await screen.findByText('Vote submitted successfully!')).toBeInTheDocument();
+    expect(within(card).getByText('5 votes')).toBeInTheDocument();
+    expect(within(card).getByRole('button', { name: /Sushi/ })).toHaveTextContent('40%');
+  });
+
+  it('shows the results when the device already voted', async () => {
+    backend.fail({ status: 409 }, { method: 'POST', path: '/vote' });
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    await userEvent.click(within(card).getByRole('button', { name: /Pizza/ }));
+
+    expect(await screen.findByText('You have already voted on this poll from this device.')).toBeInTheDocument();
+    expect(within(card).getByRole('button', { name: /Pizza/ })).toBeDisabled();
+  });
+
+  it('queues the vote while the server cannot be reached and sends it later', async () => {
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    const recover = backend.fail({ network: true }, { path: '/vote', times: Infinity });
+    await userEvent.click(within(card).getByRole('button', { name: /Pizza/ }));
+
+    expect(await screen.findByText(/You are offline\. Your vote will be sent/)).toBeInTheDocument();
+    expect(await within(card).findByText(/Vote pending/)).toBeInTheDocument();
+
+    recover();
+    window.dispatchEvent(new Event('online'));
+    expect(await screen.findByText('Your offline vote was submitted.')).toBeInTheDocument();
+    await waitFor(() => expect(within(card).queryByText(/Vote pending/)).not.toBeInTheDocument());
+    expect(backend.polls()[0].options[0].voteCount).toBe(4);
+  });
+
+  it('replays the queue again on the next health probe after a server error', async () => {
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    const recover = backend.fail({ network: true }, { path: '/vote', times: Infinity });
+    await userEvent.click(within(card).getByRole('button', { name: /Pizza/ }));
+    await within(card).findByText(/Vote pending/);
+
+    recover();
+    // Every attempt of the first replay fails, the status stays "connected"
+    backend.fail({ status: 503 }, { method: 'POST', path: '/vote', times: 4 });
+    window.dispatchEvent(new Event('online'));
+    await waitFor(() => expect(apiDiagnostics.getEntries().find(entry => entry.status === 503 && !entry.willRetry)).toBeDefined());
+    expect(within(card).getByText(/Vote pending/)).toBeInTheDocument();
+
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(await screen.findByText('Your offline vote was submitted.')).toBeInTheDocument();
+  });
+
+  it('keeps a queued vote the server refuses without a session', async () => {
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    const recover = backend.fail({ network: true }, { path: '/vote', times: Infinity });
+    await userEvent.click(within(card).getByRole('button', { name: /Pizza/ }));
+    await within(card).findByText(/Vote pending/);
+
+    recover();
+    backend.fail({ status: 401 }, { method: 'POST', path: '/vote' });
+    window.dispatchEvent(new Event('online'));
+    expect(await screen.findByText(/need you to sign in/)).toBeInTheDocument();
+    expect(within(card).getByText(/Vote pending/)).toBeInTheDocument();
+    expect(screen.queryByText(/was rejected by the server/)).not.toBeInTheDocument();
+  });
+
+  it('reports a vote the server rejected', async () => {
+    backend.fail({ status: 400 }, { method: 'POST', path: '/vote' });
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    await userEvent.click(within(card).getByRole('button', { name: /Pizza/ }));
+
+    expect(await screen.findByText('Failed to submit vote.')).toBeInTheDocument();
+    expect(within(card).getByRole('button', { name: /Pizza/ })).toBeEnabled();
+  });
+});
+
+describe('creating polls', () => {
+  it('shows the missing fields instead of sending an empty poll', async () => {
+    renderApp('/polls/new');
+    await userEvent.click(await screen.findByRole('button', { name: 'Create Poll' }));
+
+    expect(screen.getByText('Poll question is required')).toBeInTheDocument();
+    expect(screen.getByText('At least 2 options are required')).toBeInTheDocument();
+    expect(backend.requestsTo('POST', '')).toHaveLength(0);
+  });
+
+  it('creates the poll and lists it first', async () => {
+    renderApp('/polls/new');
+    await userEvent.type(await screen.findByLabelText('Question'), 'Tea or coffee?');
+    await userEvent.type(screen.getByRole('textbox', { name: 'Option 1' }), 'Tea');
+    await userEvent.type(screen.getByRole('textbox', { name: 'Option 2' }), ' Coffee ');
+    await userEvent.click(screen.getByRole('button', { name: 'Create Poll' }));
+
+    expect(await screen.findByText('Poll created successfully!')).toBeInTheDocument();
+    expect(backend.requestsTo('POST', '')[0].body).toMatchObject({
+      question: 'Tea or coffee?',
+      options: [{ voteOption: 'Tea', voteCount: 0 }, { voteOption: 'Coffee', voteCount: 0 }],
+      type: 'single'
+    });
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    const questions = screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent);
+    expect(questions[0]).toBe('Tea or coffee?');
+  });
+
+  it('keeps the form when the server rejects the poll', async () => {
+    backend.fail({ status: 422 }, { method: 'POST', path: '' });
+    renderApp('/polls/new');
+    await userEvent.type(await screen.findByLabelText('Question'), 'Tea or coffee?');
+    await userEvent.type(screen.getByRole('textbox', { name: 'Option 1' }), 'Tea');
+    await userEvent.type(screen.getByRole('textbox', { name: 'Option 2' }), 'Coffee');
+    await userEvent.click(screen.getByRole('button', { name: 'Create Poll' }));
+
+    expect(await screen.findByText('Failed to create poll.')).toBeInTheDocument();
+    expect(screen.getByLabelText('Question')).toHaveValue('Tea or coffee?');
+  });
+});
+
+describe('deleting polls', () => {
+  it('can be undone before the poll is deleted', async () => {
+    saveOwnedPoll(1, 'owner-1');
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    await userEvent.click(within(card).getByRole('button', { name: 'Delete poll' }));
+    await userEvent.click(within(screen.getByRole('alertdialog')).getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => expect(screen.queryByText('Where should we have lunch?')).not.toBeInTheDocument());
+    await userEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+    expect(await screen.findByText('Where should we have lunch?')).toBeInTheDocument();
+    expect(backend.requestsTo('DELETE', '/1')).toHaveLength(0);
+  });
+
+  it('sends the delete when the page is closed during the undo window', async () => {
+    saveOwnedPoll(1, 'owner-1');
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    await userEvent.click(within(card).getByRole('button', { name: 'Delete poll' }));
+    await userEvent.click(within(screen.getByRole('alertdialog')).getByRole('button', { name: 'Delete' }));
+
+    window.dispatchEvent(new Event('pagehide'));
+    await waitFor(() => expect(backend.requestsTo('DELETE', '/1')).toHaveLength(1));
+    expect(backend.requestsTo('DELETE', '/1')[0].headers['X-Owner-Token']).toBe('owner-1');
+  });
+});
+
+describe('poll analytics', () => {
+  it('shows the turnout and when the lead changed on the poll page', async () => {
+    backend = createMockBackend({
+      polls: [{ ...SAMPLE_POLLS[0], targetAudience: 8 }],
+      votes: [
+        { pollId: 1, optionIndex: 1, votedAt: '2024-05-02T09:00:00Z' },
+        { pollId: 1, optionIndex: 0, votedAt: '2024-05-02T10:00:00Z' },
+        { pollId: 1, optionIndex: 0, votedAt: '2024-05-02T11:00:00Z' },
+        { pollId: 1, optionIndex: 0, votedAt: '2024-05-02T12:00:00Z' }
+      ]
+    });
+    vi.stubGlobal('fetch', backend.fetch);
+    renderApp('/polls/1');
+    const card = await findCard('Where should we have lunch?');
+    // The results, and the analytics with them, show once the device voted
+    await userEvent.click(within(card).getByRole('button', { name: /Pizza/ }));
+
+    const analytics = (await screen.findByRole('heading', { name: 'Analytics' })).closest('section');
+    expect(await within(analytics).findByText('5 of 8 voted · 62.5%')).toBeInTheDocument();
+    expect(within(analytics).getByText(/^Pizza has led since/)).toHaveTextContent('2 votes came in after that');
+    // Sushi, a tie, then Pizza: the tie is not a change of its own
+    expect(within(analytics).getByText('The lead changed once.')).toBeInTheDocument();
+    expect(within(analytics).getByText('Sushi took the lead with vote 1')).toBeInTheDocument();
+  });
+});
+
+describe('connection health', () => {
+  it('reports the server as disconnected when the health check fails', async () => {
+    backend.fail({ status: 500 }, { path: '/actuator/health' });
+    renderApp();
+    expect(await screen.findByText('Server disconnected')).toBeInTheDocument();
+  });
+
+  it('lists failed requests in the diagnostics panel', async () => {
+    backend.fail({ status: 400 }, { method: 'POST', path: '/vote' });
+    renderApp();
+    const card = await findCard('Where should we have lunch?');
+    await userEvent.click(within(card).getByRole('button', { name: /Pizza/ }));
+    await screen.findByText('Failed to submit vote.');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Diagnostics' }));
+    expect(screen.getByText('http://localhost:8080/api/polls')).toBeInTheDocument();
+    expect(screen.getByText('Connected')).toBeInTheDocument();
+    expect(screen.getByText('POST http://localhost:8080/api/polls/vote')).toBeInTheDocument();
+    expect(screen.getByText(/Attempt 1 of 4, gave up/)).toBeInTheDocument();
+  });
+});
+
+describe('theme and branding', () => {
+  it('shows the configured app name and tagline', async () => {
+    renderWithProviders(<VotingApp />, { branding: { appName: 'Team Polls', tagline: 'Decide together' } });
+    expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Team Polls');
+    expect(screen.getByText('Decide together')).toBeInTheDocument();
+    await waitFor(() => expect(document.title).toBe('Team Polls'));
+  });
+
+  it('keeps the chosen theme on this device', async () => {
+    renderApp();
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: 'Theme' }), 'dark');
+
+    expect(document.documentElement).toHaveClass('dark');
+    expect(JSON.parse(localStorage.getItem('votesphere:preferences')).theme).toBe('dark');
+  });
+});
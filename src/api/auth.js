@@ -0,0 +1,114 @@
+import { AUTH_BASE } from '../config';
+import { clearSession, loadSession, saveSession } from '../storage/session';
+import { ClientError, NetworkError, ServerError } from './errors';
+
+// Session state shared by the API client and the UI. The access token is a
+// JWT sent as a Bearer token; the refresh call also sends cookies, so backends
+// that keep the refresh token in an httpOnly cookie work without changes.
+//
+// Only { accessToken, user } is stored, enough to restore the UI after a
+// reload. A refresh token from the response body stays in memory, where a
+// script reading localStorage cannot take it; after a reload the refresh
+// relies on the cookie.
+
+const toStored = (next) => next && { accessToken: next.accessToken, user: next.user };
+
+const storedSession = loadSession();
+let session = toStored(storedSession);
+let refreshToken = null;
+const listeners = new Set();
+
+// Sessions saved by older versions carry their refresh token, drop it
+if (storedSession?.refreshToken) saveSession(session);
+
+const setSession = (next, nextRefreshToken = null) => {
+  session = toStored(next);
+  refreshToken = next ? nextRefreshToken : null;
+  if (session) {
+    saveSession(session);
+  } else {
+    clearSession();
+  }
+  listeners.forEach(listener => listener(session));
+};
+
+export const getSession = () => session;
+
+export const getAccessToken = () => session?.accessToken ?? null;
+
+// Calls listener(session) on every sign-in, refresh and sign-out. Returns an unsubscribe function.
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const post = async (path, body) => {
+  const url = `${AUTH_BASE}${path}`;
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      mode: 'cors',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    throw new NetworkError(url, error);
+  }
+  if (!response.ok) {
+    const ErrorType = response.status >= 500 ? ServerError : ClientError;
+    throw new ErrorType(url, response.status, response.statusText);
+  }
+  const contentType = response.headers.get('content-type');
+  return contentType && contentType.includes('application/json') ? response.json() : null;
+};
+
+// POST /login { username, password } -> { accessToken, refreshToken?, user }
+export const login = async (username, password) => {
+  const data = await post('/login', { username, password });
+  setSession({ accessToken: data.accessToken, user: data.user }, data.refreshToken ?? null);
+  return data.user;
+};
+
+// Without a refresh token in memory the body is empty and the cookie identifies the session
+const refreshTokenBody = (token) => (token ? { refreshToken: token } : {});
+
+export const logout = async () => {
+  const token = refreshToken;
+  setSession(null);
+  try {
+    await post('/logout', refreshTokenBody(token));
+  } catch (error) {
+    // The local session is gone either way
+    console.error('Logout request failed:', error);
+  }
+};
+
+// POST /refresh { refreshToken? } -> { accessToken, refreshToken?, user? }.
+// Concurrent callers share one request. Resolves true when a new access token
+// was obtained; a rejected refresh signs the user out.
+let refreshing = null;
+
+export const refreshSession = () => {
+  if (!session) return Promise.resolve(false);
+  if (!refreshing) {
+    refreshing = post('/refresh', refreshTokenBody(refreshToken))
+      .then(data => {
+        setSession(
+          { accessToken: data.accessToken, user: data.user ?? session.user },
+          data.refreshToken ?? refreshToken
+        );
+        return true;
+      })
+      .catch(error => {
+        console.error('Session refresh failed:', error);
+        if (error instanceof ClientError) setSession(null);
+        return false;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
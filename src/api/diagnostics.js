@@ -0,0 +1,30 @@
+// Failed API attempts, newest first, for the diagnostics panel. Each entry is
+// { id, at, method, url, attempt, retries, status, error, willRetry }: `attempt`
+// counts from 1, `retries` is how many retries the call allowed and `willRetry`
+// tells whether another attempt followed.
+export const createDiagnosticsLog = ({ limit = 20 } = {}) => {
+  let entries = [];
+  let nextId = 1;
+  const listeners = new Set();
+  const notify = () => listeners.forEach(listener => listener());
+
+  return {
+    record(entry) {
+      entries = [{ id: nextId++, at: Date.now(), ...entry }, ...entries].slice(0, limit);
+      notify();
+    },
+    // Same array until the next change, so it can back useSyncExternalStore
+    getEntries: () => entries,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    clear() {
+      entries = [];
+      notify();
+    },
+  };
+};
+
+// Log the default polls client writes to
+export const apiDiagnostics = createDiagnosticsLog();
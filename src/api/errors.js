@@ -0,0 +1,50 @@
+// Error types thrown by the polls API client. Callers can branch on
+// `instanceof` (or `error.name`) instead of parsing messages.
+
+export class ApiError extends Error {
+  constructor(message, { url, status, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.url = url;
+    this.status = status;
+  }
+}
+
+// The request never reached the server (DNS, CORS, connection refused, offline)
+export class NetworkError extends ApiError {
+  constructor(url, cause) {
+    super(`Network error while calling ${url}`, { url, cause });
+    this.name = 'NetworkError';
+  }
+}
+
+// The request was aborted because it took longer than the configured timeout
+export class TimeoutError extends ApiError {
+  constructor(url, timeout) {
+    super(`Request to ${url} timed out after ${timeout}ms`, { url });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// 4xx - the request itself is wrong, retrying will not help
+export class ClientError extends ApiError {
+  constructor(url, status, statusText) {
+    super(`HTTP error! status: ${status} - ${statusText}`, { url, status });
+    this.name = 'ClientError';
+  }
+}
+
+// 5xx - the server failed, the request may succeed when retried
+export class ServerError extends ApiError {
+  constructor(url, status, statusText) {
+    super(`HTTP error! status: ${status} - ${statusText}`, { url, status });
+    this.name = 'ServerError';
+  }
+}
+
+export const isRetryable = (error) =>
+  error instanceof NetworkError || error instanceof TimeoutError || error instanceof ServerError;
+
+// The server was never reached, a write can wait in the outbox and be sent later
+export const isConnectionError = (error) => error instanceof NetworkError || error instanceof TimeoutError;
@@ -0,0 +1,105 @@
+import { HEALTH_INTERVAL_MS } from '../config';
+import { pollsClient } from './pollsClient';
+
+// Report before the first probe
+export const initialHealth = () => ({
+  status: navigator.onLine ? 'checking' : 'offline',
+  latency: null, // ms the last successful probe took
+  lastError: null, // { message, status, at } of the last failed probe
+  checkedAt: null,
+});
+
+// Probes the health endpoint every `interval` ms and reports the connection
+// state through onChange({ status, latency, lastError, checkedAt }). `status`
+// is 'checking', 'connected', 'disconnected' (the server did not answer, or
+// answered with an error) or 'offline' (the browser is offline). Probes pause
+// while the tab is hidden or the browser is offline, and run right away when
+// either comes back.
+export const createHealthMonitor = ({
+  client = pollsClient,
+  interval = HEALTH_INTERVAL_MS,
+  onChange = () => {},
+} = {}) => {
+  let health = initialHealth();
+  let stopped = true;
+  let timer = null;
+  // Results of a probe that was overtaken (offline, stop, a newer probe) are dropped
+  let probeId = 0;
+
+  const update = (changes) => {
+    health = { ...health, ...changes };
+    onChange(health);
+  };
+
+  const clearTimer = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  const schedule = () => {
+    clearTimer();
+    if (stopped || document.hidden || !navigator.onLine) return;
+    timer = setTimeout(check, interval);
+  };
+
+  const check = async () => {
+    const id = ++probeId;
+    const startedAt = Date.now();
+    try {
+      await client.checkHealth();
+      if (id !== probeId) return health;
+      const now = Date.now();
+      update({ status: 'connected', latency: now - startedAt, checkedAt: now });
+    } catch (error) {
+      if (id !== probeId) return health;
+      const now = Date.now();
+      update({
+        status: 'disconnected',
+        latency: null,
+        lastError: { message: error.message, status: error.status ?? null, at: now },
+        checkedAt: now
+      });
+    }
+    schedule();
+    return health;
+  };
+
+  const handleOnline = () => {
+    update({ status: 'checking' });
+    check();
+  };
+
+  const handleOffline = () => {
+    probeId++;
+    clearTimer();
+    update({ status: 'offline', latency: null });
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      clearTimer();
+    } else if (navigator.onLine) {
+      check();
+    }
+  };
+
+  const start = () => {
+    if (!stopped) return;
+    stopped = false;
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    if (navigator.onLine) check();
+  };
+
+  const stop = () => {
+    stopped = true;
+    probeId++;
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    clearTimer();
+  };
+
+  return { start, stop, check, getHealth: () => health };
+};
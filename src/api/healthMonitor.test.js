@@ -0,0 +1,72 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createHealthMonitor } from './healthMonitor';
+import { createPollsClient } from './pollsClient';
+import { createMockBackend } from '../test/mockBackend';
+
+let monitor;
+
+const setup = (options = {}) => {
+  const backend = createMockBackend();
+  const client = createPollsClient({ fetch: backend.fetch, getAccessToken: () => null });
+  const onChange = vi.fn();
+  monitor = createHealthMonitor({ client, interval: 1000, onChange, ...options });
+  return { backend, onChange };
+};
+
+afterEach(() => {
+  monitor.stop();
+  vi.useRealTimers();
+});
+
+describe('createHealthMonitor', () => {
+  it('reports the server as connected with the probe latency', async () => {
+    setup();
+    expect(await monitor.check()).toMatchObject({ status: 'connected', latency: expect.any(Number), lastError: null });
+  });
+
+  it('reports error responses as disconnected and keeps the error', async () => {
+    const { backend } = setup();
+    monitor.start();
+    backend.fail({ status: 500 }, { path: '/actuator/health' });
+
+    expect(await monitor.check()).toMatchObject({
+      status: 'disconnected',
+      latency: null,
+      lastError: { status: 500, message: expect.stringContaining('500') }
+    });
+  });
+
+  it('probes again after every interval', async () => {
+    vi.useFakeTimers();
+    const { backend } = setup();
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(backend.requestsTo('GET', '/actuator/health')).toHaveLength(1);
+
+    backend.fail({ network: true }, { path: '/actuator/health' });
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(monitor.getHealth().status).toBe('disconnected');
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(monitor.getHealth().status).toBe('connected');
+    expect(backend.requestsTo('GET', '/actuator/health')).toHaveLength(3);
+  });
+
+  it('stops probing while the browser is offline and checks again once it is back', async () => {
+    vi.useFakeTimers();
+    const { backend, onChange } = setup();
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    window.dispatchEvent(new Event('offline'));
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'offline' }));
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(backend.requestsTo('GET', '/actuator/health')).toHaveLength(1);
+
+    window.dispatchEvent(new Event('online'));
+    expect(monitor.getHealth().status).toBe('checking');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(monitor.getHealth().status).toBe('connected');
+    expect(backend.requestsTo('GET', '/actuator/health')).toHaveLength(2);
+  });
+});
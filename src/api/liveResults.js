@@ -0,0 +1,187 @@
+import { LIVE_PATH, LIVE_POLL_INTERVAL_MS, LIVE_POLL_MAX_INTERVAL_MS, LIVE_TRANSPORT } from '../config';
+import { pollsClient } from './pollsClient';
+
+// Applies one server event to a polls array and returns the new array.
+// Supported events (the `type` defaults to 'poll-updated'):
+//   { type: 'poll-updated', poll: { id, options: [...] } }   full or partial poll
+//   { type: 'poll-updated', pollId, optionIndex, voteCount } single option count
+//   { type: 'poll-created', poll }
+//   { type: 'poll-deleted', pollId }
+export const applyLiveEvent = (polls, event) => {
+  const type = event.type || 'poll-updated';
+  const poll = event.poll || event;
+  const pollId = poll.id ?? event.pollId;
+
+  if (type === 'poll-deleted') {
+    return polls.filter(p => p.id !== pollId);
+  }
+
+  if (type === 'poll-created') {
+    return polls.some(p => p.id === pollId) ? polls : [poll, ...polls];
+  }
+
+  return polls.map(p => {
+    if (p.id !== pollId) return p;
+
+    if (Array.isArray(poll.options)) {
+      const options = poll.options.map((option, index) => ({ ...p.options[index], ...option }));
+      return { ...p, ...poll, options };
+    }
+
+    if (event.optionIndex !== undefined && typeof event.voteCount === 'number') {
+      const options = p.options.map((option, index) =>
+        index === event.optionIndex ? { ...option, voteCount: event.voteCount } : option
+      );
+      return { ...p, options };
+    }
+
+    return p;
+  });
+};
+
+const toWebSocketUrl = (url) => url.replace(/^http/, 'ws');
+
+// Subscribes to the server event stream and falls back to interval polling
+// while the stream is unavailable. The polling interval doubles on every failed
+// request (up to maxPollInterval) and pauses while the tab is hidden.
+export const createLiveResults = ({
+  client = pollsClient,
+  transport = LIVE_TRANSPORT,
+  url = `${client.baseUrl}${LIVE_PATH}`,
+  pollInterval = LIVE_POLL_INTERVAL_MS,
+  maxPollInterval = LIVE_POLL_MAX_INTERVAL_MS,
+  streamRetryDelay = 30000,
+  // What the polling fallback loads, e.g. only the page of polls on screen
+  fetchPolls = () => client.fetchPolls({ retries: 0 }),
+  onEvent = () => {},
+  onPolls = () => {},
+  onModeChange = () => {},
+} = {}) => {
+  let mode = 'idle'; // 'stream' | 'polling' | 'idle'
+  let stopped = true;
+  let connection = null;
+  let pollTimer = null;
+  let streamTimer = null;
+  let delay = pollInterval;
+
+  const setMode = (next) => {
+    if (mode === next) return;
+    mode = next;
+    onModeChange(next);
+  };
+
+  const handleMessage = (data) => {
+    try {
+      onEvent(JSON.parse(data));
+    } catch (error) {
+      console.error('Ignoring malformed live event:', error);
+    }
+  };
+
+  // Polling fallback
+
+  const clearPollTimer = () => {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  };
+
+  const schedulePoll = () => {
+    clearPollTimer();
+    if (stopped || mode !== 'polling' || document.hidden) return;
+    pollTimer = setTimeout(poll, delay);
+  };
+
+  const poll = async () => {
+    pollTimer = null;
+    try {
+      const polls = await fetchPolls();
+      if (stopped || mode !== 'polling') return;
+      onPolls(polls);
+      delay = pollInterval;
+    } catch {
+      delay = Math.min(delay * 2, maxPollInterval);
+    }
+    schedulePoll();
+  };
+
+  const startPolling = () => {
+    if (stopped) return;
+    setMode('polling');
+    delay = pollInterval;
+    schedulePoll();
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      clearPollTimer();
+    } else if (mode === 'polling') {
+      // Catch up right away instead of waiting a full interval
+      clearPollTimer();
+      poll();
+    }
+  };
+
+  // Event stream
+
+  const closeStream = () => {
+    if (!connection) return;
+    connection.onopen = connection.onmessage = connection.onerror = connection.onclose = null;
+    connection.close();
+    connection = null;
+  };
+
+  const handleStreamFailure = () => {
+    closeStream();
+    startPolling();
+    clearTimeout(streamTimer);
+    streamTimer = setTimeout(openStream, streamRetryDelay);
+  };
+
+  const openStream = () => {
+    streamTimer = null;
+    if (stopped) return;
+
+    try {
+      if (transport === 'sse' && typeof EventSource !== 'undefined') {
+        connection = new EventSource(url);
+        // EventSource retries on its own, but it does not tell us when it gives up,
+        // so any error switches to polling until the next stream retry
+        connection.onerror = handleStreamFailure;
+      } else if (transport === 'websocket' && typeof WebSocket !== 'undefined') {
+        connection = new WebSocket(toWebSocketUrl(url));
+        connection.onclose = handleStreamFailure;
+      } else {
+        startPolling();
+        return;
+      }
+    } catch (error) {
+      console.error('Could not open live results stream:', error);
+      handleStreamFailure();
+      return;
+    }
+
+    connection.onopen = () => {
+      clearPollTimer();
+      setMode('stream');
+    };
+    connection.onmessage = (event) => handleMessage(event.data);
+  };
+
+  const start = () => {
+    if (!stopped) return;
+    stopped = false;
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    openStream();
+  };
+
+  const stop = () => {
+    stopped = true;
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    closeStream();
+    clearPollTimer();
+    clearTimeout(streamTimer);
+    setMode('idle');
+  };
+
+  return { start, stop, getMode: () => mode };
+};
@@ -0,0 +1,50 @@
+import { ClientError, isRetryable } from './errors';
+import { pollsClient } from './pollsClient';
+import { loadOutbox, removeFromOutbox } from '../storage/outbox';
+
+const send = (client, item) => {
+  switch (item.type) {
+    case 'vote':
+      // Items queued before poll types existed only have `optionIndex`
+      return client.vote(item.payload.pollId, item.payload.choice ?? item.payload.optionIndex, {
+        comment: item.payload.comment,
+        voterName: item.payload.voterName
+      });
+    case 'create-poll':
+      return client.createPoll(item.payload);
+    default:
+      return Promise.reject(new Error(`Unknown outbox item type "${item.type}"`));
+  }
+};
+
+// Sends queued writes one by one, oldest first. An item the server rejects
+// (4xx, e.g. the poll was deleted meanwhile) is a conflict: it is dropped and
+// reported. Network errors, timeouts and 5xx stop the replay and keep the rest
+// queued for the next attempt. So does a 401: the client already tried to
+// refresh the session, so the item waits for the user to sign in again and is
+// reported through onUnauthorized. Resolves true once the queue is empty.
+export const replayOutbox = async ({
+  client = pollsClient,
+  onSent = () => {},
+  onConflict = () => {},
+  onUnauthorized = () => {},
+} = {}) => {
+  for (const item of loadOutbox(client.baseUrl)) {
+    try {
+      const result = await send(client, item);
+      removeFromOutbox(item.id, client.baseUrl);
+      onSent(item, result);
+    } catch (error) {
+      if (isRetryable(error)) {
+        return false;
+      }
+      if (error instanceof ClientError && error.status === 401) {
+        onUnauthorized(item, error);
+        return false;
+      }
+      removeFromOutbox(item.id, client.baseUrl);
+      onConflict(item, error);
+    }
+  }
+  return true;
+};
@@ -0,0 +1,270 @@
+import { API_BASE, API_RETRIES, API_TIMEOUT_MS, HEALTH_URL } from '../config';
+import { getVoterToken as getDeviceVoterToken } from '../storage/votedPolls';
+import { getAccessToken as getSessionAccessToken, refreshSession } from './auth';
+import { toVoteFields } from '../utils/pollTypes';
+import { ClientError, NetworkError, ServerError, TimeoutError, isRetryable } from './errors';
+import { apiDiagnostics } from './diagnostics';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Page size when every poll is needed, see fetchAllPolls
+const ALL_PAGE_SIZE = 100;
+
+// Spring Boot's health endpoint on the server the API runs on ('' for a relative base URL)
+const defaultHealthUrl = (baseUrl) => `${baseUrl.match(/^[a-z][a-z\d+.-]*:\/\/[^/]+/i)?.[0] ?? ''}/actuator/health`;
+
+// Creates a polls API client. Everything is injectable so tools and tests can
+// talk to another backend (or a fake `fetch`) without mounting the UI.
+export const createPollsClient = ({
+  baseUrl = API_BASE,
+  timeout = API_TIMEOUT_MS,
+  retries = API_RETRIES,
+  retryDelay = 1000,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  getVoterToken = getDeviceVoterToken,
+  // Signed-in user's token, attached as a Bearer token when present
+  getAccessToken = getSessionAccessToken,
+  // Called once on a 401, resolves true when the call should be repeated with a new token
+  refreshAccessToken = refreshSession,
+  // Where failed attempts are recorded, see ./diagnostics
+  diagnostics = apiDiagnostics,
+  healthUrl = HEALTH_URL || defaultHealthUrl(baseUrl),
+} = {}) => {
+  // Single fetch with a timeout. Resolves with the Response or throws one of the typed errors.
+  const request = async (url, config) => {
+    // Let the caller cancel too, e.g. when a component unmounts. A signal that
+    // is already aborted never fires 'abort' again, so it fails right here.
+    const externalSignal = config.signal;
+    if (externalSignal?.aborted) throw new DOMException('The request was aborted.', 'AbortError');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const forwardAbort = () => controller.abort();
+    externalSignal?.addEventListener('abort', forwardAbort);
+
+    try {
+      const response = await fetchImpl(url, { ...config, signal: controller.signal });
+
+      if (!response.ok) {
+        const ErrorType = response.status >= 500 ? ServerError : ClientError;
+        throw new ErrorType(url, response.status, response.statusText);
+      }
+      return response;
+    } catch (error) {
+      if (error instanceof ClientError || error instanceof ServerError) throw error;
+      if (error?.name === 'AbortError') {
+        // Caller aborts are passed through untouched, only our own timer is a timeout
+        if (externalSignal?.aborted) throw error;
+        throw new TimeoutError(url, timeout);
+      }
+      throw new NetworkError(url, error);
+    } finally {
+      clearTimeout(timer);
+      externalSignal?.removeEventListener('abort', forwardAbort);
+    }
+  };
+
+  // API utility function with error handling and retry logic.
+  // Server errors, network errors and timeouts are retried with a linear backoff,
+  // 4xx responses fail immediately. A 401 refreshes the session once and
+  // repeats the call with the new token.
+  // Resolves with { data, cachedAt }: `cachedAt` is the time (ms) the service
+  // worker stored the response when it answered from its cache, null otherwise.
+  const send = async (url, options = {}, maxRetries = retries) => {
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      // Rebuilt on every attempt, the access token may have been refreshed
+      const accessToken = getAccessToken();
+      const config = {
+        mode: 'cors', // Enable CORS
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...(accessToken && { 'Authorization': `Bearer ${accessToken}` }),
+          ...options.headers
+        }
+      };
+
+      try {
+        const response = await request(url, config);
+        const cachedAt = Date.parse(response.headers.get('X-Cached-At') ?? '');
+
+        // Handle empty responses (like for vote endpoint)
+        const contentType = response.headers.get('content-type');
+        const data = contentType && contentType.includes('application/json') ? await response.json() : null;
+        return { data, cachedAt: Number.isNaN(cachedAt) ? null : cachedAt };
+      } catch (error) {
+        if (error instanceof ClientError && error.status === 401 && accessToken && !refreshed) {
+          refreshed = true;
+          if (await refreshAccessToken()) {
+            attempt -= 1; // the repeat does not count as a retry
+            continue;
+          }
+        }
+        const willRetry = attempt < maxRetries && isRetryable(error);
+        // Calls the caller aborted did not fail
+        if (error?.name !== 'AbortError') {
+          diagnostics.record({
+            method: config.method || 'GET',
+            url,
+            attempt: attempt + 1,
+            retries: maxRetries,
+            status: error.status ?? null,
+            error: error.message,
+            willRetry
+          });
+        }
+        if (!willRetry) throw error;
+
+        // Wait before retry
+        await wait(retryDelay * (attempt + 1));
+      }
+    }
+  };
+
+  const apiCall = async (url, options, maxRetries) => (await send(url, options, maxRetries)).data;
+
+  const url = (path = '') => `${baseUrl}${path}`;
+
+  // Single request to the health endpoint, without retries. Resolves once the
+  // server answered with a 2xx and throws the typed error otherwise.
+  const checkHealth = async (options = {}) => {
+    await request(healthUrl, { mode: 'cors', ...options, headers: { 'Accept': 'application/json', ...options.headers } });
+  };
+
+  // Every helper takes the usual fetch options plus an optional `retries` override
+  const call = (path, { retries: maxRetries, ...options } = {}) => apiCall(url(path), options, maxRetries);
+
+  // Same, resolving with { data, cachedAt }
+  const callWithCacheInfo = (path, { retries: maxRetries, ...options } = {}) => send(url(path), options, maxRetries);
+
+  // Fetch all polls
+  const fetchPolls = async (options) => {
+    const data = await call('', options);
+    return (Array.isArray(data) ? data : data?.content) || [];
+  };
+
+  // Fetch one page of polls. Backends with paging answer with a Spring-style
+  // page ({ content, totalElements, totalPages }); older ones ignore the params
+  // and return every poll, in which case `paged` is false and the caller lists
+  // them on the client. `page` is 1-based here and 0-based on the wire, `sort`
+  // is Spring's `property,direction` (see SORT_OPTIONS in utils/pollQuery). `cachedAt`
+  // is set when the page came from the service worker's cache (see send).
+  const fetchPollsPage = async ({ page = 1, size = 12, q = '', sort = '' } = {}, options) => {
+    const params = new URLSearchParams({ page: String(page - 1), size: String(size) });
+    if (q) params.set('q', q);
+    if (sort) params.set('sort', sort);
+
+    const { data, cachedAt } = await callWithCacheInfo(`?${params}`, options);
+    if (data && !Array.isArray(data) && Array.isArray(data.content)) {
+      return {
+        paged: true,
+        items: data.content,
+        totalItems: data.totalElements ?? data.content.length,
+        totalPages: Math.max(1, data.totalPages ?? 1),
+        cachedAt
+      };
+    }
+    return { paged: false, items: data || [], cachedAt };
+  };
+
+  // Every poll matching `q`, for filters the server cannot apply. Backends with
+  // paging are read page by page; `serverPaging` tells whether they page.
+  const fetchAllPolls = async ({ q = '', sort = '' } = {}, options) => {
+    const first = await fetchPollsPage({ page: 1, size: ALL_PAGE_SIZE, q, sort }, options);
+    if (!first.paged) return { paged: false, serverPaging: false, items: first.items, cachedAt: first.cachedAt };
+
+    const items = [...first.items];
+    for (let page = 2; page <= first.totalPages; page++) {
+      items.push(...(await fetchPollsPage({ page, size: ALL_PAGE_SIZE, q, sort }, options)).items);
+    }
+    return { paged: false, serverPaging: true, items, cachedAt: first.cachedAt };
+  };
+
+  // Polls created by, and voted in by, the signed-in user
+  const fetchMyPolls = async (options) => (await call('/mine', options)) || [];
+
+  const fetchVotedPolls = async (options) => (await call('/voted', options)) || [];
+
+  // Fetch a specific poll by ID
+  const fetchPollById = (pollId, options) => call(`/${pollId}`, options);
+
+  // Every ballot of a poll with its time, for the analytics view:
+  // [{ votedAt, optionIndex | optionIndexes | ranking | ratings }]
+  const fetchVotes = async (pollId, options) => (await call(`/${pollId}/votes`, options)) || [];
+
+  // Owner-only calls prove ownership with the token the backend returned when the poll was created
+  const withOwnerToken = (ownerToken, options = {}) => ({
+    ...options,
+    headers: { ...(ownerToken && { 'X-Owner-Token': ownerToken }), ...options.headers }
+  });
+
+  const deletePollById = (pollId, ownerToken, options) =>
+    call(`/${pollId}`, { ...withOwnerToken(ownerToken, options), method: 'DELETE' });
+
+  // Create a new poll from { question, options: [{ voteOption, voteCount }], type?, maxChoices?, startsAt?, endsAt? }
+  const createPoll = (pollData, options) =>
+    call('', { ...options, method: 'POST', body: JSON.stringify(pollData) });
+
+  // Save edits to a poll. `version` is the version the edits are based on; it is
+  // sent in the body and as If-Match, so the backend can answer 409/412 when
+  // someone else saved in the meantime. Resolves with the updated poll.
+  const updatePoll = (pollId, pollData, { version, ownerToken, ...options } = {}) => {
+    const config = withOwnerToken(ownerToken, options);
+    return call(`/${pollId}`, {
+      ...config,
+      method: 'PUT',
+      headers: { ...(version !== undefined && { 'If-Match': `"${version}"` }), ...config.headers },
+      body: JSON.stringify({ ...pollData, version })
+    });
+  };
+
+  // Close a poll before its end time, resolves with the updated poll
+  const closePoll = (pollId, ownerToken, options) =>
+    call(`/${pollId}/close`, { ...withOwnerToken(ownerToken, options), method: 'POST' });
+
+  // Submit a vote. `choice` is an option index for single-choice polls, or the
+  // type-specific fields for other poll types (see utils/pollTypes).
+  // The anonymous voter token lets the backend enforce one vote per device.
+  // Votes on public polls may carry a `comment` and, for voters who are not
+  // signed in, the `voterName` to show.
+  const vote = (pollId, choice, { comment, voterName, ...options } = {}) => {
+    const voterToken = getVoterToken();
+    return call('/vote', {
+      ...options,
+      method: 'POST',
+      headers: { 'X-Voter-Token': voterToken, ...options.headers },
+      body: JSON.stringify({
+        pollId,
+        ...toVoteFields(choice),
+        voterToken,
+        ...(comment && { comment }),
+        ...(voterName && { voterName })
+      })
+    });
+  };
+
+  return {
+    baseUrl,
+    healthUrl,
+    apiCall,
+    checkHealth,
+    fetchPolls,
+    fetchPollsPage,
+    fetchAllPolls,
+    fetchMyPolls,
+    fetchVotedPolls,
+    fetchPollById,
+    fetchVotes,
+    deletePollById,
+    createPoll,
+    updatePoll,
+    closePoll,
+    vote,
+  };
+};
+
+// Default client configured from the Vite env
+export const pollsClient = createPollsClient();
@@ -0,0 +1,250 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createPollsClient } from './pollsClient';
+import { ClientError, NetworkError, ServerError, TimeoutError } from './errors';
+import { createDiagnosticsLog } from './diagnostics';
+import { SAMPLE_POLLS, createMockBackend } from '../test/mockBackend';
+
+const setup = (options = {}) => {
+  const backend = createMockBackend({ polls: SAMPLE_POLLS });
+  const client = createPollsClient({
+    fetch: backend.fetch,
+    retryDelay: 0,
+    getVoterToken: () => 'voter-1',
+    getAccessToken: () => null,
+    ...options
+  });
+  return { backend, client };
+};
+
+describe('apiCall', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('returns the parsed JSON body', async () => {
+    const { client } = setup();
+    const polls = await client.fetchPolls();
+    expect(polls.map(poll => poll.question)).toEqual(SAMPLE_POLLS.map(poll => poll.question));
+  });
+
+  it('returns null for empty responses', async () => {
+    const { client } = setup();
+    expect(await client.vote(1, 0)).toBeNull();
+  });
+
+  it('retries server errors and resolves once the server recovers', async () => {
+    const { backend, client } = setup();
+    backend.fail({ status: 503 }, { times: 2 });
+    await expect(client.fetchPollById(1)).resolves.toMatchObject({ id: 1 });
+    expect(backend.requestsTo('GET', '/1')).toHaveLength(3);
+  });
+
+  it('retries network errors', async () => {
+    const { backend, client } = setup();
+    backend.fail({ network: true });
+    await expect(client.fetchPollById(1)).resolves.toMatchObject({ id: 1 });
+    expect(backend.requestsTo('GET', '/1')).toHaveLength(2);
+  });
+
+  it('throws the last error once the retries are used up', async () => {
+    const { backend, client } = setup({ retries: 2 });
+    backend.fail({ status: 500 }, { times: 3 });
+    await expect(client.fetchPollById(1)).rejects.toBeInstanceOf(ServerError);
+    expect(backend.requestsTo('GET', '/1')).toHaveLength(3);
+
+    backend.fail({ network: true }, { times: 3 });
+    await expect(client.fetchPollById(1)).rejects.toBeInstanceOf(NetworkError);
+  });
+
+  it('does not retry client errors', async () => {
+    const { backend, client } = setup();
+    const error = await client.fetchPollById(99).catch(e => e);
+    expect(error).toBeInstanceOf(ClientError);
+    expect(error.status).toBe(404);
+    expect(backend.requestsTo('GET', '/99')).toHaveLength(1);
+  });
+
+  it('honours a per-call retries override', async () => {
+    const { backend, client } = setup();
+    backend.fail({ status: 502 });
+    await expect(client.fetchPolls({ retries: 0 })).rejects.toBeInstanceOf(ServerError);
+    expect(backend.requestsTo('GET', '')).toHaveLength(1);
+  });
+
+  it('backs off linearly between attempts', async () => {
+    vi.useFakeTimers();
+    const { backend, client } = setup({ retryDelay: 1000 });
+    backend.fail({ status: 500 }, { times: 2 });
+    const result = client.fetchPollById(1);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(backend.requests).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(backend.requests).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(backend.requests).toHaveLength(2);
+    // The second wait is twice as long
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(backend.requests).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(backend.requests).toHaveLength(3);
+    await expect(result).resolves.toMatchObject({ id: 1 });
+  });
+
+  it('times out slow responses', async () => {
+    const { backend, client } = setup({ timeout: 20, retries: 0 });
+    backend.fail({ delay: 1000 });
+    await expect(client.fetchPollById(1)).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  it('retries after a timeout', async () => {
+    const { backend, client } = setup({ timeout: 20 });
+    backend.fail({ delay: 1000 });
+    await expect(client.fetchPollById(1)).resolves.toMatchObject({ id: 1 });
+    expect(backend.requestsTo('GET', '/1')).toHaveLength(2);
+  });
+
+  it('passes caller aborts through without retrying', async () => {
+    const { backend, client } = setup();
+    backend.fail({ delay: 1000 });
+    const controller = new AbortController();
+    const result = client.fetchPollById(1, { signal: controller.signal });
+    controller.abort();
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(backend.requests).toHaveLength(1);
+  });
+
+  it('does not send a call whose signal is already aborted', async () => {
+    const { backend, client } = setup();
+    const controller = new AbortController();
+    controller.abort();
+    await expect(client.fetchPollById(1, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(backend.requests).toHaveLength(0);
+  });
+
+  it('refreshes the session once on a 401 and repeats the call', async () => {
+    let token = 'expired';
+    const refreshAccessToken = vi.fn(async () => {
+      token = 'fresh';
+      return true;
+    });
+    const { backend, client } = setup({ getAccessToken: () => token, refreshAccessToken });
+    backend.fail({ status: 401 });
+
+    await expect(client.fetchPollById(1)).resolves.toMatchObject({ id: 1 });
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(backend.requests.map(request => request.headers.Authorization)).toEqual(['Bearer expired', 'Bearer fresh']);
+  });
+});
+
+describe('diagnostics', () => {
+  it('records every failed attempt with its retry count', async () => {
+    const diagnostics = createDiagnosticsLog();
+    const { backend, client } = setup({ retries: 1, diagnostics });
+    backend.fail({ status: 503 }, { times: 2 });
+
+    await expect(client.fetchPollById(1)).rejects.toBeInstanceOf(ServerError);
+    // Newest first
+    expect(diagnostics.getEntries()).toEqual([
+      expect.objectContaining({ method: 'GET', url: `${client.baseUrl}/1`, attempt: 2, retries: 1, status: 503, willRetry: false }),
+      expect.objectContaining({ method: 'GET', url: `${client.baseUrl}/1`, attempt: 1, retries: 1, status: 503, willRetry: true })
+    ]);
+  });
+
+  it('leaves out successful calls and caller aborts', async () => {
+    const diagnostics = createDiagnosticsLog();
+    const { backend, client } = setup({ diagnostics });
+    await client.fetchPolls();
+
+    backend.fail({ delay: 1000 });
+    const controller = new AbortController();
+    const result = client.fetchPollById(1, { signal: controller.signal });
+    controller.abort();
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(diagnostics.getEntries()).toEqual([]);
+  });
+});
+
+describe('checkHealth', () => {
+  it('resolves while the health endpoint answers with a 2xx', async () => {
+    const { backend, client } = setup();
+    await expect(client.checkHealth()).resolves.toBeUndefined();
+    expect(backend.requestsTo('GET', '/actuator/health')).toHaveLength(1);
+  });
+
+  it('fails on error responses without retrying', async () => {
+    const { backend, client } = setup();
+    backend.fail({ status: 500 }, { path: '/actuator/health' });
+    await expect(client.checkHealth()).rejects.toMatchObject({ status: 500 });
+    expect(backend.requestsTo('GET', '/actuator/health')).toHaveLength(1);
+  });
+
+  it('probes the server root, outside the polls collection', () => {
+    expect(createPollsClient({ baseUrl: 'https://api.example.com/v2/polls' }).healthUrl)
+      .toBe('https://api.example.com/actuator/health');
+    expect(createPollsClient({ baseUrl: '/api/polls' }).healthUrl).toBe('/actuator/health');
+  });
+});
+
+describe('polls endpoints', () => {
+  it('sends the voter token with votes', async () => {
+    const { backend, client } = setup();
+    await client.vote(2, { optionIndexes: [0, 1] }, { comment: 'Either works' });
+    const [request] = backend.requestsTo('POST', '/vote');
+    expect(request.headers['X-Voter-Token']).toBe('voter-1');
+    expect(request.body).toEqual({ pollId: 2, optionIndexes: [0, 1], voterToken: 'voter-1', comment: 'Either works' });
+  });
+
+  it('creates polls and deletes them with the owner token', async () => {
+    const { backend, client } = setup();
+    const created = await client.createPoll({ question: 'Tea or coffee?', options: [{ voteOption: 'Tea', voteCount: 0 }, { voteOption: 'Coffee', voteCount: 0 }] });
+    expect(created.ownerToken).toBeTruthy();
+
+    await expect(client.deletePollById(created.id, 'wrong')).rejects.toMatchObject({ status: 403 });
+    await client.deletePollById(created.id, created.ownerToken);
+    expect(backend.polls().some(poll => poll.id === created.id)).toBe(false);
+  });
+
+  it('tells when a page came from the service worker cache', async () => {
+    const fetch = vi.fn(async () => Response.json(SAMPLE_POLLS, { headers: { 'X-Cached-At': '2024-05-02T10:00:00.000Z' } }));
+    const { client } = setup({ fetch });
+    const result = await client.fetchPollsPage();
+    expect(result.cachedAt).toBe(Date.parse('2024-05-02T10:00:00.000Z'));
+  });
+
+  it('falls back to client-side paging when the backend ignores the page params', async () => {
+    const { client } = setup();
+    const result = await client.fetchPollsPage({ page: 2, size: 1 });
+    expect(result).toEqual({ paged: false, items: expect.any(Array), cachedAt: null });
+    expect(result.items).toHaveLength(SAMPLE_POLLS.length);
+  });
+
+  it('reads every page when all polls are needed', async () => {
+    // A Spring-style backend with one poll per page
+    const fetch = vi.fn(async (url) => {
+      const params = new URL(url, 'http://localhost').searchParams;
+      const page = Number(params.get('page'));
+      return Response.json({
+        content: SAMPLE_POLLS.slice(page, page + 1),
+        totalElements: SAMPLE_POLLS.length,
+        totalPages: SAMPLE_POLLS.length
+      });
+    });
+    const { client } = setup({ fetch });
+    const result = await client.fetchAllPolls({ sort: 'createdAt,desc' });
+
+    expect(result).toMatchObject({ paged: false, serverPaging: true });
+    expect(result.items.map(poll => poll.id)).toEqual(SAMPLE_POLLS.map(poll => poll.id));
+    expect(fetch).toHaveBeenCalledTimes(SAMPLE_POLLS.length);
+    expect(new URL(fetch.mock.calls[0][0], 'http://localhost').searchParams.get('sort')).toBe('createdAt,desc');
+  });
+
+  it('reads unpaged backends with a single request', async () => {
+    const { backend, client } = setup();
+    const result = await client.fetchAllPolls();
+    expect(result).toMatchObject({ paged: false, serverPaging: false });
+    expect(result.items).toHaveLength(SAMPLE_POLLS.length);
+    expect(backend.requests).toHaveLength(1);
+  });
+});
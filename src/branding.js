@@ -0,0 +1,48 @@
+import { BRANDING_URL } from './config';
+
+// Name, logo and accent colors of this deployment. They are read from a JSON
+// file at startup (BRANDING_URL, public/branding.json by default), so a team can
+// rebrand the app by replacing that file, without a rebuild:
+//   { "appName": "Team Polls", "tagline": "...", "logoUrl": "/logo.svg",
+//     "colors": { "accent": "#0ea5e9", "accentSecondary": "#f97316" } }
+// Missing or invalid fields keep their defaults.
+export const DEFAULT_BRANDING = {
+  appName: 'VoteSphere',
+  // Replaces the translated tagline when set
+  tagline: null,
+  logoUrl: null,
+  colors: { accent: '#06b6d4', accentSecondary: '#a855f7' },
+};
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Browsers without CSS.supports (and jsdom) accept any text
+const isColor = (value) =>
+  isText(value) && (typeof CSS === 'undefined' || typeof CSS.supports !== 'function' || CSS.supports('color', value));
+
+export const normalizeBranding = (raw) => {
+  const config = raw && typeof raw === 'object' ? raw : {};
+  const colors = config.colors && typeof config.colors === 'object' ? config.colors : {};
+  return {
+    appName: isText(config.appName) ? config.appName.trim() : DEFAULT_BRANDING.appName,
+    tagline: isText(config.tagline) ? config.tagline.trim() : DEFAULT_BRANDING.tagline,
+    logoUrl: isText(config.logoUrl) ? config.logoUrl.trim() : DEFAULT_BRANDING.logoUrl,
+    colors: {
+      accent: isColor(colors.accent) ? colors.accent : DEFAULT_BRANDING.colors.accent,
+      accentSecondary: isColor(colors.accentSecondary) ? colors.accentSecondary : DEFAULT_BRANDING.colors.accentSecondary,
+    },
+  };
+};
+
+// Never rejects: without a usable branding file the app starts with the defaults
+export const loadBranding = async ({ url = BRANDING_URL, timeout = 3000 } = {}) => {
+  if (!url) return DEFAULT_BRANDING;
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return normalizeBranding(await response.json());
+  } catch (error) {
+    console.warn('Could not load the branding, using the defaults:', error);
+    return DEFAULT_BRANDING;
+  }
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it, vi } from 'vitest';
+import { DEFAULT_BRANDING, loadBranding, normalizeBranding } from './branding';
+
+describe('normalizeBranding', () => {
+  it('keeps the defaults for missing and invalid fields', () => {
+    expect(normalizeBranding(null)).toEqual(DEFAULT_BRANDING);
+    expect(normalizeBranding({ appName: '  ', logoUrl: 42, colors: 'red' })).toEqual(DEFAULT_BRANDING);
+  });
+
+  it('takes the fields that are set', () => {
+    expect(normalizeBranding({ appName: ' Team Polls ', logoUrl: '/logo.svg', colors: { accent: '#0ea5e9' } })).toEqual({
+      ...DEFAULT_BRANDING,
+      appName: 'Team Polls',
+      logoUrl: '/logo.svg',
+      colors: { ...DEFAULT_BRANDING.colors, accent: '#0ea5e9' }
+    });
+  });
+});
+
+describe('loadBranding', () => {
+  it('loads the branding file', async () => {
+    const fetch = vi.fn(async () => Response.json({ appName: 'Team Polls' }));
+    vi.stubGlobal('fetch', fetch);
+
+    expect((await loadBranding({ url: '/branding.json' })).appName).toBe('Team Polls');
+    expect(fetch).toHaveBeenCalledWith('/branding.json', expect.objectContaining({ signal: expect.any(AbortSignal) }));
+  });
+
+  it('starts with the defaults when the file is missing or broken', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('Not found', { status: 404 })));
+    expect(await loadBranding({ url: '/branding.json' })).toBe(DEFAULT_BRANDING);
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('{ not json')));
+    expect(await loadBranding({ url: '/branding.json' })).toBe(DEFAULT_BRANDING);
+  });
+
+  it('does not request anything without a url', async () => {
+    const fetch = vi.fn();
+    vi.stubGlobal('fetch', fetch);
+    expect(await loadBranding({ url: '' })).toBe(DEFAULT_BRANDING);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,14 @@
+import React, { useMemo, useSyncExternalStore } from 'react';
+import { getSession, login, logout, subscribe } from '../api/auth';
+import { AuthContext } from '../context/AuthContext';
+
+const AuthProvider = ({ children }) => {
+  const session = useSyncExternalStore(subscribe, getSession);
+  const user = session?.user ?? null;
+
+  const value = useMemo(() => ({ user, login, logout }), [user]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,26 @@
+import React from 'react';
+
+const COLORS = ['bg-cyan-500', 'bg-purple-500', 'bg-pink-500', 'bg-teal-500', 'bg-orange-500', 'bg-blue-500'];
+
+// Same name, same color
+const colorFor = (name) => COLORS[[...name].reduce((sum, char) => sum + char.charCodeAt(0), 0) % COLORS.length];
+
+const initials = (name) => name.split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+
+// Voter picture, or their initials when the backend has no `avatarUrl`.
+// Anonymous voters and authors can come with `name: null`.
+const Avatar = ({ name: rawName, avatarUrl, size = 'w-6 h-6' }) => {
+  const name = rawName ?? '?';
+  return avatarUrl ? (
+    <img src={avatarUrl} alt={name} title={name} className={`${size} rounded-full object-cover border-2 border-white`} />
+  ) : (
+    <span
+      title={name}
+      className={`${size} ${colorFor(name)} rounded-full border-2 border-white inline-flex items-center justify-center text-white text-[10px] font-bold`}
+    >
+      {initials(name) || '?'}
+    </span>
+  );
+};
+
+export default Avatar;
@@ -0,0 +1,18 @@
+import React, { useEffect } from 'react';
+import { DEFAULT_BRANDING } from '../branding';
+import { BrandingContext } from '../context/BrandingContext';
+
+// The accent colors become the --brand variables of index.css, which the
+// brand-* utilities (from-brand, text-brand-strong, ...) are built on
+const BrandingProvider = ({ branding = DEFAULT_BRANDING, children }) => {
+  useEffect(() => {
+    const root = document.documentElement;
+    root.style.setProperty('--brand', branding.colors.accent);
+    root.style.setProperty('--brand-secondary', branding.colors.accentSecondary);
+    document.title = branding.appName;
+  }, [branding]);
+
+  return <BrandingContext.Provider value={branding}>{children}</BrandingContext.Provider>;
+};
+
+export default BrandingProvider;
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { MessageSquare } from 'lucide-react';
+import Avatar from './Avatar';
+import { useI18n } from '../context/I18nContext';
+
+const COLLAPSED_COUNT = 3;
+
+// Comments left with votes on a public poll, oldest first. Each comment is
+// { id, author: { name, avatarUrl }, text, createdAt, optionIndexes? }.
+const CommentThread = ({ poll, expanded: startExpanded = false }) => {
+  const [expanded, setExpanded] = useState(startExpanded);
+  const { t, formatDateTime } = useI18n();
+  const comments = poll.comments || [];
+  if (comments.length === 0) return null;
+
+  // Collapsed, the thread shows the latest comments
+  const shown = expanded ? comments : comments.slice(-COLLAPSED_COUNT);
+  const optionLabel = (comment) => (comment.optionIndexes || [])
+    .map(index => poll.options[index]?.voteOption)
+    .filter(Boolean)
+    .join(', ');
+
+  return (
+    <div className="mt-6 border-t border-line pt-4">
+      <div className="flex items-center text-fg-muted text-sm font-semibold mb-3">
+        <MessageSquare className="w-4 h-4 me-2" />
+        {t('comments.count', { count: comments.length })}
+      </div>
+      {!expanded && comments.length > COLLAPSED_COUNT && (
+        <button
+          onClick={() => setExpanded(true)}
+          className="mb-3 text-sm text-brand-strong hover:text-brand font-semibold"
+        >
+          {t('comments.showAll')}
+        </button>
+      )}
+      <ul className="space-y-3">
+        {shown.map((comment, index) => (
+          <li key={comment.id ?? index} className="flex items-start">
+            <Avatar name={comment.author?.name} avatarUrl={comment.author?.avatarUrl} size="w-8 h-8" />
+            <div className="ms-3 min-w-0">
+              <div className="text-xs text-fg-subtle">
+                <span className="font-semibold text-fg-muted">{comment.author?.name || t('comments.anonymous')}</span>
+                {optionLabel(comment) && <> {t('comments.voted')} <span className="text-brand-strong">{optionLabel(comment)}</span></>}
+                {comment.createdAt && <> · {formatDateTime(comment.createdAt)}</>}
+              </div>
+              <p className="text-sm text-fg-muted break-words">{comment.text}</p>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CommentThread;
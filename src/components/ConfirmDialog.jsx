@@ -0,0 +1,43 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import Modal from './Modal';
+import { useI18n } from '../context/I18nContext';
+
+// Modal yes/no question, used before destructive actions. Escape cancels.
+const ConfirmDialog = ({ title, message, confirmLabel, onConfirm, onCancel }) => {
+  const { t } = useI18n();
+
+  return (
+    <Modal
+      role="alertdialog"
+      titleId="confirm-title"
+      aria-describedby="confirm-message"
+      onClose={onCancel}
+      layer="z-50"
+      className="max-w-sm"
+    >
+      <div className="flex items-center mb-4">
+        <AlertTriangle className="w-6 h-6 text-red-500 me-2" aria-hidden="true" />
+        <h2 id="confirm-title" className="text-xl font-bold text-fg">{title}</h2>
+      </div>
+      <p id="confirm-message" className="text-fg-muted mb-6">{message}</p>
+      <div className="flex space-x-4">
+        <button
+          onClick={onConfirm}
+          className="flex-1 bg-red-500 text-white py-3 rounded-lg font-semibold hover:bg-red-600 transition-colors duration-300"
+        >
+          {confirmLabel || t('common.confirm')}
+        </button>
+        <button
+          onClick={onCancel}
+          autoFocus
+          className="flex-1 bg-control text-fg py-3 rounded-lg font-semibold hover:bg-control-hover transition-colors duration-300"
+        >
+          {t('common.cancel')}
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { useI18n } from '../context/I18nContext';
+
+const STATUS_CLASSES = {
+  offline: { banner: 'bg-red-500', dot: 'bg-red-300' },
+  disconnected: { banner: 'bg-yellow-500', dot: 'bg-yellow-300 animate-pulse' },
+  checking: { banner: 'bg-blue-500', dot: 'bg-blue-300 animate-pulse' },
+};
+
+// Shown while the backend cannot be reached. `status` is 'checking',
+// 'connected', 'offline' (the browser is offline) or 'disconnected'.
+const ConnectionBanner = ({ status }) => {
+  const { t } = useI18n();
+  const classes = STATUS_CLASSES[status];
+  if (!classes) return null;
+
+  return (
+    <div role="status" className={`mt-4 inline-flex items-center px-4 py-2 rounded-full text-sm font-medium text-white ${classes.banner}`}>
+      <div className={`w-2 h-2 rounded-full me-2 ${classes.dot}`}></div>
+      {t(`connection.${status}`)}
+    </div>
+  );
+};
+
+export default ConnectionBanner;
@@ -0,0 +1,220 @@
+import React from 'react';
+import { POLL_TYPES } from '../utils/pollTypes';
+import { QUESTION_MAX_LENGTH, isBlankForm } from '../utils/pollForm';
+import { useAuth } from '../context/AuthContext';
+import { useI18n } from '../context/I18nContext';
+import Modal from './Modal';
+import OptionListEditor from './OptionListEditor';
+import TemplatePicker from './TemplatePicker';
+
+// The create poll form, also used to edit polls. The form state lives with the
+// caller: `onChange` gets the whole updated form, `errors` come from
+// validatePollForm. When editing, only the question and options can change.
+const CreatePollModal = ({
+  form,
+  errors,
+  isEditing = false,
+  saving = false,
+  onChange,
+  onRemoveOption,
+  onApplyTemplate,
+  onDiscardDraft,
+  onSubmit,
+  onClose,
+}) => {
+  const { user } = useAuth();
+  const { t, formatNumber } = useI18n();
+  const update = (changes) => onChange({ ...form, ...changes });
+
+  return (
+    <Modal titleId="poll-form-title" onClose={onClose}>
+      <div className="flex items-center justify-between mb-6">
+        <h2 id="poll-form-title" className="text-2xl font-bold text-fg">{isEditing ? t('edit.title') : t('create.title')}</h2>
+        {!isEditing && !isBlankForm(form) && (
+          <button
+            onClick={onDiscardDraft}
+            className="text-sm text-fg-subtle hover:text-red-500 transition-colors duration-200"
+          >
+            {t('create.clearDraft')}
+          </button>
+        )}
+      </div>
+
+      {!isEditing && <TemplatePicker form={form} onApply={onApplyTemplate} />}
+
+      <div className="mb-6">
+        <label htmlFor="poll-question" className="block text-fg font-semibold mb-2">{t('form.question')}</label>
+        <input
+          id="poll-question"
+          type="text"
+          value={form.question}
+          onChange={(e) => update({ question: e.target.value })}
+          aria-invalid={Boolean(errors.question)}
+          aria-describedby={errors.question ? 'poll-question-error' : undefined}
+          className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300 ${
+            errors.question ? 'border-red-400' : 'border-line'
+          }`}
+          placeholder={t('form.questionPlaceholder')}
+        />
+        <div className="mt-1 flex justify-between text-sm">
+          <span id="poll-question-error" className="text-red-500">{errors.question}</span>
+          {form.question.length > QUESTION_MAX_LENGTH * 0.8 && (
+            <span className="text-fg-subtle">{formatNumber(form.question.trim().length)}/{formatNumber(QUESTION_MAX_LENGTH)}</span>
+          )}
+        </div>
+      </div>
+
+      {/* The type and schedule are fixed once a poll exists */}
+      {!isEditing && (
+        <div className="mb-6">
+          <div className="flex space-x-4">
+            <div className="flex-1">
+              <label htmlFor="poll-type" className="block text-fg font-semibold mb-2">{t('form.type')}</label>
+              <select
+                id="poll-type"
+                value={form.type}
+                onChange={(e) => update({ type: e.target.value })}
+                className="w-full px-3 py-2 border border-line rounded-lg text-fg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300"
+              >
+                {POLL_TYPES.map(pollType => (
+                  <option key={pollType.id} value={pollType.id}>{t(`pollType.${pollType.id}`)}</option>
+                ))}
+              </select>
+            </div>
+            {form.type === 'multi' && (
+              <div className="w-32">
+                <label htmlFor="poll-max-choices" className="block text-fg font-semibold mb-2">{t('form.maxChoices')}</label>
+                <input
+                  id="poll-max-choices"
+                  type="number"
+                  min="1"
+                  max={form.options.length}
+                  value={form.maxChoices}
+                  onChange={(e) => update({ maxChoices: e.target.value })}
+                  aria-invalid={Boolean(errors.maxChoices)}
+                  aria-describedby={errors.maxChoices ? 'poll-max-choices-error' : undefined}
+                  className={`w-full px-3 py-2 border rounded-lg text-fg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300 ${
+                    errors.maxChoices ? 'border-red-400' : 'border-line'
+                  }`}
+                />
+              </div>
+            )}
+          </div>
+          {errors.maxChoices && <p id="poll-max-choices-error" className="mt-1 text-sm text-red-500">{errors.maxChoices}</p>}
+        </div>
+      )}
+
+      <div className="mb-6">
+        <h3 className="block text-fg font-semibold mb-2">{t('form.options')}</h3>
+        <OptionListEditor
+          options={form.options}
+          errors={errors.options}
+          onChange={(options) => update({ options })}
+          onRemove={onRemoveOption}
+          showVoteCounts={isEditing}
+        />
+        {errors.optionList && <p role="alert" className="mt-2 text-sm text-red-500">{errors.optionList}</p>}
+      </div>
+
+      {!isEditing && (
+        <div className="mb-6">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="poll-starts-at" className="block text-fg font-semibold mb-2">{t('form.opens')} <span className="font-normal text-fg-subtle">{t('form.optional')}</span></label>
+              <input
+                id="poll-starts-at"
+                type="datetime-local"
+                value={form.startsAt}
+                onChange={(e) => update({ startsAt: e.target.value })}
+                className="w-full px-3 py-2 border border-line rounded-lg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300"
+              />
+            </div>
+            <div>
+              <label htmlFor="poll-ends-at" className="block text-fg font-semibold mb-2">{t('form.closes')} <span className="font-normal text-fg-subtle">{t('form.optional')}</span></label>
+              <input
+                id="poll-ends-at"
+                type="datetime-local"
+                value={form.endsAt}
+                onChange={(e) => update({ endsAt: e.target.value })}
+                aria-invalid={Boolean(errors.schedule)}
+                aria-describedby={errors.schedule ? 'poll-schedule-error' : undefined}
+                className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300 ${
+                  errors.schedule ? 'border-red-400' : 'border-line'
+                }`}
+              />
+            </div>
+          </div>
+          {errors.schedule && <p id="poll-schedule-error" className="mt-1 text-sm text-red-500">{errors.schedule}</p>}
+        </div>
+      )}
+
+      {!isEditing && (
+        <div className="mb-6">
+          <label htmlFor="poll-target-audience" className="block text-fg font-semibold mb-2">{t('form.targetAudience')} <span className="font-normal text-fg-subtle">{t('form.optional')}</span></label>
+          <input
+            id="poll-target-audience"
+            type="number"
+            min="1"
+            value={form.targetAudience}
+            onChange={(e) => update({ targetAudience: e.target.value })}
+            aria-invalid={Boolean(errors.targetAudience)}
+            aria-describedby={errors.targetAudience ? 'poll-target-audience-error' : 'poll-target-audience-hint'}
+            className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300 ${
+              errors.targetAudience ? 'border-red-400' : 'border-line'
+            }`}
+          />
+          {errors.targetAudience
+            ? <p id="poll-target-audience-error" className="mt-1 text-sm text-red-500">{errors.targetAudience}</p>
+            : <p id="poll-target-audience-hint" className="mt-1 text-sm text-fg-subtle">{t('form.targetAudienceHint')}</p>}
+        </div>
+      )}
+
+      {!isEditing && (
+        <div className="mb-6">
+          <label htmlFor="poll-visibility" className="block text-fg font-semibold mb-2">{t('form.visibility')}</label>
+          <select
+            id="poll-visibility"
+            value={form.visibility}
+            onChange={(e) => update({ visibility: e.target.value })}
+            className="w-full px-3 py-2 border border-line rounded-lg text-fg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300"
+          >
+            <option value="anonymous">{t('form.visibility.anonymous')}</option>
+            <option value="public">{t('form.visibility.public')}</option>
+          </select>
+        </div>
+      )}
+
+      {/* Only signed-in members can create (and vote on) internal polls */}
+      {user && !isEditing && (
+        <label className="mb-6 flex items-center text-fg cursor-pointer">
+          <input
+            type="checkbox"
+            checked={form.internal}
+            onChange={(e) => update({ internal: e.target.checked })}
+            className="me-2 accent-brand"
+          />
+          {t('form.internal')}
+        </label>
+      )}
+
+      <div className="flex space-x-4">
+        <button
+          onClick={onSubmit}
+          disabled={saving}
+          className="flex-1 bg-gradient-to-r from-brand-secondary to-pink-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-300 disabled:opacity-50"
+        >
+          {isEditing ? (saving ? t('edit.saving') : t('edit.save')) : t('create.submit')}
+        </button>
+        <button
+          onClick={onClose}
+          className="flex-1 bg-control text-fg py-3 rounded-lg font-semibold hover:bg-control-hover transition-colors duration-300"
+        >
+          {isEditing ? t('common.cancel') : t('common.close')}
+        </button>
+      </div>
+      {!isEditing && <p className="mt-3 text-center text-xs text-fg-subtle">{t('create.draftNote')}</p>}
+    </Modal>
+  );
+};
+
+export default CreatePollModal;
@@ -0,0 +1,98 @@
+import React, { useId, useState, useSyncExternalStore } from 'react';
+import { Activity, ChevronDown, ChevronUp } from 'lucide-react';
+import { pollsClient } from '../api/pollsClient';
+import { apiDiagnostics } from '../api/diagnostics';
+import { useI18n } from '../context/I18nContext';
+
+const STATUS_DOTS = {
+  connected: 'bg-green-500',
+  disconnected: 'bg-yellow-500',
+  offline: 'bg-red-500',
+  checking: 'bg-blue-500 animate-pulse',
+};
+
+// Collapsed connection details at the bottom of the page: where the app talks
+// to, the latest health probe (`health` from useConnectionHealth) and the API
+// attempts that failed recently, with their retries.
+const DiagnosticsPanel = ({ health, client = pollsClient, diagnostics = apiDiagnostics }) => {
+  const [open, setOpen] = useState(false);
+  const failures = useSyncExternalStore(diagnostics.subscribe, diagnostics.getEntries);
+  const { t, formatNumber, formatDateTime } = useI18n();
+  const panelId = useId();
+
+  const renderField = (label, value) => (
+    <div className="sm:flex sm:space-x-2">
+      <dt className="text-fg-subtle sm:w-40 shrink-0">{label}</dt>
+      <dd className="text-fg break-all">{value}</dd>
+    </div>
+  );
+
+  return (
+    <section className="mt-12 bg-surface rounded-lg border border-line text-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls={panelId}
+        className="w-full flex items-center justify-between px-4 py-3 text-fg-muted font-semibold"
+      >
+        <span className="flex items-center">
+          <Activity className="w-4 h-4 me-2" aria-hidden="true" />
+          {t('diagnostics.title')}
+          <span className={`w-2 h-2 rounded-full ms-2 ${STATUS_DOTS[health.status]}`} aria-hidden="true"></span>
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" aria-hidden="true" /> : <ChevronDown className="w-4 h-4" aria-hidden="true" />}
+      </button>
+
+      {open && (
+        <div id={panelId} className="px-4 pb-4 space-y-4">
+          <dl className="space-y-1">
+            {renderField(t('diagnostics.apiBase'), client.baseUrl)}
+            {renderField(t('diagnostics.healthUrl'), client.healthUrl)}
+            {renderField(t('diagnostics.status'), t(`diagnostics.status.${health.status}`))}
+            {renderField(t('diagnostics.latency'), health.latency === null
+              ? t('diagnostics.none')
+              : t('diagnostics.latencyValue', { ms: formatNumber(health.latency) }))}
+            {renderField(t('diagnostics.lastChecked'), health.checkedAt ? formatDateTime(health.checkedAt) : t('diagnostics.none'))}
+            {renderField(t('diagnostics.lastError'), health.lastError
+              ? `${health.lastError.message} (${formatDateTime(health.lastError.at)})`
+              : t('diagnostics.none'))}
+          </dl>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-semibold uppercase text-fg-subtle">{t('diagnostics.failures')}</h3>
+              {failures.length > 0 && (
+                <button onClick={diagnostics.clear} className="text-brand-strong hover:text-brand font-semibold">
+                  {t('diagnostics.clear')}
+                </button>
+              )}
+            </div>
+            {failures.length > 0 ? (
+              <ul className="space-y-2">
+                {failures.map(failure => (
+                  <li key={failure.id} className="px-3 py-2 rounded-lg bg-control">
+                    <div className="flex flex-wrap justify-between gap-x-2">
+                      <span className="font-mono text-fg break-all">{failure.method} {failure.url}</span>
+                      <span className="text-fg-subtle">{formatDateTime(failure.at)}</span>
+                    </div>
+                    <div className="text-fg-muted">
+                      {failure.error}
+                      {' · '}
+                      {t('diagnostics.attempt', { attempt: formatNumber(failure.attempt), total: formatNumber(failure.retries + 1) })}
+                      {', '}
+                      {failure.willRetry ? t('diagnostics.retried') : t('diagnostics.gaveUp')}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-fg-subtle">{t('diagnostics.noFailures')}</p>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DiagnosticsPanel;
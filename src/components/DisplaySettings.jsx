@@ -0,0 +1,55 @@
+import React from 'react';
+import { Contrast, Monitor, Moon, Pause, Sun } from 'lucide-react';
+import { THEMES } from '../utils/theme';
+import { useI18n } from '../context/I18nContext';
+
+const toggleClass = (active) =>
+  `flex items-center px-3 py-2 rounded-full text-sm transition-all duration-300 ${
+    active ? 'bg-brand text-white' : 'bg-surface text-fg-muted hover:bg-surface-hover'
+  }`;
+
+const THEME_ICONS = { system: Monitor, light: Sun, dark: Moon };
+
+// Theme picker, reduced motion and high contrast switches in the header
+const DisplaySettings = ({ preferences, onChange }) => {
+  const { t } = useI18n();
+  const ThemeIcon = THEME_ICONS[preferences.theme] || Monitor;
+
+  return (
+    <div role="group" aria-label={t('display.label')} className="flex items-center space-x-2">
+      <label className="flex items-center px-3 py-2 rounded-full bg-surface text-fg-muted text-sm">
+        <ThemeIcon className="w-4 h-4 me-2" aria-hidden="true" />
+        <span className="sr-only">{t('display.theme')}</span>
+        <select
+          value={preferences.theme}
+          onChange={(e) => onChange({ theme: e.target.value })}
+          className="bg-transparent focus:outline-none cursor-pointer"
+        >
+          {THEMES.map(theme => (
+            <option key={theme} value={theme} className="text-fg">{t(`display.theme.${theme}`)}</option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        onClick={() => onChange({ reduceMotion: !preferences.reduceMotion })}
+        aria-pressed={preferences.reduceMotion}
+        className={toggleClass(preferences.reduceMotion)}
+      >
+        <Pause className="w-4 h-4 me-1" aria-hidden="true" />
+        {t('display.reduceMotion')}
+      </button>
+      <button
+        type="button"
+        onClick={() => onChange({ highContrast: !preferences.highContrast })}
+        aria-pressed={preferences.highContrast}
+        className={toggleClass(preferences.highContrast)}
+      >
+        <Contrast className="w-4 h-4 me-1" aria-hidden="true" />
+        {t('display.highContrast')}
+      </button>
+    </div>
+  );
+};
+
+export default DisplaySettings;
@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from 'react';
+import { Code, Copy, Check } from 'lucide-react';
+import Modal from './Modal';
+import { DEFAULT_EMBED_OPTIONS, EMBED_THEMES, getIframeSnippet, getScriptSnippet } from '../utils/embed';
+import { useI18n } from '../context/I18nContext';
+
+const SNIPPETS = [
+  { id: 'script', build: getScriptSnippet },
+  { id: 'iframe', build: getIframeSnippet },
+];
+
+// "Get embed code": the script tag and iframe snippets for one poll, with the
+// theme and size of the frame
+const EmbedDialog = ({ poll, onClose }) => {
+  const { t } = useI18n();
+  const [options, setOptions] = useState(DEFAULT_EMBED_OPTIONS);
+  const [copied, setCopied] = useState(null);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(null), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const update = (changes) => setOptions(current => ({ ...current, ...changes }));
+
+  const copy = async (id, snippet) => {
+    try {
+      await navigator.clipboard.writeText(snippet);
+      setCopied(id);
+    } catch (error) {
+      console.error('Could not copy embed code:', error);
+      window.prompt(t('share.copyPrompt'), snippet);
+    }
+  };
+
+  return (
+    <Modal titleId="embed-title" onClose={onClose} className="max-w-2xl">
+      <div className="flex items-center mb-6">
+        <Code className="w-6 h-6 text-brand-strong me-2" aria-hidden="true" />
+        <h2 id="embed-title" className="text-2xl font-bold text-fg">{t('embed.title')}</h2>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mb-6">
+        <label className="block text-sm text-fg font-semibold">
+          {t('embed.theme')}
+          <select
+            value={options.theme}
+            onChange={(e) => update({ theme: e.target.value })}
+            className="mt-1 w-full px-3 py-2 border border-line rounded-lg font-normal focus:ring-2 focus:ring-brand focus:border-transparent"
+          >
+            {EMBED_THEMES.map(theme => <option key={theme} value={theme}>{t(`embed.theme.${theme}`)}</option>)}
+          </select>
+        </label>
+        <label className="block text-sm text-fg font-semibold">
+          {t('embed.width')}
+          <input
+            type="text"
+            value={options.width}
+            onChange={(e) => update({ width: e.target.value })}
+            className="mt-1 w-full px-3 py-2 border border-line rounded-lg font-normal focus:ring-2 focus:ring-brand focus:border-transparent"
+          />
+        </label>
+        <label className="block text-sm text-fg font-semibold">
+          {t('embed.height')}
+          <input
+            type="text"
+            value={options.height}
+            onChange={(e) => update({ height: e.target.value })}
+            className="mt-1 w-full px-3 py-2 border border-line rounded-lg font-normal focus:ring-2 focus:ring-brand focus:border-transparent"
+          />
+        </label>
+      </div>
+
+      {SNIPPETS.map(({ id, build }) => {
+        const snippet = build(poll, options);
+        return (
+          <div key={id} className="mb-6">
+            <div className="flex items-center justify-between mb-1">
+              <h3 id={`embed-${id}`} className="text-sm font-semibold text-fg">{t(`embed.${id}`)}</h3>
+              <button
+                onClick={() => copy(id, snippet)}
+                className="flex items-center text-sm text-brand-strong hover:text-brand font-semibold"
+              >
+                {copied === id ? <Check className="w-4 h-4 me-1" aria-hidden="true" /> : <Copy className="w-4 h-4 me-1" aria-hidden="true" />}
+                {copied === id ? t('share.copied') : t('embed.copy')}
+              </button>
+            </div>
+            <textarea
+              readOnly
+              value={snippet}
+              rows={3}
+              dir="ltr"
+              aria-labelledby={`embed-${id}`}
+              aria-describedby={`embed-${id}-hint`}
+              onFocus={(e) => e.target.select()}
+              className="w-full px-3 py-2 font-mono text-xs text-fg border border-line rounded-lg resize-none"
+            />
+            <p id={`embed-${id}-hint`} className="text-xs text-fg-subtle">{t(`embed.${id}Hint`)}</p>
+          </div>
+        );
+      })}
+
+      <button
+        onClick={onClose}
+        className="w-full bg-control text-fg py-3 rounded-lg font-semibold hover:bg-control-hover transition-colors duration-300"
+      >
+        {t('common.close')}
+      </button>
+    </Modal>
+  );
+};
+
+export default EmbedDialog;
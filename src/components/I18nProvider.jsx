@@ -0,0 +1,33 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { I18nContext } from '../context/I18nContext';
+import { createFormatters, createTranslator, getDirection, resolveLocale } from '../i18n';
+import { loadLocale, saveLocale } from '../storage/locale';
+
+// The saved choice wins, otherwise the browser's preferred languages
+const initialLocale = () => resolveLocale([loadLocale(), ...(navigator.languages || [navigator.language])]);
+
+const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(initialLocale);
+  const dir = getDirection(locale);
+
+  // lang and dir on <html> drive screen reader pronunciation and the
+  // right-to-left layout (logical Tailwind classes such as ms-/me- follow dir)
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const setLocale = useCallback((next) => setLocaleState(saveLocale(resolveLocale([next]))), []);
+
+  const value = useMemo(() => ({
+    locale,
+    dir,
+    setLocale,
+    t: createTranslator(locale),
+    ...createFormatters(locale),
+  }), [locale, dir, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
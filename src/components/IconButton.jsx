@@ -0,0 +1,16 @@
+import React from 'react';
+
+// Icon-only control with an accessible name, used for the poll card actions
+const IconButton = ({ label, onClick, className = '', children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    aria-label={label}
+    title={label}
+    className={`p-1 rounded text-brand-strong transition-colors duration-200 ${className}`}
+  >
+    {children}
+  </button>
+);
+
+export default IconButton;
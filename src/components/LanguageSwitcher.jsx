@@ -0,0 +1,27 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LOCALES } from '../i18n';
+import { useI18n } from '../context/I18nContext';
+
+// Language picker in the header, the choice is saved on this device
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="flex items-center px-3 py-2 rounded-full bg-surface text-fg-muted text-sm">
+      <Languages className="w-4 h-4 me-2" aria-hidden="true" />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-transparent focus:outline-none cursor-pointer"
+      >
+        {LOCALES.map(entry => (
+          <option key={entry.id} value={entry.id} lang={entry.id} className="text-fg">{entry.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { LogIn } from 'lucide-react';
+import { ClientError } from '../api/errors';
+import { useAuth } from '../context/AuthContext';
+import Modal from './Modal';
+import { useI18n } from '../context/I18nContext';
+
+const LoginModal = ({ onClose }) => {
+  const { login } = useAuth();
+  const { t } = useI18n();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      await login(username.trim(), password);
+      onClose();
+    } catch (error) {
+      console.error('Login failed:', error);
+      setError(error instanceof ClientError && (error.status === 401 || error.status === 403)
+        ? t('login.error.credentials')
+        : t('login.error.failed'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal as="form" onSubmit={handleSubmit} titleId="login-title" onClose={onClose} className="max-w-sm">
+      <h2 id="login-title" className="text-2xl font-bold text-fg mb-6">{t('login.title')}</h2>
+
+      <div className="mb-4">
+        <label htmlFor="login-username" className="block text-fg font-semibold mb-2">{t('login.username')}</label>
+        <input
+          id="login-username"
+          type="text"
+          autoComplete="username"
+          autoFocus
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          required
+          className="w-full px-4 py-3 border border-line rounded-lg text-fg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300"
+        />
+      </div>
+
+      <div className="mb-6">
+        <label htmlFor="login-password" className="block text-fg font-semibold mb-2">{t('login.password')}</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          className="w-full px-4 py-3 border border-line rounded-lg text-fg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300"
+        />
+      </div>
+
+      {error && <p role="alert" className="text-red-500 text-sm mb-4">{error}</p>}
+
+      <div className="flex space-x-4">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="flex-1 flex items-center justify-center bg-gradient-to-r from-brand-secondary to-pink-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all duration-300 disabled:opacity-50"
+        >
+          <LogIn className="w-4 h-4 me-2" />
+          {submitting ? t('login.submitting') : t('login.submit')}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 bg-control text-fg py-3 rounded-lg font-semibold hover:bg-control-hover transition-colors duration-300"
+        >
+          {t('common.cancel')}
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+export default LoginModal;
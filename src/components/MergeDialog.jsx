@@ -0,0 +1,74 @@
+import React from 'react';
+import { GitMerge } from 'lucide-react';
+import Modal from './Modal';
+import { useI18n } from '../context/I18nContext';
+
+const PollVersion = ({ title, poll }) => (
+  <div className="flex-1 min-w-0">
+    <h3 className="text-sm font-semibold text-fg-subtle mb-2">{title}</h3>
+    <p className="font-semibold text-fg mb-2 break-words">{poll.question}</p>
+    <ul className="text-sm text-fg-muted list-disc ps-5 space-y-1">
+      {poll.options.map((option, index) => (
+        <li key={index} className="break-words">{option.voteOption}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+// Shown when a poll was saved by someone else while it was being edited.
+// `mine` is the edit form, `theirs` the poll on the server and `conflicts`
+// the changes both sides made to the same field (see utils/pollMerge).
+// Escape goes back to the edit form without deciding.
+const MergeDialog = ({ mine, theirs, conflicts, onReviewMerged, onKeepMine, onUseTheirs, onCancel }) => {
+  const { t } = useI18n();
+
+  return (
+    <Modal role="alertdialog" titleId="merge-title" onClose={onCancel} layer="z-50" className="max-w-2xl">
+      <div className="flex items-center mb-4">
+        <GitMerge className="w-6 h-6 text-brand-strong me-2" aria-hidden="true" />
+        <h2 id="merge-title" className="text-xl font-bold text-fg">{t('merge.title')}</h2>
+      </div>
+      <p className="text-fg-muted mb-4">{t('merge.description')}</p>
+
+      <div className="flex space-x-6 mb-4">
+        <PollVersion title={t('merge.yourVersion')} poll={mine} />
+        <PollVersion title={t('merge.savedVersion')} poll={theirs} />
+      </div>
+
+      {conflicts.length > 0 ? (
+        <div className="mb-6 p-3 rounded-lg bg-yellow-50 text-sm text-yellow-800">
+          <p className="font-semibold mb-1">{t('merge.conflicts')}</p>
+          <ul className="list-disc ps-5">
+            {conflicts.map(conflict => <li key={conflict}>{conflict}</li>)}
+          </ul>
+        </div>
+      ) : (
+        <p className="mb-6 text-sm text-green-700">{t('merge.noConflicts')}</p>
+      )}
+
+      <div className="flex space-x-4">
+        <button
+          onClick={onReviewMerged}
+          autoFocus
+          className="flex-1 bg-gradient-to-r from-brand-secondary to-pink-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all duration-300"
+        >
+          {t('merge.review')}
+        </button>
+        <button
+          onClick={onKeepMine}
+          className="flex-1 bg-red-500 text-white py-3 rounded-lg font-semibold hover:bg-red-600 transition-colors duration-300"
+        >
+          {t('merge.keepMine')}
+        </button>
+        <button
+          onClick={onUseTheirs}
+          className="flex-1 bg-control text-fg py-3 rounded-lg font-semibold hover:bg-control-hover transition-colors duration-300"
+        >
+          {t('merge.useTheirs')}
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+export default MergeDialog;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { useDialog } from '../hooks/useDialog';
+
+// Overlay plus an accessible dialog box: role, aria-modal, a label taken from
+// the element with `titleId`, focus trapping and Escape to close (see useDialog).
+const Modal = ({ titleId, onClose, role = 'dialog', layer = 'z-40', className = 'max-w-md', as = 'div', children, ...props }) => {
+  const ref = useDialog(onClose);
+  const Element = as;
+
+  return (
+    <div className={`fixed inset-0 bg-black/50 flex items-center justify-center ${layer} animate-fade-in`}>
+      <Element
+        ref={ref}
+        role={role}
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        className={`bg-surface-raised text-fg rounded-2xl p-8 w-full mx-4 max-h-[90vh] overflow-y-auto shadow-2xl transform animate-scale-in ${className}`}
+        {...props}
+      >
+        {children}
+      </Element>
+    </div>
+  );
+};
+
+export default Modal;
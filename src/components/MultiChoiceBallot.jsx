@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { CheckSquare, Square } from 'lucide-react';
+import { moveFocusWithArrows } from '../utils/a11y';
+import { useI18n } from '../context/I18nContext';
+
+// Ballot for multi-select polls: pick up to `poll.maxChoices` options, then submit.
+// The arrow keys move between the options, Space toggles one.
+const MultiChoiceBallot = ({ poll, disabled, onSubmit }) => {
+  const [selected, setSelected] = useState([]);
+  const { t } = useI18n();
+  const maxChoices = poll.maxChoices || poll.options.length;
+
+  const toggle = (optionIndex) => {
+    if (selected.includes(optionIndex)) {
+      setSelected(selected.filter(index => index !== optionIndex));
+    } else if (selected.length < maxChoices) {
+      setSelected([...selected, optionIndex].sort((a, b) => a - b));
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p id={`choose-hint-${poll.id}`} className="text-sm text-fg-muted">{t('ballot.chooseUpTo', { count: maxChoices })}</p>
+      <div
+        role="group"
+        aria-label={poll.question}
+        aria-describedby={`choose-hint-${poll.id}`}
+        onKeyDown={(e) => moveFocusWithArrows(e, '[role="checkbox"]')}
+        className="space-y-3"
+      >
+        {poll.options.map((option, optionIndex) => {
+          const isSelected = selected.includes(optionIndex);
+          const isFull = !isSelected && selected.length >= maxChoices;
+          return (
+            <button
+              key={optionIndex}
+              onClick={() => toggle(optionIndex)}
+              disabled={disabled || isFull}
+              role="checkbox"
+              aria-checked={isSelected}
+              className={`w-full flex items-center text-start p-4 rounded-lg border-2 transition-all duration-300 ${
+                isSelected
+                  ? 'bg-brand/10 border-brand'
+                  : disabled || isFull
+                  ? 'bg-control border-line cursor-not-allowed'
+                  : 'bg-surface border-line hover:border-brand hover:bg-surface-hover cursor-pointer'
+              }`}
+            >
+              {isSelected
+                ? <CheckSquare className="w-5 h-5 me-3 text-brand-strong" aria-hidden="true" />
+                : <Square className="w-5 h-5 me-3 text-fg-subtle" aria-hidden="true" />}
+              <span className="text-fg font-medium">{option.voteOption}</span>
+            </button>
+          );
+        })}
+      </div>
+      <button
+        onClick={() => onSubmit({ optionIndexes: selected })}
+        disabled={disabled || selected.length === 0}
+        className="w-full bg-gradient-to-r from-brand to-brand-secondary text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all duration-300 disabled:opacity-50"
+      >
+        {t('ballot.voteSelected', { selected: selected.length, max: maxChoices })}
+      </button>
+    </div>
+  );
+};
+
+export default MultiChoiceBallot;
@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronUp, ChevronDown, GripVertical } from 'lucide-react';
+import { POLL_MAX_OPTIONS } from '../config';
+import { splitPastedOptions } from '../utils/pollForm';
+import { useI18n } from '../context/I18nContext';
+
+// Option inputs of the create / edit form. Options can be reordered by dragging
+// the grip, with the arrow buttons or with Alt+Up / Alt+Down, and pasting
+// several lines into an input adds one option per line. Removal goes through
+// `onRemove` so the form can ask before dropping an option that has votes.
+const OptionListEditor = ({ options, errors = [], onChange, onRemove, maxOptions = POLL_MAX_OPTIONS, showVoteCounts = false }) => {
+  const [dragged, setDragged] = useState(null);
+  const [notice, setNotice] = useState('');
+  const { t } = useI18n();
+  const inputs = useRef([]);
+  // Index to focus after the next render, keeps the caret on a moved option
+  const focusIndex = useRef(null);
+
+  useEffect(() => {
+    if (focusIndex.current === null) return;
+    inputs.current[focusIndex.current]?.focus();
+    focusIndex.current = null;
+  });
+
+  const updateOption = (index, value) => {
+    onChange(options.map((option, i) => (i === index ? { ...option, voteOption: value } : option)));
+  };
+
+  const move = (from, to) => {
+    if (to < 0 || to >= options.length || from === to) return;
+    const next = [...options];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    onChange(next);
+  };
+
+  const addOption = () => {
+    focusIndex.current = options.length;
+    onChange([...options, { voteOption: '', voteCount: 0 }]);
+  };
+
+  const handleKeyDown = (e, index) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+    const to = e.key === 'ArrowUp' ? index - 1 : index + 1;
+    if (to < 0 || to >= options.length) return;
+    focusIndex.current = to;
+    move(index, to);
+  };
+
+  // Multi-line text becomes one option per line. An empty input is filled with
+  // the first line, the rest are inserted right after it.
+  const handlePaste = (e, index) => {
+    const text = e.clipboardData.getData('text');
+    if (!/\r?\n/.test(text.trim())) return;
+    e.preventDefault();
+
+    const lines = splitPastedOptions(text);
+    const replaceCurrent = !options[index].voteOption.trim();
+    const room = maxOptions - options.length + (replaceCurrent ? 1 : 0);
+    const added = lines.slice(0, Math.max(room, 0));
+    setNotice(added.length < lines.length
+      ? t('optionEditor.pasteLimited', { added: added.length, total: lines.length, count: maxOptions })
+      : '');
+    if (added.length === 0) return;
+
+    const next = [...options];
+    const newOptions = added.map(voteOption => ({ voteOption, voteCount: 0 }));
+    if (replaceCurrent) {
+      next.splice(index, 1, { ...options[index], voteOption: added[0] }, ...newOptions.slice(1));
+    } else {
+      next.splice(index + 1, 0, ...newOptions);
+    }
+    focusIndex.current = index + added.length - (replaceCurrent ? 1 : 0);
+    onChange(next);
+  };
+
+  return (
+    <div>
+      <ol className="space-y-3">
+        {options.map((option, index) => (
+          <li
+            key={index}
+            onDragOver={(e) => {
+              e.preventDefault();
+              if (dragged !== null && dragged !== index) {
+                move(dragged, index);
+                setDragged(index);
+              }
+            }}
+            className={`rounded-lg transition-opacity duration-200 ${dragged === index ? 'opacity-50' : ''}`}
+          >
+            <div className="flex items-center">
+              <span
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  e.dataTransfer.setData('text/plain', String(index));
+                  e.dataTransfer.setDragImage(e.currentTarget.closest('li'), 0, 0);
+                  setDragged(index);
+                }}
+                onDragEnd={() => setDragged(null)}
+                title={t('optionEditor.drag')}
+                className="me-1 text-fg-subtle cursor-grab"
+              >
+                <GripVertical className="w-4 h-4" aria-hidden="true" />
+              </span>
+              <input
+                ref={(element) => { inputs.current[index] = element; }}
+                type="text"
+                value={option.voteOption}
+                onChange={(e) => updateOption(index, e.target.value)}
+                onKeyDown={(e) => handleKeyDown(e, index)}
+                onPaste={(e) => handlePaste(e, index)}
+                aria-label={t('optionEditor.option', { number: index + 1 })}
+                aria-invalid={Boolean(errors[index])}
+                aria-describedby={errors[index] ? `option-error-${index}` : undefined}
+                className={`flex-1 min-w-0 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300 ${
+                  errors[index] ? 'border-red-400' : 'border-line'
+                }`}
+                placeholder={t('optionEditor.option', { number: index + 1 })}
+              />
+              {showVoteCounts && option.voteCount > 0 && (
+                <span className="ms-2 text-xs text-fg-subtle whitespace-nowrap">{t('poll.votes', { count: option.voteCount })}</span>
+              )}
+              <button
+                onClick={() => move(index, index - 1)}
+                disabled={index === 0}
+                title={t('optionEditor.moveUpHint')}
+                aria-label={t('optionEditor.moveUp', { number: index + 1 })}
+                className="p-1 text-fg-subtle hover:text-brand-secondary disabled:opacity-30"
+              >
+                <ChevronUp className="w-4 h-4" aria-hidden="true" />
+              </button>
+              <button
+                onClick={() => move(index, index + 1)}
+                disabled={index === options.length - 1}
+                title={t('optionEditor.moveDownHint')}
+                aria-label={t('optionEditor.moveDown', { number: index + 1 })}
+                className="p-1 text-fg-subtle hover:text-brand-secondary disabled:opacity-30"
+              >
+                <ChevronDown className="w-4 h-4" aria-hidden="true" />
+              </button>
+              {options.length > 2 && (
+                <button
+                  onClick={() => onRemove(index)}
+                  title={t('optionEditor.remove')}
+                  aria-label={t('optionEditor.removeNumbered', { number: index + 1 })}
+                  className="ms-1 text-red-500 hover:text-red-700 transition-colors duration-200"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+            {errors[index] && <p id={`option-error-${index}`} className="mt-1 ms-5 text-sm text-red-500">{errors[index]}</p>}
+          </li>
+        ))}
+      </ol>
+
+      {notice && <p role="status" className="mt-2 text-sm text-yellow-600">{notice}</p>}
+
+      <div className="mt-3 flex items-center justify-between">
+        <button
+          onClick={addOption}
+          disabled={options.length >= maxOptions}
+          className="text-brand-strong hover:text-brand font-semibold transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          {t('optionEditor.add')}
+        </button>
+        <span className="text-xs text-fg-subtle">{t('optionEditor.hint', { count: options.length, max: maxOptions })}</span>
+      </div>
+    </div>
+  );
+};
+
+export default OptionListEditor;
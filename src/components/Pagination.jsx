@@ -0,0 +1,32 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { useI18n } from '../context/I18nContext';
+
+const Pagination = ({ page, totalPages, onChange }) => {
+  const { t } = useI18n();
+  if (totalPages <= 1) return null;
+
+  return (
+    <nav aria-label={t('pagination.label')} className="flex items-center justify-center mt-10 space-x-4 text-fg-muted">
+      <button
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+        className="flex items-center px-4 py-2 rounded-full bg-surface hover:bg-surface-hover disabled:opacity-40 transition-all duration-300"
+      >
+        <ChevronLeft className="w-4 h-4 me-1 rtl:rotate-180" aria-hidden="true" />
+        {t('pagination.previous')}
+      </button>
+      <span className="text-sm" aria-current="page">{t('pagination.page', { page, totalPages })}</span>
+      <button
+        onClick={() => onChange(page + 1)}
+        disabled={page >= totalPages}
+        className="flex items-center px-4 py-2 rounded-full bg-surface hover:bg-surface-hover disabled:opacity-40 transition-all duration-300"
+      >
+        {t('pagination.next')}
+        <ChevronRight className="w-4 h-4 ms-1 rtl:rotate-180" aria-hidden="true" />
+      </button>
+    </nav>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,74 @@
+import React, { useCallback, useEffect } from 'react';
+import { selectPersonalPolls } from '../store/pollStore';
+import { useAuth } from '../context/AuthContext';
+import { usePollStore, usePolls } from '../context/PollStoreContext';
+import { useToast } from '../context/ToastContext';
+import { useI18n } from '../context/I18nContext';
+import PollGrid from './PollGrid';
+
+// "/my/polls" (`view` 'created') and "/my/votes" (`view` 'voted'): the
+// signed-in user's polls, loaded when the view opens. `hiddenPollId` is left
+// out (a poll inside its undo window), `renderCard(poll, index)` draws each card.
+const PersonalPolls = ({ view, hiddenPollId, now, renderCard, onSignIn }) => {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+  const pollStore = usePollStore();
+  const toast = useToast();
+  const { t } = useI18n();
+  const personalPolls = usePolls(useCallback(
+    state => (state.personal.view === view ? selectPersonalPolls(state) : null),
+    [view]
+  ));
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    pollStore.loadPersonal(view)
+      .catch(error => {
+        console.error('Error fetching your polls:', error);
+        if (!cancelled) toast.error(t('polls.personalLoadFailed'));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [view, userId, pollStore, toast, t]);
+
+  if (!user) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-xl text-fg-muted mb-4">{t('personal.signIn')}</p>
+        <button
+          onClick={onSignIn}
+          className="bg-gradient-to-r from-brand to-brand-secondary text-white px-6 py-3 rounded-full font-semibold"
+        >
+          {t('login.submit')}
+        </button>
+      </div>
+    );
+  }
+
+  if (personalPolls === null) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-fg"></div>
+        <p className="text-fg mt-4">{t('polls.loading')}</p>
+      </div>
+    );
+  }
+
+  const shown = personalPolls.filter(poll => poll.id !== hiddenPollId);
+
+  if (shown.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-xl text-fg-muted">
+          {view === 'created' ? t('personal.noneCreated') : t('personal.noneVoted')}
+        </p>
+      </div>
+    );
+  }
+
+  return <PollGrid polls={shown} now={now} renderCard={renderCard} />;
+};
+
+export default PersonalPolls;
@@ -0,0 +1,195 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { LineChart } from 'lucide-react';
+import { pollsClient } from '../api/pollsClient';
+import { getTotalVotes } from '../utils/results';
+import { getPollType } from '../utils/pollTypes';
+import { BUCKET_UNITS, countLeadChanges, getLeadChanges, getTurnout, getVoteTimeline, sortVotes, suggestBucketUnit } from '../utils/analytics';
+import { useThrottledValue } from '../hooks/useThrottledValue';
+import { useI18n } from '../context/I18nContext';
+
+// The vote log holds every ballot, live votes reload it at most this often
+const VOTES_RELOAD_MS = 30000;
+
+// Votes per bucket as bars and the running total as a line. The table after
+// it carries the numbers, so the drawing is hidden from screen readers.
+const TimelineChart = ({ buckets }) => {
+  const maxCount = Math.max(...buckets.map(bucket => bucket.count));
+  const total = buckets[buckets.length - 1].total;
+  const width = 100 / buckets.length;
+  const points = buckets
+    .map((bucket, index) => `${(index + 0.5) * width},${100 - (bucket.total / total) * 100}`)
+    .join(' ');
+
+  return (
+    <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full h-40" aria-hidden="true">
+      {buckets.map((bucket, index) => (
+        <rect
+          key={bucket.start}
+          x={index * width + width * 0.1}
+          y={100 - (bucket.count / maxCount) * 100}
+          width={width * 0.8}
+          height={(bucket.count / maxCount) * 100}
+          fill="var(--brand)"
+          opacity="0.6"
+        />
+      ))}
+      <polyline points={points} fill="none" stroke="var(--brand-secondary)" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+// Vote timeline, turnout and the leading option over time for one poll,
+// built from the vote log. The log is loaded again when the vote count
+// changes, at most every VOTES_RELOAD_MS, so live votes show up.
+const PollAnalytics = ({ poll }) => {
+  const [votes, setVotes] = useState(null);
+  const [error, setError] = useState(null);
+  // null picks hours or days from the span of the votes
+  const [unit, setUnit] = useState(null);
+  const { t, formatNumber, formatPercent, formatDateTime, formatDate } = useI18n();
+  const totalVotes = useThrottledValue(getTotalVotes(poll), VOTES_RELOAD_MS);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    pollsClient.fetchVotes(poll.id, { signal: controller.signal })
+      .then(result => {
+        setVotes(sortVotes(result));
+        setError(null);
+      })
+      .catch(err => {
+        if (err?.name === 'AbortError') return;
+        console.error('Error fetching votes:', err);
+        setError(err);
+      });
+    return () => controller.abort();
+  }, [poll.id, totalVotes]);
+
+  const bucketUnit = unit || (votes ? suggestBucketUnit(votes) : 'hour');
+  const buckets = useMemo(() => (votes ? getVoteTimeline(votes, bucketUnit) : []), [votes, bucketUnit]);
+  const leadChanges = useMemo(() => (votes ? getLeadChanges(poll.options.length, votes) : []), [votes, poll.options.length]);
+
+  const formatBucket = (start) => (bucketUnit === 'day' ? formatDate(start) : formatDateTime(start));
+  const optionLabel = (index) => poll.options[index]?.voteOption ?? '';
+
+  const renderBody = () => {
+    if (!votes) {
+      return error
+        ? <p className="text-fg-muted">{t('analytics.loadFailed')}</p>
+        : <p className="text-fg-muted">{t('analytics.loading')}</p>;
+    }
+
+    const turnout = getTurnout(votes.length, poll.targetAudience);
+    const current = leadChanges[leadChanges.length - 1];
+    const changeCount = countLeadChanges(leadChanges);
+    const isRanked = getPollType(poll) === 'ranked';
+
+    return (
+      <div className="space-y-6">
+        <div>
+          <h4 className="text-xs font-semibold uppercase text-fg-subtle mb-2">{t('analytics.turnout')}</h4>
+          {turnout === null ? (
+            <p className="text-sm text-fg-muted">{t('analytics.noTarget')}</p>
+          ) : (
+            <>
+              <p className="text-sm text-fg-muted mb-1">
+                {t('analytics.turnoutValue', { voters: votes.length, target: poll.targetAudience, percent: formatPercent(turnout) })}
+              </p>
+              <div className="bg-control rounded-full h-3 overflow-hidden" aria-hidden="true">
+                <div className="h-full bg-gradient-to-r from-brand to-brand-secondary" style={{ width: `${Math.min(turnout, 100)}%` }}></div>
+              </div>
+            </>
+          )}
+        </div>
+
+        {votes.length === 0 ? (
+          <p className="text-sm text-fg-muted">{t('analytics.empty')}</p>
+        ) : (
+          <>
+            <div>
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <h4 className="text-xs font-semibold uppercase text-fg-subtle">{t('analytics.timeline')}</h4>
+                <div className="flex items-center gap-1">
+                  {BUCKET_UNITS.map(id => (
+                    <button
+                      key={id}
+                      onClick={() => setUnit(id)}
+                      aria-pressed={bucketUnit === id}
+                      className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+                        bucketUnit === id ? 'bg-brand text-white' : 'text-fg-muted hover:bg-surface-hover'
+                      }`}
+                    >
+                      {t(`analytics.unit.${id}`)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <TimelineChart buckets={buckets} />
+              <div className="flex justify-between text-xs text-fg-subtle mt-1" aria-hidden="true">
+                <span>{formatBucket(buckets[0].start)}</span>
+                {buckets.length > 1 && <span>{formatBucket(buckets[buckets.length - 1].start)}</span>}
+              </div>
+              <table className="sr-only">
+                <caption>{t('analytics.timeline')}</caption>
+                <thead>
+                  <tr>
+                    <th scope="col">{t('analytics.period')}</th>
+                    <th scope="col">{t('analytics.votes')}</th>
+                    <th scope="col">{t('analytics.total')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {buckets.filter(bucket => bucket.count > 0).map(bucket => (
+                    <tr key={bucket.start}>
+                      <th scope="row">{formatBucket(bucket.start)}</th>
+                      <td>{formatNumber(bucket.count)}</td>
+                      <td>{formatNumber(bucket.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <h4 className="text-xs font-semibold uppercase text-fg-subtle mb-2">
+                {isRanked ? t('analytics.leadFirstPreferences') : t('analytics.lead')}
+              </h4>
+              {isRanked && <p className="text-sm text-fg-muted mb-2">{t('analytics.leadRanked')}</p>}
+              <p className="text-sm text-fg mb-1">
+                {current.leader === null
+                  ? t('analytics.tiedSince', { time: formatDateTime(current.time), count: votes.length - current.voteNumber })
+                  : t('analytics.leadSince', { option: optionLabel(current.leader), time: formatDateTime(current.time), count: votes.length - current.voteNumber })}
+              </p>
+              <p className="text-sm text-fg-muted mb-2">
+                {changeCount > 0 ? t('analytics.leadChanges', { count: changeCount }) : t('analytics.noLeadChanges')}
+              </p>
+              <ol className="space-y-1 text-sm">
+                {leadChanges.map(change => (
+                  <li key={change.voteNumber} className="flex flex-wrap gap-x-2">
+                    <span className="text-fg-subtle">{formatDateTime(change.time)}</span>
+                    <span className="text-fg-muted">
+                      {change.leader === null
+                        ? t('analytics.tie', { number: change.voteNumber })
+                        : t('analytics.tookLead', { option: optionLabel(change.leader), number: change.voteNumber })}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <section className="bg-surface backdrop-blur-lg rounded-2xl p-6 shadow-xl">
+      <h3 className="flex items-center text-lg font-bold text-fg-muted mb-6">
+        <LineChart className="w-5 h-5 me-2" aria-hidden="true" />
+        {t('analytics.title')}
+      </h3>
+      {renderBody()}
+    </section>
+  );
+};
+
+export default PollAnalytics;
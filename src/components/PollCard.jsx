@@ -0,0 +1,190 @@
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Vote, Users, BarChart3, Delete, Clock, Lock, ShieldCheck, Pencil, Eye, Copy, Code } from 'lucide-react';
+import { getTotalVotes } from '../utils/results';
+import { getCountdownLabel, getPollStatus } from '../utils/pollStatus';
+import { getChosenIndexes } from '../utils/pollTypes';
+import { useAuth } from '../context/AuthContext';
+import { useI18n } from '../context/I18nContext';
+import IconButton from './IconButton';
+import PollOptions from './PollOptions';
+import VoteComment from './VoteComment';
+import CommentThread from './CommentThread';
+
+// One poll in the list, or the main card of the poll page when `expanded` is set.
+// `votedEntry` is the device's vote from storage/votedPolls, `isPending` marks a
+// vote waiting in the outbox. `onVote(choice, extras)` also gets the comment and
+// voter name of public polls. The owner actions are only shown when `isOwner`.
+const PollCard = ({
+  poll,
+  index = 0,
+  now,
+  votedEntry,
+  isPending = false,
+  isOwner = false,
+  expanded = false,
+  commentDraft = '',
+  onCommentDraftChange,
+  voterName,
+  onVoterNameChange,
+  onVote,
+  onDuplicate,
+  onEmbed,
+  onClose,
+  onDelete,
+  onSignIn,
+}) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+
+  const totalVotes = getTotalVotes(poll);
+  const hasVoted = Boolean(votedEntry);
+  const chosenIndexes = votedEntry ? getChosenIndexes(votedEntry.choice ?? votedEntry.optionIndex) : [];
+  const status = getPollStatus(poll, now);
+  const countdown = getCountdownLabel(poll, now, t);
+  // Closed polls always show their final results
+  const showResults = hasVoted || status === 'closed';
+  // Internal polls only accept votes from signed-in members
+  const needsSignIn = Boolean(poll.internal) && !user;
+  // Public polls show who voted for what, so guests have to give a name
+  const isPublic = poll.visibility === 'public';
+  const needsName = isPublic && !user && !voterName.trim();
+  const canVote = !hasVoted && !poll.pending && status === 'open' && !needsSignIn && !needsName;
+  const showVoteComment = isPublic && !hasVoted && !poll.pending && status === 'open' && !needsSignIn;
+  const voteExtras = isPublic
+    ? { comment: commentDraft.trim() || undefined, voterName: user ? undefined : voterName.trim() }
+    : {};
+  const canChange = isOwner && !poll.pending && status !== 'closed';
+
+  return (
+    <div
+      className="poll-card bg-surface backdrop-blur-lg rounded-2xl p-6 shadow-xl hover:shadow-2xl transform hover:scale-105 transition-all duration-300 animate-fade-in"
+      style={{ animationDelay: `${index * 0.1}s` }}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <Vote className="w-6 h-6 text-brand-strong" aria-hidden="true" />
+        <div className="flex items-center text-fg-muted">
+          <Users className="w-4 h-4 me-1" aria-hidden="true" />
+          {/* Keyed on the count so the bump animation replays on every live update */}
+          <span key={totalVotes} className="text-sm animate-count-bump">{t('poll.votes', { count: totalVotes })}</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          {!poll.pending && (
+            <IconButton label={t('poll.duplicate')} onClick={() => onDuplicate(poll)} className="hover:text-green-400">
+              <Copy className="w-5 h-5" aria-hidden="true" />
+            </IconButton>
+          )}
+          {!poll.pending && (
+            <IconButton label={t('embed.action')} onClick={() => onEmbed(poll)} className="hover:text-brand-secondary">
+              <Code className="w-5 h-5" aria-hidden="true" />
+            </IconButton>
+          )}
+          {canChange && (
+            <IconButton label={t('poll.close')} onClick={() => onClose(poll.id)} className="hover:text-yellow-400">
+              <Lock className="w-5 h-5" aria-hidden="true" />
+            </IconButton>
+          )}
+          {canChange && (
+            <IconButton label={t('poll.edit')} onClick={() => navigate(`/polls/${poll.id}/edit`)} className="hover:text-brand-secondary">
+              <Pencil className="w-5 h-5" aria-hidden="true" />
+            </IconButton>
+          )}
+          {isOwner && !poll.pending && (
+            <IconButton label={t('poll.delete')} onClick={() => onDelete(poll.id)} className="hover:text-red-600">
+              <Delete aria-hidden="true" />
+            </IconButton>
+          )}
+        </div>
+      </div>
+
+      {countdown && (
+        <div className={`mb-3 me-2 inline-flex items-center px-3 py-1 rounded-full text-white text-xs font-medium ${
+          status === 'closed' ? 'bg-gray-500' : status === 'scheduled' ? 'bg-blue-500' : 'bg-brand-secondary'
+        }`}>
+          {status === 'closed' ? <Lock className="w-3 h-3 me-1" aria-hidden="true" /> : <Clock className="w-3 h-3 me-1" aria-hidden="true" />}
+          {countdown}
+        </div>
+      )}
+
+      {isPublic && (
+        <div className="mb-3 me-2 inline-flex items-center px-3 py-1 rounded-full bg-pink-500 text-white text-xs font-medium">
+          <Eye className="w-3 h-3 me-1" aria-hidden="true" />
+          {t('poll.publicBadge')}
+        </div>
+      )}
+
+      {poll.internal && (
+        <div className="mb-3 me-2 inline-flex items-center px-3 py-1 rounded-full bg-teal-500 text-white text-xs font-medium">
+          <ShieldCheck className="w-3 h-3 me-1" aria-hidden="true" />
+          {t('poll.internalBadge')}
+        </div>
+      )}
+
+      {(poll.pending || isPending) && (
+        <div className="mb-3 inline-flex items-center px-3 py-1 rounded-full bg-yellow-500 text-white text-xs font-medium">
+          <div className="w-2 h-2 rounded-full me-2 bg-yellow-300 animate-pulse"></div>
+          {poll.pending ? t('poll.pendingCreate') : t('poll.pendingVote')}
+        </div>
+      )}
+
+      <h3 id={`poll-${poll.id}-question`} className="text-xl font-bold text-fg mb-6">
+        {poll.pending ? poll.question : (
+          <Link to={`/polls/${poll.id}`} className="hover:text-brand-strong transition-colors duration-200">
+            {poll.question}
+          </Link>
+        )}
+      </h3>
+
+      {poll.createdBy?.name && (
+        <p className="-mt-4 mb-6 text-sm text-fg-subtle">{t('poll.by', { name: poll.createdBy.name })}</p>
+      )}
+
+      {needsSignIn && status === 'open' && !hasVoted && (
+        <button
+          onClick={onSignIn}
+          className="mb-4 w-full text-sm text-brand-strong hover:text-brand font-semibold"
+        >
+          {t('poll.signInToVote')}
+        </button>
+      )}
+
+      {showVoteComment && (
+        <VoteComment
+          comment={commentDraft}
+          onCommentChange={(text) => onCommentDraftChange(poll.id, text)}
+          voterName={voterName}
+          onVoterNameChange={onVoterNameChange}
+          askName={!user}
+        />
+      )}
+
+      <PollOptions
+        poll={poll}
+        showResults={showResults}
+        canVote={canVote}
+        chosenIndexes={chosenIndexes}
+        onVote={(choice) => onVote(poll.id, choice, voteExtras)}
+      />
+
+      {showResults && (
+        <div className="mt-4 text-center">
+          <div className="flex items-center justify-center text-fg-muted">
+            <BarChart3 className="w-4 h-4 me-1" aria-hidden="true" />
+            <span className="text-sm">{status === 'closed' ? t('poll.finalResults') : t('poll.resultsAfterVoting')}</span>
+          </div>
+          {!expanded && (
+            <Link to={`/polls/${poll.id}`} className="text-sm text-brand-strong hover:text-brand font-semibold">
+              {t('poll.viewResults')}
+            </Link>
+          )}
+        </div>
+      )}
+
+      {/* Comments give away votes, so they are hidden with the results */}
+      {isPublic && showResults && <CommentThread poll={poll} expanded={expanded} />}
+    </div>
+  );
+};
+
+export default PollCard;
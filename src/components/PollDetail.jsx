@@ -0,0 +1,75 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, BarChart3 } from 'lucide-react';
+import { selectPoll } from '../store/pollStore';
+import { getPollStatus } from '../utils/pollStatus';
+import { usePollStore, usePolls } from '../context/PollStoreContext';
+import { useI18n } from '../context/I18nContext';
+import PollShare from './PollShare';
+import ResultsPanel from './ResultsPanel';
+import PollAnalytics from './PollAnalytics';
+
+// "/polls/:pollId": one poll with its share link, and its results and
+// analytics once `votedPolls` has a vote for it or it is closed. The poll is
+// loaded on its own, so shared links work before (or without) the list.
+const PollDetail = ({ pollId, votedPolls, now, renderCard }) => {
+  const pollStore = usePollStore();
+  const { t } = useI18n();
+  const poll = usePolls(useCallback(state => selectPoll(state, pollId), [pollId]));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    pollStore.loadPoll(pollId)
+      .catch(loadError => {
+        console.error('Error fetching poll:', loadError);
+        if (!cancelled) setError(loadError);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pollId, pollStore]);
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <Link to="/" className="inline-flex items-center text-fg-muted hover:text-fg mb-6">
+        <ArrowLeft className="w-4 h-4 me-1 rtl:rotate-180" aria-hidden="true" />
+        {t('nav.allPolls')}
+      </Link>
+
+      {poll ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-8 items-start">
+          {renderCard(poll, 0)}
+          <PollShare url={window.location.href} />
+          <div className="md:col-span-2">
+            {votedPolls[poll.id] || getPollStatus(poll, now) === 'closed' ? (
+              <div className="space-y-8">
+                <ResultsPanel poll={poll} />
+                <PollAnalytics poll={poll} />
+              </div>
+            ) : (
+              <div className="flex items-center justify-center text-fg-muted py-6">
+                <BarChart3 className="w-4 h-4 me-1" />
+                <span className="text-sm">{t('detail.voteToSeeResults')}</span>
+              </div>
+            )}
+          </div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-12">
+          <p className="text-xl text-fg-muted">
+            {error.status === 404 ? t('poll.notFound') : t('poll.loadFailed')}
+          </p>
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-fg"></div>
+          <p className="text-fg mt-4">{t('poll.loading')}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PollDetail;
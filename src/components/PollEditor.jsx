@@ -0,0 +1,81 @@
+import React from 'react';
+import { useI18n } from '../context/I18nContext';
+import ConfirmDialog from './ConfirmDialog';
+import CreatePollModal from './CreatePollModal';
+import MergeDialog from './MergeDialog';
+import Modal from './Modal';
+
+// The create / edit modal with its confirmations and the merge dialog after an
+// edit conflict. `editor` is the state and actions from usePollEditor.
+const PollEditor = ({ editor }) => {
+  const { t } = useI18n();
+  const { form, confirmRemoveIndex } = editor;
+
+  return (
+    <>
+      {confirmRemoveIndex !== null && (
+        <ConfirmDialog
+          title={t('removeOption.title')}
+          message={t('removeOption.message', {
+            option: form.options[confirmRemoveIndex]?.voteOption,
+            count: form.options[confirmRemoveIndex]?.voteCount
+          })}
+          confirmLabel={t('removeOption.confirm')}
+          onConfirm={editor.confirmRemoveOption}
+          onCancel={editor.cancelRemoveOption}
+        />
+      )}
+
+      {editor.replaceDraftWith && (
+        <ConfirmDialog
+          title={t('replaceDraft.title')}
+          message={t('replaceDraft.message', { question: editor.newPoll.question.trim() || t('replaceDraft.untitled') })}
+          confirmLabel={t('replaceDraft.confirm')}
+          onConfirm={editor.confirmReplaceDraft}
+          onCancel={editor.cancelReplaceDraft}
+        />
+      )}
+
+      {editor.editConflict && (
+        <MergeDialog
+          mine={editor.editForm}
+          theirs={editor.editConflict.theirs}
+          conflicts={editor.editConflict.conflicts}
+          onReviewMerged={editor.reviewMergedEdits}
+          onKeepMine={editor.overwriteWithMine}
+          onUseTheirs={editor.discardMyEdits}
+          onCancel={editor.cancelMerge}
+        />
+      )}
+
+      {editor.editUnavailableMessage && (
+        <Modal titleId="edit-unavailable-message" onClose={editor.closeEditForm} className="max-w-sm text-center">
+          <p id="edit-unavailable-message" role="status" className="text-fg mb-6">{editor.editUnavailableMessage}</p>
+          <button
+            onClick={editor.closeEditForm}
+            className="px-6 bg-control text-fg py-3 rounded-lg font-semibold hover:bg-control-hover transition-colors duration-300"
+          >
+            {t('common.back')}
+          </button>
+        </Modal>
+      )}
+
+      {editor.isOpen && (
+        <CreatePollModal
+          form={form}
+          errors={editor.formErrors}
+          isEditing={editor.isEditing}
+          saving={editor.saving}
+          onChange={editor.setForm}
+          onRemoveOption={editor.handleRemoveOption}
+          onApplyTemplate={editor.fillCreateForm}
+          onDiscardDraft={editor.discardDraft}
+          onSubmit={editor.submit}
+          onClose={editor.close}
+        />
+      )}
+    </>
+  );
+};
+
+export default PollEditor;
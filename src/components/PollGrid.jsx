@@ -0,0 +1,32 @@
+import React from 'react';
+import { Lock } from 'lucide-react';
+import { getPollStatus } from '../utils/pollStatus';
+import { useI18n } from '../context/I18nContext';
+import VirtualGrid from './VirtualGrid';
+
+// Poll cards in a responsive grid (see VirtualGrid), `renderCard(poll, index)` draws each of them.
+// With `splitClosed` the closed polls are listed separately, below the ones
+// still accepting votes.
+const PollGrid = ({ polls, now, splitClosed = false, renderCard }) => {
+  const { t } = useI18n();
+  const activePolls = splitClosed ? polls.filter(poll => getPollStatus(poll, now) !== 'closed') : polls;
+  const closedPolls = splitClosed ? polls.filter(poll => getPollStatus(poll, now) === 'closed') : [];
+
+  return (
+    <>
+      <VirtualGrid items={activePolls} renderItem={renderCard} />
+
+      {closedPolls.length > 0 && (
+        <>
+          <h2 className="flex items-center text-2xl font-bold text-fg-muted mt-12 mb-6">
+            <Lock className="w-5 h-5 me-2" aria-hidden="true" />
+            {t('polls.closed')}
+          </h2>
+          <VirtualGrid items={closedPolls} renderItem={renderCard} />
+        </>
+      )}
+    </>
+  );
+};
+
+export default PollGrid;
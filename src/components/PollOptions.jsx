@@ -0,0 +1,101 @@
+import React from 'react';
+import { CheckCircle } from 'lucide-react';
+import { getPollType } from '../utils/pollTypes';
+import { getVotePercentages } from '../utils/results';
+import { moveFocusWithArrows } from '../utils/a11y';
+import { useI18n } from '../context/I18nContext';
+import MultiChoiceBallot from './MultiChoiceBallot';
+import RankedBallot from './RankedBallot';
+import RatingBallot from './RatingBallot';
+import RankedResults from './RankedResults';
+import RatingResults from './RatingResults';
+import VoterList from './VoterList';
+
+// The ballot of a poll card, replaced by the results once `showResults` is set.
+// `chosenIndexes` marks the options of the device's own vote, `onVote` gets the
+// choice in the format of the poll type (see utils/pollTypes).
+const PollOptions = ({ poll, showResults, canVote, chosenIndexes = [], onVote }) => {
+  const { t, formatPercent } = useI18n();
+  const type = getPollType(poll);
+  const percentages = getVotePercentages(poll.options);
+  const isPublic = poll.visibility === 'public';
+
+  return (
+    <>
+      {/* Multi-select, ranked and rating polls have their own ballots until results are shown */}
+      {type === 'multi' && !showResults && (
+        <MultiChoiceBallot poll={poll} disabled={!canVote} onSubmit={onVote} />
+      )}
+      {type === 'ranked' && (showResults
+        ? <RankedResults poll={poll} />
+        : <RankedBallot poll={poll} disabled={!canVote} onSubmit={onVote} />
+      )}
+      {type === 'rating' && (showResults
+        ? <RatingResults poll={poll} />
+        : <RatingBallot poll={poll} disabled={!canVote} onSubmit={onVote} />
+      )}
+
+      {/* Arrow keys move between the options, the buttons announce the vote counts once results are shown */}
+      {(type === 'single' || (type === 'multi' && showResults)) && (
+        <div
+          role="group"
+          aria-labelledby={`poll-${poll.id}-question`}
+          onKeyDown={(e) => moveFocusWithArrows(e, 'button[data-option]')}
+          className="space-y-3"
+        >
+          {poll.options.map((option, optionIndex) => {
+            const percentage = percentages[optionIndex];
+            const isChosen = chosenIndexes.includes(optionIndex);
+
+            return (
+              <div key={optionIndex} className="relative">
+                <button
+                  onClick={() => canVote && type === 'single' && onVote(optionIndex)}
+                  disabled={!canVote}
+                  data-option={optionIndex}
+                  aria-pressed={isChosen}
+                  className={`w-full text-start p-4 rounded-lg border-2 transition-all duration-300 ${
+                    isChosen
+                      ? 'bg-brand/10 border-brand cursor-not-allowed'
+                      : !canVote
+                      ? 'bg-control border-line cursor-not-allowed'
+                      : 'bg-surface border-line hover:border-brand hover:bg-surface-hover cursor-pointer'
+                  }`}
+                >
+                  <div className="flex justify-between items-center">
+                    <span className="text-fg font-medium">{option.voteOption}</span>
+                    <span className="text-brand-strong font-bold">
+                      {formatPercent(percentage)}
+                      {showResults && <span className="sr-only">, {t('poll.votes', { count: option.voteCount })}</span>}
+                    </span>
+                  </div>
+
+                  {showResults && (
+                    <div className="mt-2 bg-control rounded-full h-2 overflow-hidden" aria-hidden="true">
+                      <div
+                        className="h-full bg-gradient-to-r from-brand to-brand-secondary transition-all duration-1000 ease-out"
+                        style={{ width: `${percentage}%` }}
+                      ></div>
+                    </div>
+                  )}
+                </button>
+
+                {isChosen && (
+                  <div className="absolute top-2 end-2" title={t('poll.yourVote')}>
+                    <div className="bg-green-500 rounded-full p-1">
+                      <CheckCircle className="w-4 h-4 text-white" aria-hidden="true" />
+                    </div>
+                  </div>
+                )}
+
+                {isPublic && showResults && <VoterList voters={option.voters} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default PollOptions;
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { Copy, Check } from 'lucide-react';
+import { useI18n } from '../context/I18nContext';
+
+// Copy-link button and a QR code for a poll URL. The QR code is rendered
+// in the browser, the URL is never sent to a third-party service.
+const PollShare = ({ url }) => {
+  const [qrCode, setQrCode] = useState('');
+  const [copied, setCopied] = useState(false);
+  const { t } = useI18n();
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(url, { margin: 1, width: 192 })
+      .then(dataUrl => !cancelled && setQrCode(dataUrl))
+      .catch(error => console.error('Could not generate QR code:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (error) {
+      // Clipboard access can be denied, fall back to a prompt the user can copy from
+      console.error('Could not copy link:', error);
+      window.prompt(t('share.copyPrompt'), url);
+    }
+  };
+
+  return (
+    <div className="bg-surface backdrop-blur-lg rounded-2xl p-6 shadow-xl flex flex-col items-center">
+      <h3 className="text-lg font-bold text-fg-muted mb-4">{t('share.title')}</h3>
+
+      <div className="flex w-full mb-4">
+        <input
+          type="text"
+          readOnly
+          aria-label={t('share.link')}
+          value={url}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-3 py-2 rounded-s-lg border border-line text-fg text-sm"
+        />
+        <button
+          onClick={copyLink}
+          className="bg-gradient-to-r from-brand to-brand-secondary text-white px-4 rounded-e-lg font-semibold flex items-center"
+        >
+          {copied ? <Check className="w-4 h-4 me-1" /> : <Copy className="w-4 h-4 me-1" />}
+          {copied ? t('share.copied') : t('share.copy')}
+        </button>
+      </div>
+
+      {qrCode && (
+        <img src={qrCode} alt={t('share.qrCode')} className="w-48 h-48 rounded-lg bg-white" />
+      )}
+    </div>
+  );
+};
+
+export default PollShare;
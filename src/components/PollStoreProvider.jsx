@@ -0,0 +1,12 @@
+import React, { useState } from 'react';
+import { createPollStore } from '../store/pollStore';
+import { PollStoreContext } from '../context/PollStoreContext';
+
+// `store` replaces the app's own store, e.g. one around a different client
+const PollStoreProvider = ({ store, children }) => {
+  const [pollStore] = useState(() => store || createPollStore());
+
+  return <PollStoreContext.Provider value={pollStore}>{children}</PollStoreContext.Provider>;
+};
+
+export default PollStoreProvider;
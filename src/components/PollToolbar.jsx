@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { Search, X } from 'lucide-react';
+import { SORT_OPTIONS } from '../utils/pollQuery';
+import { useI18n } from '../context/I18nContext';
+
+const selectClass = 'px-3 py-2 rounded-lg bg-surface text-fg-muted border border-line focus:ring-2 focus:ring-brand focus:border-transparent';
+
+// Search box, filters and sort order for the poll grid. The search text is
+// applied after a short pause in typing, everything else immediately.
+const PollToolbar = ({ query, onChange }) => {
+  const [search, setSearch] = useState(query.q);
+  const { t } = useI18n();
+
+  // Follow the URL on back/forward navigation
+  useEffect(() => {
+    setSearch(query.q);
+  }, [query.q]);
+
+  useEffect(() => {
+    if (search === query.q) return;
+    const timer = setTimeout(() => onChange({ q: search }), 300);
+    return () => clearTimeout(timer);
+  }, [search, query.q, onChange]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-8">
+      <div className="relative flex-1 min-w-[14rem]">
+        <Search className="absolute start-3 top-1/2 -translate-y-1/2 w-4 h-4 text-fg-subtle" aria-hidden="true" />
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t('toolbar.searchPlaceholder')}
+          aria-label={t('toolbar.search')}
+          className="w-full ps-9 pe-9 py-2 rounded-lg bg-surface text-fg-muted placeholder-fg-subtle border border-line focus:ring-2 focus:ring-brand focus:border-transparent"
+        />
+        {search && (
+          <button
+            onClick={() => setSearch('')}
+            title={t('toolbar.clearSearch')}
+            aria-label={t('toolbar.clearSearch')}
+            className="absolute end-3 top-1/2 -translate-y-1/2 text-fg-subtle hover:text-fg"
+          >
+            <X className="w-4 h-4" aria-hidden="true" />
+          </button>
+        )}
+      </div>
+
+      <select value={query.voted} onChange={(e) => onChange({ voted: e.target.value })} aria-label={t('toolbar.filterVoted')} className={selectClass}>
+        <option value="all">{t('toolbar.voted.all')}</option>
+        <option value="voted">{t('toolbar.voted.voted')}</option>
+        <option value="not-voted">{t('toolbar.voted.notVoted')}</option>
+      </select>
+
+      <select value={query.status} onChange={(e) => onChange({ status: e.target.value })} aria-label={t('toolbar.filterStatus')} className={selectClass}>
+        <option value="all">{t('toolbar.status.all')}</option>
+        <option value="open">{t('toolbar.status.open')}</option>
+        <option value="closed">{t('toolbar.status.closed')}</option>
+      </select>
+
+      <label className="flex items-center text-fg-muted cursor-pointer">
+        <input
+          type="checkbox"
+          checked={query.mine}
+          onChange={(e) => onChange({ mine: e.target.checked })}
+          className="me-2 accent-brand"
+        />
+        {t('toolbar.mine')}
+      </label>
+
+      <select value={query.sort} onChange={(e) => onChange({ sort: e.target.value })} aria-label={t('toolbar.sort')} className={selectClass}>
+        {SORT_OPTIONS.map(option => (
+          <option key={option.id} value={option.id}>{t(`sort.${option.id}`)}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default PollToolbar;
@@ -0,0 +1,112 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronUp, ChevronDown, GripVertical } from 'lucide-react';
+import { moveFocusWithArrows } from '../utils/a11y';
+import { useI18n } from '../context/I18nContext';
+
+// Ballot for ranked-choice polls: drag options (or use the arrows) into
+// preference order, most preferred first, then submit the full ranking.
+// With the keyboard, the arrow keys move between options and Alt+Up /
+// Alt+Down move the focused option.
+const RankedBallot = ({ poll, disabled, onSubmit }) => {
+  const [ranking, setRanking] = useState(() => poll.options.map((_, index) => index));
+  const [dragged, setDragged] = useState(null);
+  const { t } = useI18n();
+  const items = useRef([]);
+  // Position to focus after the next render, keeps focus on a moved option
+  const focusPosition = useRef(null);
+
+  useEffect(() => {
+    if (focusPosition.current === null) return;
+    items.current[focusPosition.current]?.focus();
+    focusPosition.current = null;
+  });
+
+  const move = (from, to) => {
+    if (to < 0 || to >= ranking.length || from === to) return;
+    const next = [...ranking];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    setRanking(next);
+  };
+
+  const handleKeyDown = (e, position) => {
+    if (disabled) return;
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      const to = e.key === 'ArrowUp' ? position - 1 : position + 1;
+      if (to < 0 || to >= ranking.length) return;
+      focusPosition.current = to;
+      move(position, to);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p id={`rank-hint-${poll.id}`} className="text-sm text-fg-muted">
+        {t('ballot.rankHint')} <span className="sr-only">{t('ballot.rankKeyboardHint')}</span>
+      </p>
+      <ol
+        aria-label={poll.question}
+        aria-describedby={`rank-hint-${poll.id}`}
+        onKeyDown={(e) => moveFocusWithArrows(e, 'li')}
+        className="space-y-2"
+      >
+        {ranking.map((optionIndex, position) => (
+          <li
+            key={optionIndex}
+            ref={(element) => { items.current[position] = element; }}
+            tabIndex={0}
+            onKeyDown={(e) => handleKeyDown(e, position)}
+            aria-label={t('ballot.rankItem', { position: position + 1, option: poll.options[optionIndex].voteOption })}
+            draggable={!disabled}
+            onDragStart={() => setDragged(position)}
+            onDragOver={(e) => {
+              e.preventDefault();
+              if (dragged !== null && dragged !== position) {
+                move(dragged, position);
+                setDragged(position);
+              }
+            }}
+            onDragEnd={() => setDragged(null)}
+            className={`flex items-center p-3 rounded-lg border-2 bg-surface transition-all duration-200 ${
+              dragged === position ? 'border-brand opacity-60' : 'border-line'
+            } ${disabled ? 'cursor-not-allowed' : 'cursor-grab'}`}
+          >
+            <GripVertical className="w-4 h-4 me-2 text-fg-subtle" aria-hidden="true" />
+            <span className="w-6 text-brand-strong font-bold">{t('ballot.rankPosition', { position: position + 1 })}</span>
+            <span className="flex-1 text-fg font-medium">{poll.options[optionIndex].voteOption}</span>
+            <button
+              onClick={() => move(position, position - 1)}
+              disabled={disabled || position === 0}
+              title={t('common.moveUp')}
+              aria-label={t('ballot.moveOptionUp', { option: poll.options[optionIndex].voteOption })}
+              tabIndex={-1}
+              className="p-1 text-fg-subtle hover:text-brand-strong disabled:opacity-30"
+            >
+              <ChevronUp className="w-4 h-4" aria-hidden="true" />
+            </button>
+            <button
+              onClick={() => move(position, position + 1)}
+              disabled={disabled || position === ranking.length - 1}
+              title={t('common.moveDown')}
+              aria-label={t('ballot.moveOptionDown', { option: poll.options[optionIndex].voteOption })}
+              tabIndex={-1}
+              className="p-1 text-fg-subtle hover:text-brand-strong disabled:opacity-30"
+            >
+              <ChevronDown className="w-4 h-4" aria-hidden="true" />
+            </button>
+          </li>
+        ))}
+      </ol>
+      <button
+        onClick={() => onSubmit({ ranking })}
+        disabled={disabled}
+        className="w-full bg-gradient-to-r from-brand to-brand-secondary text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all duration-300 disabled:opacity-50"
+      >
+        {t('ballot.submitRanking')}
+      </button>
+    </div>
+  );
+};
+
+export default RankedBallot;
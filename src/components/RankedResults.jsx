@@ -0,0 +1,69 @@
+import React from 'react';
+import { Trophy } from 'lucide-react';
+import { computeInstantRunoff } from '../utils/pollTypes';
+import { useI18n } from '../context/I18nContext';
+
+// Instant-runoff results for ranked-choice polls, round by round.
+// Needs `poll.ballots` (rankings of option indexes) from the backend.
+const RankedResults = ({ poll }) => {
+  const { t, formatNumber } = useI18n();
+  if (!Array.isArray(poll.ballots)) {
+    return <p className="text-sm text-fg-muted">{t('results.roundsUnavailable')}</p>;
+  }
+
+  const { rounds, winner } = computeInstantRunoff(poll.options.length, poll.ballots);
+  const optionName = (index) => poll.options[index].voteOption;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center text-fg font-semibold">
+        <Trophy className="w-5 h-5 me-2 text-yellow-400" aria-hidden="true" />
+        {winner !== null ? t('results.winner', { option: optionName(winner) }) : t('results.tie')}
+      </div>
+
+      {rounds.map((round, roundIndex) => {
+        const active = poll.ballots.length - round.exhausted;
+        return (
+          <div key={roundIndex}>
+            <p className="text-xs uppercase tracking-wide text-fg-muted mb-2">{t('results.round', { number: roundIndex + 1 })}</p>
+            <div className="space-y-2">
+              {Object.entries(round.counts)
+                .sort(([, a], [, b]) => b - a)
+                .map(([index, count]) => {
+                  const optionIndex = Number(index);
+                  const percentage = active > 0 ? (count / active) * 100 : 0;
+                  const isEliminated = round.eliminated.includes(optionIndex);
+                  return (
+                    <div key={optionIndex}>
+                      <div className={`flex justify-between text-sm ${isEliminated ? 'text-fg-subtle line-through' : 'text-fg'}`}>
+                        <span className="font-medium">{optionName(optionIndex)}</span>
+                        <span>
+                          {formatNumber(count)}
+                          <span className="sr-only">
+                            {' '}{t('results.votesLabel', { count })}{isEliminated && `, ${t('results.eliminated')}`}
+                          </span>
+                        </span>
+                      </div>
+                      <div className="mt-1 bg-control rounded-full h-2 overflow-hidden" aria-hidden="true">
+                        <div
+                          className={`h-full transition-all duration-1000 ease-out ${
+                            round.winner === optionIndex ? 'bg-gradient-to-r from-yellow-400 to-orange-400' : 'bg-gradient-to-r from-brand to-brand-secondary'
+                          }`}
+                          style={{ width: `${percentage}%` }}
+                        ></div>
+                      </div>
+                    </div>
+                  );
+                })}
+            </div>
+            {round.exhausted > 0 && (
+              <p className="text-xs text-fg-subtle mt-1">{t('results.exhausted', { count: round.exhausted })}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RankedResults;
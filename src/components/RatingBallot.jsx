@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+import { RATING_SCALE } from '../utils/pollTypes';
+import { moveFocusWithArrows } from '../utils/a11y';
+import { useI18n } from '../context/I18nContext';
+
+// Ballot for rating polls: rate every option from 1 to 5, then submit.
+// Each option's stars are a radio group: Tab reaches the group, the arrow
+// keys change the rating.
+const RatingBallot = ({ poll, disabled, onSubmit }) => {
+  const [ratings, setRatings] = useState(() => poll.options.map(() => 0));
+  const { t } = useI18n();
+
+  const rate = (optionIndex, value) =>
+    setRatings(ratings.map((rating, index) => (index === optionIndex ? value : rating)));
+
+  const handleKeyDown = (e) => {
+    if (moveFocusWithArrows(e, '[role="radio"]')) document.activeElement.click();
+  };
+
+  return (
+    <div className="space-y-3">
+      {poll.options.map((option, optionIndex) => (
+        <div key={optionIndex} className="flex items-center justify-between p-3 rounded-lg border-2 border-line bg-surface">
+          <span id={`rating-${poll.id}-${optionIndex}`} className="text-fg font-medium me-2">{option.voteOption}</span>
+          <div role="radiogroup" aria-labelledby={`rating-${poll.id}-${optionIndex}`} onKeyDown={handleKeyDown} className="flex">
+            {RATING_SCALE.map(value => (
+              <button
+                key={value}
+                onClick={() => rate(optionIndex, value)}
+                disabled={disabled}
+                role="radio"
+                aria-checked={value === ratings[optionIndex]}
+                aria-label={t('ballot.ratingValue', { value, max: RATING_SCALE.length })}
+                // Only the current rating (or the first star) is in the tab order
+                tabIndex={value === (ratings[optionIndex] || RATING_SCALE[0]) ? 0 : -1}
+                title={t('ballot.ratingValue', { value, max: RATING_SCALE.length })}
+                className="p-0.5 disabled:cursor-not-allowed"
+              >
+                <Star aria-hidden="true" className={`w-5 h-5 ${
+                  value <= ratings[optionIndex] ? 'text-yellow-400 fill-yellow-400' : 'text-fg-subtle'
+                }`} />
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button
+        onClick={() => onSubmit({ ratings })}
+        disabled={disabled || ratings.some(rating => rating === 0)}
+        className="w-full bg-gradient-to-r from-brand to-brand-secondary text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all duration-300 disabled:opacity-50"
+      >
+        {t('ballot.submitRatings')}
+      </button>
+    </div>
+  );
+};
+
+export default RatingBallot;
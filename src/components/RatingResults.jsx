@@ -0,0 +1,39 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+import { RATING_SCALE } from '../utils/pollTypes';
+import { getRatingRows } from '../utils/results';
+import { useI18n } from '../context/I18nContext';
+
+// Average rating per option, best rated first
+const RatingResults = ({ poll }) => {
+  const { t, formatNumber } = useI18n();
+  const rows = getRatingRows(poll, { sortByRating: true });
+
+  return (
+    <div className="space-y-3">
+      {rows.map(row => (
+        <div key={row.index}>
+          <div className="flex justify-between items-center text-sm text-fg">
+            <span className="font-medium">{row.voteOption}</span>
+            <span className="flex items-center font-bold text-brand-strong">
+              <Star className="w-4 h-4 me-1 text-yellow-400 fill-yellow-400" aria-hidden="true" />
+              {formatNumber(row.average, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
+              <span className="sr-only">{t('results.ratingOutOf', { max: RATING_SCALE.length })}</span>
+              <span className="ms-1 font-normal text-fg-subtle">
+                ({formatNumber(row.count)}<span className="sr-only"> {t('results.ratings', { count: row.count })}</span>)
+              </span>
+            </span>
+          </div>
+          <div className="mt-1 bg-control rounded-full h-2 overflow-hidden" aria-hidden="true">
+            <div
+              className="h-full bg-gradient-to-r from-yellow-400 to-orange-400 transition-all duration-1000 ease-out"
+              style={{ width: `${(row.average / RATING_SCALE.length) * 100}%` }}
+            ></div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RatingResults;
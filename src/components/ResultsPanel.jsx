@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { BarChart3, PieChart, Circle, ArrowDownWideNarrow, Download } from 'lucide-react';
+import {
+  downloadFile,
+  exportFileName,
+  getResultRows,
+  getTotalVotes,
+  resultsToCsv,
+  resultsToJson
+} from '../utils/results';
+import { getPollType } from '../utils/pollTypes';
+import { useI18n } from '../context/I18nContext';
+import RankedResults from './RankedResults';
+import RatingResults from './RatingResults';
+
+const COLORS = ['#22d3ee', '#a78bfa', '#f472b6', '#34d399', '#fbbf24', '#60a5fa', '#f87171', '#a3e635'];
+
+const CHART_MODES = [
+  { id: 'bar', Icon: BarChart3 },
+  { id: 'pie', Icon: PieChart },
+  { id: 'donut', Icon: Circle },
+];
+
+// Pie and donut are drawn as stroked circles: each slice is a dash of the
+// circle's outline, so slice sizes can animate with a CSS transition. The
+// legend next to it carries the numbers, so the drawing is hidden from
+// screen readers.
+const CircleChart = ({ rows, donut }) => {
+  const radius = donut ? 38 : 25;
+  const strokeWidth = donut ? 20 : 50;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+
+  return (
+    <svg viewBox="0 0 100 100" className="w-48 h-48 -rotate-90" aria-hidden="true">
+      {rows.map(row => {
+        const length = (row.percentage / 100) * circumference;
+        const slice = (
+          <circle
+            key={row.index}
+            cx="50"
+            cy="50"
+            r={radius}
+            fill="none"
+            stroke={COLORS[row.index % COLORS.length]}
+            strokeWidth={strokeWidth}
+            strokeDasharray={`${length} ${circumference - length}`}
+            strokeDashoffset={-offset}
+            className="transition-all duration-1000 ease-out"
+          />
+        );
+        offset += length;
+        return slice;
+      })}
+    </svg>
+  );
+};
+
+// Results of a poll with the CSV and JSON exports. Single and multiple choice
+// polls get the vote shares as bars, pie or donut; ranked polls the
+// instant-runoff rounds and rating polls the average ratings, where shares of
+// the counts would say nothing.
+const ResultsPanel = ({ poll }) => {
+  const [mode, setMode] = useState('bar');
+  const [sortByVotes, setSortByVotes] = useState(true);
+  const { t, formatNumber, formatPercent } = useI18n();
+
+  const type = getPollType(poll);
+  const showsShares = type === 'single' || type === 'multi';
+  const totalVotes = getTotalVotes(poll);
+  const rows = getResultRows(poll, { sortByVotes });
+
+  const exportCsv = () => downloadFile(exportFileName(poll, 'csv'), resultsToCsv(poll), 'text/csv;charset=utf-8');
+  const exportJson = () => downloadFile(exportFileName(poll, 'json'), resultsToJson(poll), 'application/json');
+
+  return (
+    <div className="bg-surface backdrop-blur-lg rounded-2xl p-6 shadow-xl">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-6">
+        <h3 className="text-lg font-bold text-fg-muted">{t('results.title', { count: totalVotes })}</h3>
+
+        {showsShares && (
+          <div className="flex items-center gap-1">
+            {CHART_MODES.map(chartMode => {
+              const Icon = chartMode.Icon;
+              return (
+                <button
+                  key={chartMode.id}
+                  onClick={() => setMode(chartMode.id)}
+                  title={t(`results.chart.${chartMode.id}`)}
+                  aria-label={t(`results.chart.${chartMode.id}`)}
+                  aria-pressed={mode === chartMode.id}
+                  className={`p-2 rounded-lg transition-colors duration-200 ${
+                    mode === chartMode.id ? 'bg-brand text-white' : 'text-fg-muted hover:bg-surface-hover'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" aria-hidden="true" />
+                </button>
+              );
+            })}
+            <button
+              onClick={() => setSortByVotes(!sortByVotes)}
+              title={sortByVotes ? t('results.sortedByVotes') : t('results.pollOrder')}
+              aria-label={t('results.sortByVotes')}
+              aria-pressed={sortByVotes}
+              className={`p-2 rounded-lg transition-colors duration-200 ${
+                sortByVotes ? 'bg-brand-secondary text-white' : 'text-fg-muted hover:bg-surface-hover'
+              }`}
+            >
+              <ArrowDownWideNarrow className="w-4 h-4" aria-hidden="true" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {type === 'ranked' ? (
+        <RankedResults poll={poll} />
+      ) : type === 'rating' ? (
+        <RatingResults poll={poll} />
+      ) : mode === 'bar' ? (
+        <ul className="space-y-4">
+          {rows.map(row => (
+            <li key={row.index}>
+              <div className="flex justify-between text-sm text-fg-muted mb-1">
+                <span className="font-medium">{row.voteOption}</span>
+                <span>{formatNumber(row.voteCount)} · {formatPercent(row.percentage)}</span>
+              </div>
+              <div className="bg-control rounded-full h-3 overflow-hidden" aria-hidden="true">
+                <div
+                  className="h-full transition-all duration-1000 ease-out"
+                  style={{ width: `${row.percentage}%`, backgroundColor: COLORS[row.index % COLORS.length] }}
+                ></div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="flex flex-col sm:flex-row items-center gap-6">
+          <CircleChart rows={rows} donut={mode === 'donut'} />
+          <ul className="space-y-2 text-sm text-fg-muted">
+            {rows.map(row => (
+              <li key={row.index} className="flex items-center">
+                <span className="w-3 h-3 rounded-full me-2" aria-hidden="true" style={{ backgroundColor: COLORS[row.index % COLORS.length] }}></span>
+                <span className="font-medium me-2">{row.voteOption}</span>
+                <span>{formatNumber(row.voteCount)} · {formatPercent(row.percentage)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex gap-3 mt-6">
+        <button
+          onClick={exportCsv}
+          className="flex-1 flex items-center justify-center bg-control text-fg py-2 rounded-lg font-semibold hover:bg-control-hover transition-colors duration-200"
+        >
+          <Download className="w-4 h-4 me-1" aria-hidden="true" />
+          CSV
+        </button>
+        <button
+          onClick={exportJson}
+          className="flex-1 flex items-center justify-center bg-control text-fg py-2 rounded-lg font-semibold hover:bg-control-hover transition-colors duration-200"
+        >
+          <Download className="w-4 h-4 me-1" aria-hidden="true" />
+          JSON
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ResultsPanel;
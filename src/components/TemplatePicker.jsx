@@ -0,0 +1,147 @@
+import React, { useRef, useState } from 'react';
+import { LayoutTemplate, ChevronDown, ChevronUp, Download, Upload, Trash2 } from 'lucide-react';
+import { addTemplates, deleteTemplate, loadTemplates } from '../storage/pollTemplates';
+import { formToTemplate, getBuiltInTemplates, parseTemplatesJson, templateToForm, templatesToJson } from '../utils/pollTemplates';
+import { downloadFile } from '../utils/results';
+import { useI18n } from '../context/I18nContext';
+
+// Template library at the top of the create form: built-in presets, templates
+// saved on this device, saving the current form and JSON import / export.
+// `onApply` gets a complete form to replace the current one with.
+const TemplatePicker = ({ form, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [templates, setTemplates] = useState(() => loadTemplates());
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null); // { text, isError }
+  const fileInput = useRef(null);
+  const { t } = useI18n();
+
+  const filledOptions = form.options.filter(option => option.voteOption.trim()).length;
+  const canSave = Boolean(name.trim() && form.question.trim() && filledOptions >= 2);
+
+  const saveCurrent = () => {
+    setTemplates(addTemplates([formToTemplate(form, name)]));
+    setMessage({ text: t('templates.saved', { name: name.trim() }), isError: false });
+    setName('');
+  };
+
+  const remove = (template) => {
+    setTemplates(deleteTemplate(template.id));
+    setMessage({ text: t('templates.deleted', { name: template.name }), isError: false });
+  };
+
+  const exportTemplates = () =>
+    downloadFile('votesphere-templates.json', templatesToJson(templates), 'application/json');
+
+  const importTemplates = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseTemplatesJson(await file.text(), t);
+      setTemplates(addTemplates(imported));
+      setMessage({ text: t('templates.imported', { count: imported.length }), isError: false });
+    } catch (error) {
+      setMessage({ text: error.message, isError: true });
+    }
+  };
+
+  const renderTemplate = (template, deletable) => (
+    <li key={template.id} className="flex items-center">
+      <button
+        onClick={() => onApply(templateToForm(template))}
+        title={template.poll.question}
+        className="flex-1 min-w-0 text-start px-3 py-2 rounded-lg hover:bg-brand-secondary/10 transition-colors duration-200"
+      >
+        <span className="block truncate text-fg font-medium">{template.name}</span>
+        <span className="block truncate text-xs text-fg-subtle">{template.poll.options.join(' · ')}</span>
+      </button>
+      {deletable && (
+        <button
+          onClick={() => remove(template)}
+          title={t('templates.delete')}
+          aria-label={t('templates.deleteNamed', { name: template.name })}
+          className="p-2 text-fg-subtle hover:text-red-500"
+        >
+          <Trash2 className="w-4 h-4" aria-hidden="true" />
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="mb-6 border border-line rounded-lg">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="w-full flex items-center justify-between px-4 py-3 text-fg font-semibold"
+      >
+        <span className="flex items-center">
+          <LayoutTemplate className="w-4 h-4 me-2 text-brand-strong" />
+          {t('templates.title')}
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 space-y-4">
+          <div>
+            <h3 className="text-xs font-semibold uppercase text-fg-subtle mb-1">{t('templates.presets')}</h3>
+            <ul>{getBuiltInTemplates(t).map(template => renderTemplate(template, false))}</ul>
+          </div>
+
+          <div>
+            <h3 className="text-xs font-semibold uppercase text-fg-subtle mb-1">{t('templates.mine')}</h3>
+            {templates.length > 0
+              ? <ul>{templates.map(template => renderTemplate(template, true))}</ul>
+              : <p className="text-sm text-fg-subtle px-3">{t('templates.empty')}</p>}
+          </div>
+
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('templates.name')}
+              aria-label={t('templates.name')}
+              className="flex-1 min-w-0 px-3 py-2 text-sm border border-line rounded-lg focus:ring-2 focus:ring-brand focus:border-transparent"
+            />
+            <button
+              onClick={saveCurrent}
+              disabled={!canSave}
+              title={canSave ? t('templates.saveHint') : t('templates.saveDisabledHint')}
+              className="px-3 py-2 text-sm bg-brand-secondary text-white rounded-lg font-semibold hover:brightness-110 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              {t('templates.save')}
+            </button>
+          </div>
+
+          <div className="flex space-x-4 text-sm">
+            <button
+              onClick={exportTemplates}
+              disabled={templates.length === 0}
+              className="flex items-center text-brand-strong hover:text-brand font-semibold disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Download className="w-4 h-4 me-1" />
+              {t('templates.export')}
+            </button>
+            <button
+              onClick={() => fileInput.current.click()}
+              className="flex items-center text-brand-strong hover:text-brand font-semibold"
+            >
+              <Upload className="w-4 h-4 me-1" />
+              {t('templates.import')}
+            </button>
+            <input ref={fileInput} type="file" tabIndex={-1} aria-hidden="true" accept="application/json,.json" onChange={importTemplates} className="hidden" />
+          </div>
+
+          {message && (
+            <p role="status" className={`text-sm ${message.isError ? 'text-red-500' : 'text-green-600'}`}>{message.text}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplatePicker;
@@ -0,0 +1,78 @@
+import React, { useCallback, useMemo, useReducer, useRef } from 'react';
+import { ToastContext } from '../context/ToastContext';
+import ToastStack from './ToastStack';
+
+// Most toasts on screen at once. Past that, the oldest toast that would go
+// away by itself (with a duration and without a button) makes room. Toasts
+// that stay until dismissed, like a lost outbox write, and toasts with an
+// action, like Undo, are never dropped: new toasts wait until one is closed.
+const MAX_TOASTS = 5;
+
+// How long each severity stays up unless the toast sets its own `duration`
+// (null keeps it until it is dismissed)
+const DEFAULT_DURATIONS = { success: 3000, info: 4000, warning: 5000, error: 6000 };
+
+const isExpendable = (toast) => toast.duration > 0 && !toast.action;
+
+// Toasts waiting for room move up, oldest first
+const fill = ({ shown, waiting }) => {
+  const room = MAX_TOASTS - shown.length;
+  return room > 0 ? { shown: [...shown, ...waiting.slice(0, room)], waiting: waiting.slice(room) } : { shown, waiting };
+};
+
+const toastsReducer = (state, action) => {
+  switch (action.type) {
+    case 'show': {
+      // A toast with the same key is replaced, so repeated failures don't pile up
+      const withoutKey = (toasts) => toasts.filter(toast => toast.key !== action.toast.key);
+      const next = fill({ shown: withoutKey(state.shown), waiting: [...withoutKey(state.waiting), action.toast] });
+      const expendable = next.waiting.length > 0 && next.shown.find(isExpendable);
+      return expendable ? fill({ shown: next.shown.filter(toast => toast !== expendable), waiting: next.waiting }) : next;
+    }
+    case 'dismiss': {
+      const remove = (toasts) => toasts.filter(toast => toast.id !== action.id && toast.key !== action.id);
+      return fill({ shown: remove(state.shown), waiting: remove(state.waiting) });
+    }
+    default:
+      return state;
+  }
+};
+
+const ToastProvider = ({ children }) => {
+  const [toasts, dispatch] = useReducer(toastsReducer, { shown: [], waiting: [] });
+  const nextId = useRef(1);
+
+  const show = useCallback(({ message, severity = 'info', duration, action, key, pauseOnHover = true }) => {
+    const toast = {
+      id: nextId.current++,
+      key: key ?? `${severity}:${message}`,
+      message,
+      severity,
+      duration: duration === undefined ? DEFAULT_DURATIONS[severity] : duration,
+      action,
+      pauseOnHover
+    };
+    dispatch({ type: 'show', toast });
+    return toast.key;
+  }, []);
+
+  const dismiss = useCallback((idOrKey) => dispatch({ type: 'dismiss', id: idOrKey }), []);
+
+  const value = useMemo(() => ({
+    show,
+    dismiss,
+    success: (message, options) => show({ ...options, message, severity: 'success' }),
+    info: (message, options) => show({ ...options, message, severity: 'info' }),
+    warning: (message, options) => show({ ...options, message, severity: 'warning' }),
+    error: (message, options) => show({ ...options, message, severity: 'error' }),
+  }), [show, dismiss]);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <ToastStack toasts={toasts.shown} onDismiss={dismiss} />
+    </ToastContext.Provider>
+  );
+};
+
+export default ToastProvider;
@@ -0,0 +1,44 @@
+import React, { useEffect } from 'react';
+import { describe, expect, it } from 'vitest';
+import { act, render, screen } from '@testing-library/react';
+import ToastProvider from './ToastProvider';
+import { useToast } from '../context/ToastContext';
+
+let toast;
+const CaptureToast = () => {
+  const current = useToast();
+  useEffect(() => {
+    toast = current;
+  });
+  return null;
+};
+
+const renderToasts = () => render(<ToastProvider><CaptureToast /></ToastProvider>);
+const shownMessages = () => [...screen.getAllByRole('status')[0].parentElement.querySelectorAll('span')].map(span => span.textContent);
+
+describe('ToastProvider', () => {
+  it('drops the oldest toast that expires by itself to make room', () => {
+    renderToasts();
+    act(() => {
+      toast.error('Lost', { duration: null });
+      toast.info('Deleted', { action: { label: 'Undo', onClick: () => {} } });
+      ['One', 'Two', 'Three', 'Four'].forEach(message => toast.info(message));
+    });
+
+    expect(shownMessages()).toEqual(['Lost', 'Deleted', 'Two', 'Three', 'Four']);
+  });
+
+  it('queues toasts while the shown ones stay until dismissed', () => {
+    renderToasts();
+    act(() => {
+      ['One', 'Two', 'Three', 'Four', 'Five'].forEach(message => toast.error(message, { duration: null }));
+      toast.info('Six');
+    });
+
+    expect(shownMessages()).toEqual(['One', 'Two', 'Three', 'Four', 'Five']);
+
+    act(() => toast.dismiss('error:Two'));
+
+    expect(shownMessages()).toEqual(['One', 'Three', 'Four', 'Five', 'Six']);
+  });
+});
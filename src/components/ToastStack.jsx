@@ -0,0 +1,87 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertTriangle, CheckCircle, Info, XCircle } from 'lucide-react';
+import { useI18n } from '../context/I18nContext';
+
+const SEVERITY_STYLES = {
+  success: { Icon: CheckCircle, className: 'bg-green-500', bar: 'bg-green-200' },
+  info: { Icon: Info, className: 'bg-blue-500', bar: 'bg-blue-200' },
+  warning: { Icon: AlertTriangle, className: 'bg-yellow-500', bar: 'bg-yellow-200' },
+  error: { Icon: XCircle, className: 'bg-red-500', bar: 'bg-red-200' },
+};
+
+// One toast. Its timer (and the countdown bar) pauses while the pointer or
+// keyboard focus is on it, so there is time to read it or reach its button.
+const Toast = ({ toast, onDismiss }) => {
+  const [paused, setPaused] = useState(false);
+  const remaining = useRef(toast.duration);
+  const style = SEVERITY_STYLES[toast.severity] || SEVERITY_STYLES.info;
+  const Icon = style.Icon;
+  const { t } = useI18n();
+
+  useEffect(() => {
+    if (!toast.duration || paused) return;
+    const startedAt = Date.now();
+    const timer = setTimeout(() => onDismiss(toast.id), remaining.current);
+    return () => {
+      clearTimeout(timer);
+      remaining.current -= Date.now() - startedAt;
+    };
+  }, [paused, toast.duration, toast.id, onDismiss]);
+
+  const pause = () => toast.pauseOnHover && setPaused(true);
+  const resume = () => setPaused(false);
+
+  return (
+    <div
+      onMouseEnter={pause}
+      onMouseLeave={resume}
+      onFocus={pause}
+      onBlur={resume}
+      className={`${style.className} text-white rounded-lg shadow-lg overflow-hidden animate-slide-in`}
+    >
+      <div className="flex items-start px-4 py-3">
+        <Icon className="w-5 h-5 me-2 flex-shrink-0" aria-hidden="true" />
+        <span className="flex-1">{toast.message}</span>
+        {toast.action && (
+          <button
+            onClick={() => {
+              toast.action.onClick();
+              onDismiss(toast.id);
+            }}
+            className="ms-3 font-bold underline hover:no-underline"
+          >
+            {toast.action.label}
+          </button>
+        )}
+        <button onClick={() => onDismiss(toast.id)} aria-label={t('toast.dismiss')} className="ms-3 text-white hover:text-gray-200">
+          ×
+        </button>
+      </div>
+      {toast.duration > 0 && (
+        <div
+          className={`h-1 ${style.bar} origin-left rtl:origin-right animate-toast-countdown`}
+          style={{ animationDuration: `${toast.duration}ms`, animationPlayState: paused ? 'paused' : 'running' }}
+        ></div>
+      )}
+    </div>
+  );
+};
+
+// Errors go to an assertive live region, everything else to a polite one, so
+// screen readers announce them. Both regions stay mounted while empty.
+const ToastStack = ({ toasts, onDismiss }) => (
+  <div className="fixed top-4 end-4 z-50 w-80 max-w-[calc(100vw-2rem)] space-y-2">
+    <div role="alert" aria-live="assertive" className="space-y-2">
+      {toasts.filter(toast => toast.severity === 'error').map(toast => (
+        <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+    <div role="status" aria-live="polite" className="space-y-2">
+      {toasts.filter(toast => toast.severity !== 'error').map(toast => (
+        <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  </div>
+);
+
+export default ToastStack;
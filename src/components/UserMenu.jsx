@@ -0,0 +1,40 @@
+import React from 'react';
+import { LogIn, LogOut, User } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useI18n } from '../context/I18nContext';
+
+const UserMenu = ({ onSignIn }) => {
+  const { user, logout } = useAuth();
+  const { t } = useI18n();
+
+  if (!user) {
+    return (
+      <button
+        onClick={onSignIn}
+        className="flex items-center px-4 py-2 rounded-full bg-surface text-fg-muted hover:bg-surface-hover transition-all duration-300"
+      >
+        <LogIn className="w-4 h-4 me-2" />
+        {t('login.submit')}
+      </button>
+    );
+  }
+
+  return (
+    <div className="flex items-center space-x-3 text-fg-muted">
+      <span className="flex items-center">
+        <User className="w-4 h-4 me-1" />
+        {user.name || user.username || user.email}
+      </span>
+      <button
+        onClick={logout}
+        title={t('user.signOut')}
+        aria-label={t('user.signOut')}
+        className="flex items-center px-3 py-2 rounded-full bg-surface hover:bg-surface-hover transition-all duration-300"
+      >
+        <LogOut className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default UserMenu;
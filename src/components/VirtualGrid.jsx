@@ -0,0 +1,107 @@
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+// Longer lists only render the rows in and near the viewport
+const WINDOW_AFTER = 48;
+// Height of a row that has not been on screen yet, in px
+const ESTIMATED_ROW_HEIGHT = 420;
+// How far above and below the viewport rows are kept, in px
+const OVERSCAN = 800;
+// The grid's gap-8
+const GAP = 32;
+
+const GRID_CLASS = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8';
+
+// The breakpoints of GRID_CLASS, widest first
+const COLUMN_QUERIES = [['(min-width: 1024px)', 3], ['(min-width: 768px)', 2]];
+
+const getColumns = () => {
+  if (typeof window.matchMedia !== 'function') return 1;
+  return COLUMN_QUERIES.find(([query]) => window.matchMedia(query).matches)?.[1] ?? 1;
+};
+
+const WindowedGrid = ({ items, renderItem }) => {
+  const containerRef = useRef(null);
+  // Measured height of each row, by row number
+  const heights = useRef([]);
+  const [columns, setColumns] = useState(getColumns);
+  // Rows [start, end) are rendered, `before` and `after` stand in for the others
+  const [range, setRange] = useState({ start: 0, end: 1, before: 0, after: 0 });
+  const rows = Math.ceil(items.length / columns);
+
+  const update = useCallback(() => {
+    const rowHeight = (row) => heights.current[row] ?? ESTIMATED_ROW_HEIGHT;
+    const top = containerRef.current.getBoundingClientRect().top;
+    const from = -top - OVERSCAN;
+    const to = -top + window.innerHeight + OVERSCAN;
+
+    let start = 0;
+    let offset = 0;
+    while (start < rows - 1 && offset + rowHeight(start) + GAP <= from) {
+      offset += rowHeight(start) + GAP;
+      start++;
+    }
+    const before = offset;
+    let end = start;
+    while (end < rows && (end === start || offset < to)) {
+      offset += rowHeight(end) + GAP;
+      end++;
+    }
+    let after = 0;
+    for (let row = end; row < rows; row++) after += rowHeight(row) + GAP;
+
+    setRange(current => (current.start === start && current.end === end && current.before === before && current.after === after
+      ? current
+      : { start, end, before, after }));
+  }, [rows]);
+
+  // Row heights change with the columns
+  useEffect(() => {
+    heights.current = [];
+  }, [columns]);
+
+  useEffect(() => {
+    const queries = COLUMN_QUERIES.map(([query]) => window.matchMedia?.(query)).filter(Boolean);
+    const onColumnsChange = () => setColumns(getColumns());
+    queries.forEach(query => query.addEventListener('change', onColumnsChange));
+    window.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    return () => {
+      queries.forEach(query => query.removeEventListener('change', onColumnsChange));
+      window.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, [update]);
+
+  // Measure the rows on screen, then check whether others came into view
+  useLayoutEffect(() => {
+    Array.from(containerRef.current.children).forEach((child, index) => {
+      if (child.offsetHeight > 0) heights.current[range.start + index] = child.offsetHeight;
+    });
+    update();
+  });
+
+  const rendered = [];
+  for (let row = range.start; row < Math.min(range.end, rows); row++) {
+    const first = row * columns;
+    rendered.push(
+      <div key={row} className={GRID_CLASS}>
+        {items.slice(first, first + columns).map((item, index) => renderItem(item, first + index))}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={containerRef} className="flex flex-col gap-8" style={{ paddingTop: range.before, paddingBottom: range.after }}>
+      {rendered}
+    </div>
+  );
+};
+
+// The responsive card grid. Short lists are rendered whole; long ones (every
+// poll, when the backend does not page) are windowed so only the rows near
+// the viewport are in the DOM.
+const VirtualGrid = ({ items, renderItem }) => (items.length > WINDOW_AFTER
+  ? <WindowedGrid items={items} renderItem={renderItem} />
+  : <div className={GRID_CLASS}>{items.map(renderItem)}</div>);
+
+export default VirtualGrid;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { useI18n } from '../context/I18nContext';
+
+const COMMENT_MAX_LENGTH = 280;
+
+// Extra fields of a vote on a public poll: an optional comment, and the name to
+// show for voters who are not signed in
+const VoteComment = ({ comment, onCommentChange, voterName, onVoterNameChange, askName }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="mb-4 space-y-2">
+      {askName && (
+        <input
+          type="text"
+          value={voterName}
+          onChange={(e) => onVoterNameChange(e.target.value)}
+          maxLength={60}
+          placeholder={t('voteComment.namePlaceholder')}
+          aria-label={t('voteComment.name')}
+          className="w-full px-3 py-2 text-sm border border-line rounded-lg focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300"
+        />
+      )}
+      <textarea
+        value={comment}
+        onChange={(e) => onCommentChange(e.target.value)}
+        maxLength={COMMENT_MAX_LENGTH}
+        rows={2}
+        placeholder={t('voteComment.placeholder')}
+        aria-label={t('voteComment.label')}
+        className="w-full px-3 py-2 text-sm border border-line rounded-lg resize-none focus:ring-2 focus:ring-brand focus:border-transparent transition-all duration-300"
+      />
+      {comment.length > COMMENT_MAX_LENGTH - 40 && (
+        <p aria-live="polite" className="text-end text-xs text-fg-subtle">{t('voteComment.remaining', { count: COMMENT_MAX_LENGTH - comment.length })}</p>
+      )}
+    </div>
+  );
+};
+
+export default VoteComment;
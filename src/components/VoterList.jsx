@@ -0,0 +1,25 @@
+import React from 'react';
+import Avatar from './Avatar';
+import { useI18n } from '../context/I18nContext';
+
+const MAX_SHOWN = 6;
+
+// Who chose an option on a public poll, as a row of overlapping avatars
+const VoterList = ({ voters = [] }) => {
+  const { t } = useI18n();
+  if (voters.length === 0) return null;
+  const hidden = voters.length - MAX_SHOWN;
+
+  return (
+    <div className="mt-2 flex items-center" title={voters.map(voter => voter.name).join(', ')}>
+      <div className="flex -space-x-2">
+        {voters.slice(0, MAX_SHOWN).map((voter, index) => (
+          <Avatar key={voter.id ?? index} name={voter.name} avatarUrl={voter.avatarUrl} />
+        ))}
+      </div>
+      {hidden > 0 && <span className="ms-2 text-xs text-fg-subtle">{t('voters.more', { count: hidden })}</span>}
+    </div>
+  );
+};
+
+export default VoterList;
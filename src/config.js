@@ -0,0 +1,45 @@
+// Runtime configuration, read from Vite env variables (VITE_*) at build time.
+// Set them in a .env / .env.local file or in the environment of `vite build`.
+const env = import.meta.env;
+
+// Unset, empty and non-positive values fall back to the default, 0 only counts with `allowZero`
+const toNumber = (value, fallback, { allowZero = false } = {}) => {
+  const parsed = value === undefined || value === '' ? NaN : Number(value);
+  return Number.isFinite(parsed) && (parsed > 0 || (allowZero && parsed === 0)) ? parsed : fallback;
+};
+
+// Remove trailing slash so paths can be appended with `${API_BASE}/...`
+export const API_BASE = (env.VITE_API_BASE_URL || 'http://localhost:8080/api/polls').replace(/\/+$/, '');
+
+export const API_TIMEOUT_MS = toNumber(env.VITE_API_TIMEOUT_MS, 10000);
+
+// 0 turns retries off
+export const API_RETRIES = toNumber(env.VITE_API_RETRIES, 3, { allowZero: true });
+
+// Live results: 'sse', 'websocket' or 'off' (interval polling only)
+export const LIVE_TRANSPORT = env.VITE_LIVE_TRANSPORT || 'sse';
+
+// Path of the event stream, relative to API_BASE
+export const LIVE_PATH = env.VITE_LIVE_PATH || '/stream';
+
+// Polling fallback interval and the upper bound of its backoff
+export const LIVE_POLL_INTERVAL_MS = toNumber(env.VITE_LIVE_POLL_INTERVAL_MS, 5000);
+
+export const LIVE_POLL_MAX_INTERVAL_MS = toNumber(env.VITE_LIVE_POLL_MAX_INTERVAL_MS, 60000);
+
+// Health endpoint probed by the connection monitor, and how often. Unset, it is
+// /actuator/health on the API's server: a path inside the polls collection
+// such as /api/polls/health reads as `GET /:id` to most backends.
+export const HEALTH_URL = env.VITE_HEALTH_URL || null;
+
+export const HEALTH_INTERVAL_MS = toNumber(env.VITE_HEALTH_INTERVAL_MS, 30000);
+
+// Authentication endpoints (POST /login, /refresh, /logout)
+export const AUTH_BASE = (env.VITE_AUTH_BASE_URL || 'http://localhost:8080/api/auth').replace(/\/+$/, '');
+
+// Most options a poll can have
+export const POLL_MAX_OPTIONS = toNumber(env.VITE_POLL_MAX_OPTIONS, 10);
+
+// Branding file (app name, logo, accent colors) loaded at startup, see src/branding.js.
+// An empty value skips the request and keeps the built-in branding.
+export const BRANDING_URL = env.VITE_BRANDING_URL ?? `${env.BASE_URL}branding.json`;
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+// Current user and sign-in actions, provided by <AuthProvider>
+export const AuthContext = createContext({
+  user: null,
+  login: async () => {},
+  logout: async () => {},
+});
+
+export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_BRANDING } from '../branding';
+
+// App name, tagline, logo and accent colors, provided by <BrandingProvider>
+export const BrandingContext = createContext(DEFAULT_BRANDING);
+
+export const useBranding = () => useContext(BrandingContext);
@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, createFormatters, translate } from '../i18n';
+
+// Current language, provided by <I18nProvider>: { locale, dir, setLocale, t,
+// formatNumber, formatPercent, formatDateTime, formatDate }. Without a provider
+// everything is English.
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  dir: 'ltr',
+  setLocale: () => {},
+  t: translate,
+  ...createFormatters(DEFAULT_LOCALE),
+});
+
+export const useI18n = () => useContext(I18nContext);
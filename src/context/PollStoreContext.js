@@ -0,0 +1,15 @@
+import { createContext, useContext, useMemo, useSyncExternalStore } from 'react';
+import { createPollStore } from '../store/pollStore';
+
+// The poll store (see store/pollStore), provided by <PollStoreProvider>
+export const PollStoreContext = createContext(createPollStore());
+
+export const usePollStore = () => useContext(PollStoreContext);
+
+// Re-renders with selector(state) whenever the store changes. The selector runs
+// once per store state, so it may build new arrays, e.g. usePolls(selectListPolls).
+export const usePolls = (selector) => {
+  const store = usePollStore();
+  const state = useSyncExternalStore(store.subscribe, store.getState);
+  return useMemo(() => selector(state), [selector, state]);
+};
@@ -0,0 +1,16 @@
+import { createContext, useContext } from 'react';
+
+// Toast notifications, provided by <ToastProvider>. `show` takes
+// { message, severity, duration, action: { label, onClick }, key, pauseOnHover }
+// and returns the toast's key, which `dismiss` accepts to take it down early.
+// `success`, `info`, `warning` and `error` are shorthands taking (message, options).
+export const ToastContext = createContext({
+  show: () => null,
+  dismiss: () => {},
+  success: () => null,
+  info: () => null,
+  warning: () => null,
+  error: () => null,
+});
+
+export const useToast = () => useContext(ToastContext);
@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+import { createHealthMonitor, initialHealth } from '../api/healthMonitor';
+
+// Runs the health monitor while the component is mounted and returns its
+// latest report: { status, latency, lastError, checkedAt }.
+export const useConnectionHealth = () => {
+  const [health, setHealth] = useState(initialHealth);
+
+  useEffect(() => {
+    const monitor = createHealthMonitor({ onChange: setHealth });
+    monitor.start();
+    return () => monitor.stop();
+  }, []);
+
+  return health;
+};
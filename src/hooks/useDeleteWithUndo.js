@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from 'react';
+import { ClientError } from '../api/errors';
+import { forgetOwnedPoll } from '../storage/ownedPolls';
+import { selectPoll } from '../store/pollStore';
+import { usePollStore } from '../context/PollStoreContext';
+import { useToast } from '../context/ToastContext';
+import { useI18n } from '../context/I18nContext';
+
+// How long a deleted poll can be restored before the DELETE request is sent
+const DELETE_UNDO_MS = 5000;
+
+// Deleting polls: the delete icon asks for confirmation, then the poll is
+// hidden for DELETE_UNDO_MS with an Undo toast before the request goes out.
+// `onConfirmed(poll)` is called when the undo window starts. Polls deleted
+// by their device owner are forgotten through `setOwnedPolls`.
+export const useDeleteWithUndo = ({ ownedPolls, setOwnedPolls, onConfirmed }) => {
+  const pollStore = usePollStore();
+  const toast = useToast();
+  const { t } = useI18n();
+  // Poll waiting for the delete confirmation, and the one inside its undo window
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  // { poll, timer } of the delete inside its undo window
+  const pendingDeleteRef = useRef(null);
+
+  // A poll from the main list or from the "My polls" / "Polls I voted in" views
+  const findPoll = (pollId) => selectPoll(pollStore.getState(), pollId);
+
+  // Sends the DELETE once the undo window has passed. The poll stays hidden
+  // while the request runs and comes back if it fails.
+  const performDelete = async (poll, options) => {
+    toast.dismiss(`undo-delete-${poll.id}`);
+    try {
+      await pollStore.deletePoll(poll.id, ownedPolls[poll.id]?.ownerToken, options);
+      setOwnedPolls(forgetOwnedPoll(poll.id));
+      toast.success(t('delete.success'));
+    } catch (error) {
+      console.error('Error deleting poll:', error);
+      if (error instanceof ClientError && error.status === 403) {
+        toast.error(t('delete.notOwner'));
+      } else {
+        toast.error(t('delete.failed'), { action: { label: t('common.retry'), onClick: () => performDelete(poll) } });
+      }
+    } finally {
+      setPendingDelete(current => (current?.id === poll.id ? null : current));
+    }
+  };
+
+  const confirmDelete = () => {
+    const poll = findPoll(confirmDeleteId);
+    setConfirmDeleteId(null);
+    if (!poll) return;
+
+    // Only one delete can be undone at a time, an earlier one is sent right away
+    flushPendingDelete();
+
+    setPendingDelete(poll);
+    pendingDeleteRef.current = {
+      poll,
+      timer: setTimeout(() => {
+        pendingDeleteRef.current = null;
+        performDelete(poll);
+      }, DELETE_UNDO_MS)
+    };
+    // The countdown does not pause on hover, the delete happens when it runs out
+    toast.info(t('delete.undoable'), {
+      key: `undo-delete-${poll.id}`,
+      duration: DELETE_UNDO_MS,
+      pauseOnHover: false,
+      action: { label: t('delete.undo'), onClick: undoDelete }
+    });
+    onConfirmed(poll);
+  };
+
+  const undoDelete = () => {
+    clearTimeout(pendingDeleteRef.current?.timer);
+    pendingDeleteRef.current = null;
+    setPendingDelete(null);
+  };
+
+  // Sends a delete still inside its undo window right away
+  const flushPendingDelete = (options) => {
+    const pending = pendingDeleteRef.current;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingDeleteRef.current = null;
+    performDelete(pending.poll, options);
+  };
+
+  // A poll in its undo window is already gone from the UI, so closing the tab
+  // or leaving the app does not cancel its delete. `keepalive` lets the
+  // request outlive the page.
+  const latestFlushPendingDelete = useRef(flushPendingDelete);
+  useEffect(() => {
+    latestFlushPendingDelete.current = flushPendingDelete;
+  });
+  useEffect(() => {
+    const handlePageHide = () => latestFlushPendingDelete.current({ keepalive: true });
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      handlePageHide();
+    };
+  }, []);
+
+  return {
+    // The poll inside its undo window, hidden as if it were already deleted
+    pendingDelete,
+    // The poll waiting for the confirmation dialog
+    confirmPoll: confirmDeleteId !== null ? findPoll(confirmDeleteId) ?? null : null,
+    isConfirming: confirmDeleteId !== null,
+    requestDelete: setConfirmDeleteId,
+    confirmDelete,
+    cancelDelete: () => setConfirmDeleteId(null),
+  };
+};
@@ -0,0 +1,66 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+const focusableIn = (container) =>
+  Array.from(container.querySelectorAll(FOCUSABLE)).filter(element => element.offsetParent !== null || element === document.activeElement);
+
+// Focus management for modal dialogs: moves focus into the dialog when it
+// opens (unless a field there has autoFocus), keeps Tab and Shift+Tab inside
+// it, closes it on Escape and gives focus back to where it was on close.
+// Returns the ref for the dialog element.
+export const useDialog = (onClose) => {
+  const ref = useRef(null);
+  const latestOnClose = useRef(onClose);
+
+  useEffect(() => {
+    latestOnClose.current = onClose;
+  });
+
+  useEffect(() => {
+    const dialog = ref.current;
+    const previouslyFocused = document.activeElement;
+    if (!dialog.contains(document.activeElement)) {
+      (focusableIn(dialog)[0] || dialog).focus();
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        latestOnClose.current?.();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const elements = focusableIn(dialog);
+      if (elements.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    dialog.addEventListener('keydown', handleKeyDown);
+    return () => {
+      dialog.removeEventListener('keydown', handleKeyDown);
+      if (previouslyFocused?.isConnected) previouslyFocused.focus();
+    };
+  }, []);
+
+  return ref;
+};
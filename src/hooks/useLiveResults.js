@@ -0,0 +1,37 @@
+import { useEffect, useRef, useState } from 'react';
+import { createLiveResults } from '../api/liveResults';
+import { usePollStore } from '../context/PollStoreContext';
+
+// Keeps the poll store in sync with the server while the component is mounted.
+// `fetchPolls` (optional) is what the polling fallback loads, resolving with
+// the polls or with a list result from pollStore.fetchList; the latest one is
+// always used, so it can depend on the current page without restarting. A list
+// result carries the params it was fetched for, so one that arrives after the
+// user moved on is dropped, and it updates the page totals.
+// Returns the current mode: 'stream', 'polling' or 'idle'.
+export const useLiveResults = (fetchPolls) => {
+  const store = usePollStore();
+  const [mode, setMode] = useState('idle');
+
+  const latestFetchPolls = useRef(fetchPolls);
+  useEffect(() => {
+    latestFetchPolls.current = fetchPolls;
+  });
+
+  useEffect(() => {
+    const live = createLiveResults({
+      ...(latestFetchPolls.current && { fetchPolls: () => latestFetchPolls.current() }),
+      onEvent: (event) => store.dispatch({ type: 'live-event', event }),
+      onPolls: (result) => {
+        // A page answered from the service worker's cache is as old as the cache
+        const { items, cachedAt, key, page, serverPaging } = Array.isArray(result) ? { items: result } : result;
+        store.dispatch({ type: 'list-replaced', polls: items, key, page, serverPaging, updatedAt: cachedAt ?? Date.now() });
+      },
+      onModeChange: setMode,
+    });
+    live.start();
+    return () => live.stop();
+  }, [store]);
+
+  return mode;
+};
@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+
+// Current timestamp, refreshed every `interval` ms while `enabled` is true.
+// Used for countdowns, so components without one don't re-render every second.
+export const useNow = (enabled = true, interval = 1000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!enabled) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [enabled, interval]);
+
+  return now;
+};
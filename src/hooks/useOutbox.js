@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { replayOutbox } from '../api/outboxReplay';
+import { enqueueOutbox, loadOutbox } from '../storage/outbox';
+
+// Persistent queue of writes made while offline. `queue` mirrors what is in
+// storage, `replay` sends it in order (concurrent calls are ignored) and
+// resolves true once everything was sent, see api/outboxReplay.
+export const useOutbox = ({ onSent, onConflict, onUnauthorized }) => {
+  const [queue, setQueue] = useState(() => loadOutbox());
+  const replaying = useRef(false);
+
+  // Always call the latest handlers, replay can outlive a render
+  const handlers = useRef({ onSent, onConflict, onUnauthorized });
+  useEffect(() => {
+    handlers.current = { onSent, onConflict, onUnauthorized };
+  });
+
+  const enqueue = useCallback((type, payload) => {
+    const item = enqueueOutbox(type, payload);
+    setQueue(loadOutbox());
+    return item;
+  }, []);
+
+  const replay = useCallback(async () => {
+    if (replaying.current) return false;
+    replaying.current = true;
+    try {
+      return await replayOutbox({
+        onSent: (item, result) => {
+          setQueue(loadOutbox());
+          handlers.current.onSent(item, result);
+        },
+        onConflict: (item, error) => {
+          setQueue(loadOutbox());
+          handlers.current.onConflict(item, error);
+        },
+        onUnauthorized: (item, error) => handlers.current.onUnauthorized?.(item, error),
+      });
+    } finally {
+      replaying.current = false;
+    }
+  }, []);
+
+  return { queue, enqueue, replay };
+};
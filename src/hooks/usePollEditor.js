@@ -0,0 +1,303 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { pollsClient } from '../api/pollsClient';
+import { ClientError, isConnectionError } from '../api/errors';
+import { clearPollDraft, loadPollDraft, savePollDraft } from '../storage/pollDraft';
+import { mergePollEdits } from '../utils/pollMerge';
+import { createEmptyPoll, hasFormErrors, isBlankForm, toEditForm, validatePollForm } from '../utils/pollForm';
+import { FRESH } from '../store/pollStore';
+import { usePollStore } from '../context/PollStoreContext';
+import { useToast } from '../context/ToastContext';
+import { useI18n } from '../context/I18nContext';
+
+// The create form picks up where the last unsaved draft left off
+const loadCreateForm = () => ({ ...createEmptyPoll(), ...loadPollDraft() });
+
+// State and actions of the create form ("/polls/new") and the edit form
+// ("/polls/:pollId/edit"), which share one modal, see components/PollEditor.
+// Polls created while the server is out of reach go to the outbox, and
+// `onCreated(poll)` is called for the ones the server accepted.
+export const usePollEditor = ({ showCreateForm, editPollId, isOwner, ownedPolls, isDisconnected, outbox, onCreated }) => {
+  const pollStore = usePollStore();
+  const toast = useToast();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const [newPoll, setNewPoll] = useState(loadCreateForm);
+  // Missing fields are only flagged once the form was submitted
+  const [submitAttempted, setSubmitAttempted] = useState(false);
+  // Template or duplicated poll waiting for the "replace your draft?" confirmation
+  const [replaceDraftWith, setReplaceDraftWith] = useState(null);
+  // The create or edit form is being sent
+  const [saving, setSaving] = useState(false);
+  // Poll as loaded when editing started and the edit form, the option waiting for its removal
+  // confirmation, and { theirs, poll, conflicts } after a version conflict
+  const [editBase, setEditBase] = useState(null);
+  const [editForm, setEditForm] = useState(null);
+  const [confirmRemoveIndex, setConfirmRemoveIndex] = useState(null);
+  const [editConflict, setEditConflict] = useState(null);
+
+  // Closing keeps the draft, only the submit errors are reset
+  const closeCreateForm = () => {
+    setSubmitAttempted(false);
+    navigate('/');
+  };
+  // Back to wherever the edit was started from, or to the poll for direct links
+  const closeEditForm = () => (window.history.state?.idx > 0 ? navigate(-1) : navigate(`/polls/${editPollId}`));
+
+  // The create form doubles as the edit form once the poll is loaded
+  const canEditLoadedPoll = Boolean(editBase && !editBase.error && isOwner(editBase));
+  const isEditing = Boolean(editPollId) && canEditLoadedPoll;
+  const form = isEditing ? editForm : newPoll;
+  const setForm = isEditing ? setEditForm : setNewPoll;
+  const formErrors = validatePollForm(form, { showRequired: submitAttempted, isEditing, t });
+  const editUnavailableMessage = !editBase
+    ? t('poll.loading')
+    : editBase.error
+      ? (editBase.error.status === 404 ? t('poll.notFound') : t('poll.loadFailed'))
+      : t('edit.notOwner');
+
+  // Create a new poll
+  const createPoll = async () => {
+    // The errors are shown next to their fields
+    setSubmitAttempted(true);
+    if (hasFormErrors(validatePollForm(newPoll, { t }))) return;
+
+    const validOptions = newPoll.options.filter(opt => opt.voteOption.trim());
+    const maxChoices = Number(newPoll.maxChoices);
+
+    // datetime-local values are in the user's timezone, the API gets ISO timestamps
+    const startsAt = newPoll.startsAt ? new Date(newPoll.startsAt) : null;
+    const endsAt = newPoll.endsAt ? new Date(newPoll.endsAt) : null;
+
+    const pollData = {
+      question: newPoll.question.trim(),
+      options: validOptions.map(opt => ({
+        voteOption: opt.voteOption.trim(),
+        voteCount: 0
+      })),
+      type: newPoll.type,
+      ...(newPoll.type === 'multi' && { maxChoices }),
+      ...(newPoll.internal && { internal: true }),
+      ...(newPoll.visibility === 'public' && { visibility: 'public' }),
+      ...(startsAt && { startsAt: startsAt.toISOString() }),
+      ...(endsAt && { endsAt: endsAt.toISOString() }),
+      ...(String(newPoll.targetAudience).trim() && { targetAudience: Number(newPoll.targetAudience) })
+    };
+
+    const resetForm = () => {
+      setNewPoll(createEmptyPoll());
+      setSubmitAttempted(false);
+      clearPollDraft();
+      closeCreateForm();
+    };
+
+    const queuePoll = () => {
+      outbox.enqueue('create-poll', pollData);
+      resetForm();
+      toast.info(t('outbox.pollQueued'));
+    };
+
+    if (isDisconnected) {
+      queuePoll();
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const createdPoll = await pollStore.createPoll(pollData);
+      onCreated(createdPoll);
+      resetForm();
+      toast.success(t('create.success'));
+    } catch (error) {
+      console.error('Error creating poll:', error);
+      if (isConnectionError(error)) {
+        queuePoll();
+        return;
+      }
+      // Retrying only helps when the server failed, not when it rejected the poll
+      toast.error(t('create.failed'), {
+        action: error instanceof ClientError ? undefined : { label: t('common.retry'), onClick: createPoll }
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Save the edit form. `version` is the version the edits are based on; if the
+  // poll was saved by someone else since, the merge dialog takes over.
+  const savePollEdits = async (edited = editForm, version = editBase?.version) => {
+    setSubmitAttempted(true);
+    if (hasFormErrors(validatePollForm(edited, { isEditing: true, t }))) return;
+
+    const validOptions = edited.options.filter(opt => opt.voteOption.trim());
+
+    // Counts are the server's: the form's are from when editing started, and
+    // sending them back would undo the votes cast since
+    const pollData = {
+      question: edited.question.trim(),
+      options: validOptions.map(opt => ({
+        ...(opt.id !== undefined && { id: opt.id }),
+        voteOption: opt.voteOption.trim()
+      }))
+    };
+
+    setSaving(true);
+    try {
+      await pollStore.updatePoll(editPollId, pollData, {
+        version,
+        ownerToken: ownedPolls[editBase.id]?.ownerToken
+      });
+      setEditConflict(null);
+      closeEditForm();
+      toast.success(t('edit.success'));
+    } catch (error) {
+      console.error('Error updating poll:', error);
+      if (error instanceof ClientError && (error.status === 409 || error.status === 412)) {
+        try {
+          const theirs = await pollsClient.fetchPollById(editPollId, FRESH);
+          setEditConflict({ theirs, ...mergePollEdits(editBase, edited, theirs, { t }) });
+        } catch {
+          toast.error(t('edit.conflictReload'), { duration: null });
+        }
+        return;
+      }
+      if (error instanceof ClientError && error.status === 403) {
+        toast.error(t('edit.notOwner'));
+      } else {
+        toast.error(t('edit.failed'), {
+          action: error instanceof ClientError ? undefined : { label: t('common.retry'), onClick: () => savePollEdits(edited, version) }
+        });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Merge dialog choices. Each of them makes the saved version the new base.
+  const reviewMergedEdits = () => {
+    setEditBase(editConflict.theirs);
+    setEditForm({ ...editForm, question: editConflict.poll.question, options: editConflict.poll.options });
+    setEditConflict(null);
+  };
+
+  const overwriteWithMine = () => {
+    setEditBase(editConflict.theirs);
+    savePollEdits(editForm, editConflict.theirs.version);
+  };
+
+  const discardMyEdits = () => {
+    pollStore.receive(editConflict.theirs);
+    setEditConflict(null);
+    closeEditForm();
+  };
+
+  // Option changes apply to whichever form is open
+  const removeOption = (index) => {
+    if (form.options.length > 2) {
+      const updatedOptions = form.options.filter((_, i) => i !== index);
+      setForm({ ...form, options: updatedOptions });
+    }
+  };
+
+  // Removing an option that already has votes throws those votes away, ask first
+  const handleRemoveOption = (index) => {
+    if (form.options[index].voteCount > 0) {
+      setConfirmRemoveIndex(index);
+    } else {
+      removeOption(index);
+    }
+  };
+
+  const confirmRemoveOption = () => {
+    removeOption(confirmRemoveIndex);
+    setConfirmRemoveIndex(null);
+  };
+
+  // Templates and "Duplicate" fill the create form, a draft is only replaced after asking
+  const applyCreateForm = (nextForm) => {
+    setNewPoll(nextForm);
+    setSubmitAttempted(false);
+    setReplaceDraftWith(null);
+    if (!showCreateForm) navigate('/polls/new');
+  };
+
+  const fillCreateForm = (nextForm) => {
+    if (isBlankForm(newPoll)) {
+      applyCreateForm(nextForm);
+    } else {
+      setReplaceDraftWith(nextForm);
+    }
+  };
+
+  // Start over, dropping the saved draft
+  const discardDraft = () => {
+    setNewPoll(createEmptyPoll());
+    setSubmitAttempted(false);
+    clearPollDraft();
+  };
+
+  // Load the poll for /polls/:pollId/edit. Editing always starts from the
+  // server's latest version, not from the (possibly stale) list.
+  useEffect(() => {
+    if (!editPollId) return;
+    let cancelled = false;
+    setEditBase(null);
+    pollStore.loadPoll(editPollId, FRESH)
+      .then(poll => {
+        if (cancelled) return;
+        setEditBase(poll);
+        setEditForm(toEditForm(poll));
+      })
+      .catch(error => {
+        console.error('Error fetching poll:', error);
+        if (!cancelled) setEditBase({ error });
+      });
+    return () => {
+      cancelled = true;
+      setEditBase(null);
+      setEditConflict(null);
+      setEditForm(null);
+      setSubmitAttempted(false);
+    };
+  }, [editPollId, pollStore]);
+
+  // Autosave the create form, closing it keeps the draft for next time
+  useEffect(() => {
+    if (isBlankForm(newPoll)) {
+      clearPollDraft();
+    } else {
+      savePollDraft(newPoll);
+    }
+  }, [newPoll]);
+
+  return {
+    // The form in the modal, shown on "/polls/new" and on the edit route once the poll is loaded
+    isOpen: showCreateForm || isEditing,
+    isEditing,
+    form,
+    setForm,
+    formErrors,
+    saving,
+    submit: isEditing ? () => savePollEdits() : createPoll,
+    close: isEditing ? closeEditForm : closeCreateForm,
+    // Edit route before the poll is loaded, or for someone who does not own it
+    editUnavailableMessage: editPollId && !canEditLoadedPoll ? editUnavailableMessage : null,
+    closeEditForm,
+    newPoll,
+    fillCreateForm,
+    discardDraft,
+    replaceDraftWith,
+    confirmReplaceDraft: () => applyCreateForm(replaceDraftWith),
+    cancelReplaceDraft: () => setReplaceDraftWith(null),
+    handleRemoveOption,
+    confirmRemoveIndex,
+    confirmRemoveOption,
+    cancelRemoveOption: () => setConfirmRemoveIndex(null),
+    editForm,
+    editConflict,
+    reviewMergedEdits,
+    overwriteWithMine,
+    discardMyEdits,
+    cancelMerge: () => setEditConflict(null),
+  };
+};
@@ -0,0 +1,25 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadPreferences, savePreferences } from '../storage/preferences';
+import { applyTheme, watchSystemTheme } from '../utils/theme';
+
+// Display preferences, persisted on this device and applied as classes on
+// <html> so they also reach content rendered outside the app (toasts).
+export const usePreferences = () => {
+  const [preferences, setPreferences] = useState(() => loadPreferences());
+
+  useEffect(() => {
+    const root = document.documentElement;
+    root.classList.toggle('reduce-motion', preferences.reduceMotion);
+    root.classList.toggle('high-contrast', preferences.highContrast);
+    applyTheme(preferences.theme);
+    // Without an override the theme follows OS changes while the app is open
+    if (preferences.theme !== 'system') return;
+    return watchSystemTheme(() => applyTheme('system'));
+  }, [preferences]);
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(current => savePreferences({ ...current, ...changes }));
+  }, []);
+
+  return [preferences, updatePreferences];
+};
@@ -0,0 +1,25 @@
+import { useEffect, useRef, useState } from 'react';
+
+// `value`, passed on at most once every `interval` ms. The first value is
+// there right away and the latest one always arrives, at the latest
+// `interval` ms after the one before.
+export const useThrottledValue = (value, interval) => {
+  const [throttled, setThrottled] = useState(value);
+  // When `throttled` last changed, the first value counts from mount
+  const passedAt = useRef(0);
+
+  useEffect(() => {
+    passedAt.current = Date.now();
+  }, []);
+
+  useEffect(() => {
+    if (Object.is(value, throttled)) return;
+    const timer = setTimeout(() => {
+      passedAt.current = Date.now();
+      setThrottled(value);
+    }, Math.max(0, passedAt.current + interval - Date.now()));
+    return () => clearTimeout(timer);
+  }, [value, throttled, interval]);
+
+  return throttled;
+};
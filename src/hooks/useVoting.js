@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { ClientError, isConnectionError } from '../api/errors';
+import { loadVoterName, saveVotedPoll, saveVoterName } from '../storage/votedPolls';
+import { usePollStore } from '../context/PollStoreContext';
+import { useToast } from '../context/ToastContext';
+import { useI18n } from '../context/I18nContext';
+
+// Votes from the poll cards. They go through the poll store, or into the outbox
+// while the server is out of reach; the outcome is told with a toast. Votes
+// are remembered through `setVotedPolls`. Also keeps the unsent comment of each
+// poll and the name shown with votes on public polls.
+export const useVoting = ({ isDisconnected, outbox, setVotedPolls }) => {
+  const pollStore = usePollStore();
+  const toast = useToast();
+  const { t } = useI18n();
+  const [commentDrafts, setCommentDrafts] = useState({});
+  const [voterName, setVoterName] = useState(() => loadVoterName());
+
+  const setCommentDraft = (pollId, text) => setCommentDrafts(drafts => ({ ...drafts, [pollId]: text }));
+
+  const clearCommentDraft = (pollId) => setCommentDrafts(drafts => {
+    const { [pollId]: _sent, ...rest } = drafts;
+    return rest;
+  });
+
+  const queueVote = (pollId, choice, extras) => {
+    outbox.enqueue('vote', { pollId, choice, ...extras });
+    setVotedPolls(saveVotedPoll(pollId, choice));
+    clearCommentDraft(pollId);
+    toast.info(t('outbox.voteQueued'));
+  };
+
+  // `choice` is an option index for single-choice polls and { optionIndexes } /
+  // { ranking } / { ratings } for the other poll types. `extras` are the
+  // { comment, voterName } of votes on public polls.
+  const vote = async (pollId, choice, extras = {}) => {
+    if (isDisconnected) {
+      queueVote(pollId, choice, extras);
+      return;
+    }
+
+    try {
+      await pollStore.vote(pollId, choice, extras);
+
+      // Mark this poll as voted and remember the choice
+      setVotedPolls(saveVotedPoll(pollId, choice));
+      clearCommentDraft(pollId);
+      toast.success(t('vote.success'));
+    } catch (error) {
+      console.error('Error voting:', error);
+      if (error instanceof ClientError && error.status === 409) {
+        // The backend already has a vote from this device, unlock the results
+        setVotedPolls(saveVotedPoll(pollId, null));
+        toast.warning(t('vote.duplicate'));
+        return;
+      }
+      if (isConnectionError(error)) {
+        queueVote(pollId, choice, extras);
+        return;
+      }
+      toast.error(t('vote.failed'), {
+        action: error instanceof ClientError ? undefined : { label: t('common.retry'), onClick: () => vote(pollId, choice, extras) }
+      });
+    }
+  };
+
+  return {
+    vote,
+    commentDrafts,
+    setCommentDraft,
+    voterName,
+    setVoterName: (name) => setVoterName(saveVoterName(name)),
+  };
+};
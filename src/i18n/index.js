@@ -0,0 +1,73 @@
+import en from './locales/en';
+import de from './locales/de';
+import ar from './locales/ar';
+
+// Message catalogs, plural rules and Intl formatters.
+//
+// Catalogs are flat objects of message keys. A message is a string with
+// `{name}` placeholders, or for plurals an object keyed by the
+// Intl.PluralRules categories of the language ({ one, other }, Arabic also
+// has zero, two, few and many), picked with the `count` param.
+
+export const LOCALES = [
+  { id: 'en', label: 'English', dir: 'ltr' },
+  { id: 'de', label: 'Deutsch', dir: 'ltr' },
+  { id: 'ar', label: 'العربية', dir: 'rtl' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, de, ar };
+
+// Best supported match for a list of language tags ("de-AT" → "de")
+export const resolveLocale = (tags = []) => {
+  for (const tag of tags) {
+    const language = String(tag || '').toLowerCase().split('-')[0];
+    if (CATALOGS[language]) return language;
+  }
+  return DEFAULT_LOCALE;
+};
+
+export const getDirection = (locale) => LOCALES.find(entry => entry.id === locale)?.dir || 'ltr';
+
+// `t(key, params)` for a locale. Messages missing from the catalog fall back
+// to English, and to the key itself, so a gap is visible rather than blank.
+// Number params are formatted for the locale.
+export const createTranslator = (locale) => {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  return (key, params = {}) => {
+    let message = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(Number(params.count) || 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      const value = params[name];
+      return typeof value === 'number' ? numberFormat.format(value) : value;
+    });
+  };
+};
+
+// Locale-aware number, percent and date formatting. Percentages come from
+// utils/results as 0-100 with one decimal. `formatNumber` takes optional
+// Intl.NumberFormat options, e.g. for a fixed number of decimals.
+export const createFormatters = (locale) => {
+  const number = new Intl.NumberFormat(locale);
+  const percent = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 });
+  const dateTime = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
+  const date = new Intl.DateTimeFormat(locale, { dateStyle: 'medium' });
+
+  return {
+    formatNumber: (value, options) => (options ? new Intl.NumberFormat(locale, options) : number).format(value),
+    formatPercent: (value) => percent.format(value / 100),
+    formatDateTime: (value) => dateTime.format(new Date(value)),
+    formatDate: (value) => date.format(new Date(value)),
+  };
+};
+
+// English translator, the default for helpers used outside React
+export const translate = createTranslator(DEFAULT_LOCALE);
@@ -0,0 +1,380 @@
+// Arabic messages, shown right-to-left. Plurals use all six Arabic
+// categories (zero, one, two, few, many, other).
+
+export default {
+  'app.tagline': 'أنشئ استطلاعات، اجمع الآراء، واتخذوا القرار معًا',
+
+  'nav.allPolls': 'كل الاستطلاعات',
+  'nav.myPolls': 'استطلاعاتي',
+  'nav.myVotes': 'استطلاعات صوّتُّ فيها',
+  'nav.skipToContent': 'انتقل إلى المحتوى',
+
+  'common.confirm': 'تأكيد',
+  'common.cancel': 'إلغاء',
+  'common.moveUp': 'نقل للأعلى',
+  'common.moveDown': 'نقل للأسفل',
+  'common.retry': 'إعادة المحاولة',
+  'common.back': 'رجوع',
+  'common.close': 'إغلاق',
+
+  'language.label': 'اللغة',
+
+  'display.label': 'إعدادات العرض',
+  'display.reduceMotion': 'تقليل الحركة',
+  'display.highContrast': 'تباين عالٍ',
+  'display.theme': 'المظهر',
+  'display.theme.system': 'حسب النظام',
+  'display.theme.light': 'فاتح',
+  'display.theme.dark': 'داكن',
+
+  'connection.offline': 'أنت غير متصل بالإنترنت',
+  'connection.disconnected': 'تعذّر الوصول إلى الخادم',
+  'connection.checking': 'جارٍ التحقق من الاتصال...',
+
+  'diagnostics.title': 'التشخيص',
+  'diagnostics.apiBase': 'عنوان URL الأساسي للواجهة البرمجية',
+  'diagnostics.healthUrl': 'نقطة فحص الحالة',
+  'diagnostics.status': 'الحالة',
+  'diagnostics.status.checking': 'جارٍ التحقق',
+  'diagnostics.status.connected': 'متصل',
+  'diagnostics.status.disconnected': 'غير متصل',
+  'diagnostics.status.offline': 'دون اتصال',
+  'diagnostics.latency': 'زمن الاستجابة',
+  'diagnostics.latencyValue': '{ms} مللي ثانية',
+  'diagnostics.lastChecked': 'آخر فحص',
+  'diagnostics.lastError': 'آخر خطأ في فحص الحالة',
+  'diagnostics.none': 'لا يوجد',
+  'diagnostics.failures': 'الطلبات الفاشلة الأخيرة',
+  'diagnostics.noFailures': 'لا توجد طلبات فاشلة.',
+  'diagnostics.attempt': 'المحاولة {attempt} من {total}',
+  'diagnostics.retried': 'أُعيدت المحاولة',
+  'diagnostics.gaveUp': 'توقفت المحاولات',
+  'diagnostics.clear': 'مسح',
+
+  'live.stream': 'نتائج مباشرة',
+  'live.polling': 'يتم تحديث النتائج تلقائيًا',
+
+  'toast.dismiss': 'إغلاق',
+
+  'polls.loadFailed': 'تعذّر تحميل الاستطلاعات. تحقق من اتصالك وحاول مرة أخرى.',
+  'polls.personalLoadFailed': 'تعذّر تحميل استطلاعاتك. حاول مرة أخرى.',
+  'polls.refresh': 'تحديث',
+  'polls.refreshing': 'جارٍ التحديث...',
+  'polls.loading': 'جارٍ تحميل الاستطلاعات...',
+  'polls.savedCopy': 'تُعرض الاستطلاعات كما كانت في {time}. سيتم تحديثها عند عودة الاتصال.',
+  'polls.closed': 'الاستطلاعات المنتهية',
+  'polls.noMatches': 'لا توجد استطلاعات تطابق البحث والمرشحات.',
+  'polls.clearFilters': 'مسح المرشحات',
+  'polls.empty': 'لا توجد استطلاعات بعد.',
+  'polls.emptyHint': 'أنشئ أول استطلاع لك!',
+
+  'poll.votes': { zero: 'لا توجد أصوات', one: 'صوت واحد', two: 'صوتان', few: '{count} أصوات', many: '{count} صوتًا', other: '{count} صوت' },
+  'poll.loading': 'جارٍ تحميل الاستطلاع...',
+  'poll.notFound': 'هذا الاستطلاع غير موجود أو تم حذفه.',
+  'poll.loadFailed': 'تعذّر تحميل هذا الاستطلاع.',
+  'poll.duplicate': 'تكرار الاستطلاع',
+  'poll.close': 'إنهاء الاستطلاع الآن',
+  'poll.edit': 'تعديل الاستطلاع',
+  'poll.delete': 'حذف الاستطلاع',
+  'poll.publicBadge': 'أصوات علنية',
+  'poll.internalBadge': 'للأعضاء فقط',
+  'poll.pendingCreate': 'معلّق - سيُنشأ عند عودة الاتصال',
+  'poll.pendingVote': 'صوت معلّق - سيُرسل عند عودة الاتصال',
+  'poll.by': 'بواسطة {name}',
+  'poll.signInToVote': 'سجّل الدخول للتصويت',
+  'poll.yourVote': 'صوتك',
+  'poll.finalResults': 'انتهى الاستطلاع - النتائج النهائية',
+  'poll.resultsAfterVoting': 'تظهر النتائج بعد التصويت',
+  'poll.viewResults': 'عرض النتائج كاملة',
+
+  'countdown.days': '{days} ي {hours} س',
+  'countdown.hours': '{hours} س {minutes} د',
+  'countdown.minutes': '{minutes} د {seconds} ث',
+  'countdown.seconds': '{seconds} ث',
+  'countdown.closed': 'منتهٍ',
+  'countdown.opensIn': 'يبدأ بعد {time}',
+  'countdown.closesIn': 'ينتهي بعد {time}',
+
+  'ballot.chooseUpTo': 'اختر حتى {count}',
+  'ballot.voteSelected': 'صوّت ({selected}/{max})',
+  'ballot.ratingValue': '{value} من {max}',
+  'ballot.submitRatings': 'إرسال التقييمات',
+  'ballot.rankHint': 'اسحب لإعادة الترتيب، المفضّل أولًا',
+  'ballot.rankKeyboardHint': '(أو Alt+سهم لأعلى وAlt+سهم لأسفل)',
+  'ballot.rankItem': '{position}. {option}',
+  'ballot.rankPosition': '{position}.',
+  'ballot.moveOptionUp': 'نقل {option} للأعلى',
+  'ballot.moveOptionDown': 'نقل {option} للأسفل',
+  'ballot.submitRanking': 'إرسال الترتيب',
+
+  'vote.success': 'تم تسجيل صوتك!',
+  'vote.duplicate': 'لقد صوّتّ بالفعل من هذا الجهاز.',
+  'vote.failed': 'تعذّر تسجيل الصوت.',
+
+  'voteComment.name': 'اسمك',
+  'voteComment.namePlaceholder': 'اسمك (يظهر مع صوتك)',
+  'voteComment.label': 'تعليق',
+  'voteComment.placeholder': 'أضف تعليقًا على صوتك (اختياري)',
+  'voteComment.remaining': { zero: 'لم يتبقَّ أي حرف', one: 'يتبقى حرف واحد', two: 'يتبقى حرفان', few: 'يتبقى {count} أحرف', many: 'يتبقى {count} حرفًا', other: 'يتبقى {count} حرف' },
+
+  'voters.more': { other: '+{count} آخرين' },
+
+  'comments.count': { zero: 'لا توجد تعليقات', one: 'تعليق واحد', two: 'تعليقان', few: '{count} تعليقات', many: '{count} تعليقًا', other: '{count} تعليق' },
+  'comments.showAll': 'عرض كل التعليقات',
+  'comments.anonymous': 'مجهول',
+  'comments.voted': 'صوّت لـ',
+
+  'results.title': { zero: 'النتائج · لا توجد أصوات', one: 'النتائج · صوت واحد', two: 'النتائج · صوتان', few: 'النتائج · {count} أصوات', many: 'النتائج · {count} صوتًا', other: 'النتائج · {count} صوت' },
+  'results.chart.bar': 'مخطط أعمدة',
+  'results.chart.pie': 'مخطط دائري',
+  'results.chart.donut': 'مخطط حلقي',
+  'results.sortedByVotes': 'مرتبة حسب الأصوات',
+  'results.pollOrder': 'ترتيب الاستطلاع',
+  'results.sortByVotes': 'الترتيب حسب الأصوات',
+  'results.ratingOutOf': ' من {max}،',
+  'results.ratings': { zero: 'تقييم', one: 'تقييم', two: 'تقييمان', few: 'تقييمات', many: 'تقييمًا', other: 'تقييم' },
+  'results.roundsUnavailable': 'نتائج الجولات غير متاحة بعد لهذا الاستطلاع.',
+  'results.winner': 'الفائز: {option}',
+  'results.tie': 'لا يوجد فائز بالأغلبية (تعادل)',
+  'results.round': 'الجولة {number}',
+  'results.votesLabel': { zero: 'صوت', one: 'صوت', two: 'صوتان', few: 'أصوات', many: 'صوتًا', other: 'صوت' },
+  'results.eliminated': 'مُستبعد',
+  'results.exhausted': { zero: 'لا توجد بطاقات مستنفدة', one: 'بطاقة مستنفدة واحدة', two: 'بطاقتان مستنفدتان', few: '{count} بطاقات مستنفدة', many: '{count} بطاقة مستنفدة', other: '{count} بطاقة مستنفدة' },
+
+  'analytics.title': 'التحليلات',
+  'analytics.loading': 'جارٍ تحميل سجل التصويت...',
+  'analytics.loadFailed': 'تعذر تحميل سجل التصويت.',
+  'analytics.empty': 'لا توجد أصوات بعد.',
+  'analytics.timeline': 'الأصوات عبر الزمن',
+  'analytics.unit.hour': 'حسب الساعة',
+  'analytics.unit.day': 'حسب اليوم',
+  'analytics.period': 'الفترة',
+  'analytics.votes': 'الأصوات',
+  'analytics.total': 'الإجمالي',
+  'analytics.turnout': 'نسبة المشاركة',
+  'analytics.turnoutValue': 'صوّت {voters} من {target} · {percent}',
+  'analytics.noTarget': 'لم يُحدَّد جمهور مستهدف لهذا الاستطلاع.',
+  'analytics.lead': 'الصدارة عبر الزمن',
+  'analytics.leadFirstPreferences': 'الصدارة في التفضيلات الأولى',
+  'analytics.leadRanked': 'في استطلاعات الترتيب يتبع هذا التفضيلات الأولى فقط. النتيجة أعلاه تحتسب كل التفضيلات (الجولات الفورية)، لذا قد يختلف الفائز.',
+  'analytics.leadSince': { zero: '{option} في الصدارة منذ {time}، ولم تصل أصوات بعد ذلك.', one: '{option} في الصدارة منذ {time}، ووصل صوت واحد بعد ذلك.', two: '{option} في الصدارة منذ {time}، ووصل صوتان بعد ذلك.', few: '{option} في الصدارة منذ {time}، ووصلت {count} أصوات بعد ذلك.', many: '{option} في الصدارة منذ {time}، ووصل {count} صوتًا بعد ذلك.', other: '{option} في الصدارة منذ {time}، ووصل {count} صوت بعد ذلك.' },
+  'analytics.tiedSince': { zero: 'تعادل منذ {time}، ولم تصل أصوات بعد ذلك.', one: 'تعادل منذ {time}، ووصل صوت واحد بعد ذلك.', two: 'تعادل منذ {time}، ووصل صوتان بعد ذلك.', few: 'تعادل منذ {time}، ووصلت {count} أصوات بعد ذلك.', many: 'تعادل منذ {time}، ووصل {count} صوتًا بعد ذلك.', other: 'تعادل منذ {time}، ووصل {count} صوت بعد ذلك.' },
+  'analytics.leadChanges': { one: 'تغيّرت الصدارة مرة واحدة.', two: 'تغيّرت الصدارة مرتين.', few: 'تغيّرت الصدارة {count} مرات.', many: 'تغيّرت الصدارة {count} مرة.', other: 'تغيّرت الصدارة {count} مرة.' },
+  'analytics.noLeadChanges': 'لم تتغيّر الصدارة أبدًا.',
+  'analytics.tookLead': 'تصدّر {option} مع الصوت رقم {number}',
+  'analytics.tie': 'تعادل بعد الصوت رقم {number}',
+
+  'detail.voteToSeeResults': 'صوّت لرؤية النتائج كاملة',
+
+  'personal.signIn': 'سجّل الدخول لرؤية استطلاعاتك.',
+  'personal.noneCreated': 'لم تنشئ أي استطلاع بعد.',
+  'personal.noneVoted': 'لم تصوّت في أي استطلاع بعد.',
+
+  'create.success': 'تم إنشاء الاستطلاع!',
+  'create.failed': 'تعذّر إنشاء الاستطلاع.',
+  'create.button': 'إنشاء استطلاع جديد',
+  'create.title': 'إنشاء استطلاع جديد',
+  'create.submit': 'إنشاء الاستطلاع',
+  'create.clearDraft': 'مسح المسودة',
+  'create.draftNote': 'تُحفظ مسودتك على هذا الجهاز حتى يتم إنشاء الاستطلاع.',
+
+  'edit.notOwner': 'يمكن لمنشئ الاستطلاع فقط تعديله.',
+  'edit.success': 'تم تحديث الاستطلاع.',
+  'edit.conflictReload': 'عدّل شخص آخر هذا الاستطلاع. أعد تحميله وحاول مرة أخرى.',
+  'edit.failed': 'تعذّر حفظ الاستطلاع.',
+  'edit.title': 'تعديل الاستطلاع',
+  'edit.save': 'حفظ التغييرات',
+  'edit.saving': 'جارٍ الحفظ...',
+
+  'form.question': 'السؤال',
+  'form.questionPlaceholder': 'اكتب سؤالك...',
+  'form.type': 'نوع الاستطلاع',
+  'form.maxChoices': 'الحد الأقصى للاختيارات',
+  'form.options': 'الخيارات',
+  'form.opens': 'يبدأ',
+  'form.closes': 'ينتهي',
+  'form.optional': '(اختياري)',
+  'form.targetAudience': 'الجمهور المستهدف',
+  'form.targetAudienceHint': 'عدد الأشخاص المتوقع تصويتهم، لعرض نسبة المشاركة.',
+  'form.visibility': 'الأصوات',
+  'form.visibility.anonymous': 'مجهولة - تظهر المجاميع فقط',
+  'form.visibility.public': 'علنية - تظهر الأسماء والتعليقات',
+  'form.internal': 'للأعضاء فقط - يتطلب التصويت تسجيل الدخول',
+  'form.error.questionTooLong': 'يجب ألا يتجاوز السؤال {max} حرفًا',
+  'form.error.questionRequired': 'يرجى كتابة سؤال',
+  'form.error.optionTooLong': 'يجب ألا يتجاوز الخيار {max} حرفًا',
+  'form.error.optionDuplicate': 'مطابق للخيار {number}',
+  'form.error.optionWithVotesEmpty': 'لا يمكن ترك الخيارات التي لها أصوات فارغة',
+  'form.error.tooManyOptions': { other: 'يمكن أن يحتوي الاستطلاع على {count} خيارات كحد أقصى' },
+  'form.error.tooFewOptions': { other: 'يلزم {count} خيارات على الأقل' },
+  'form.error.maxChoicesRange': 'يجب أن يكون الحد الأقصى للاختيارات بين 1 و{max}',
+  'form.error.endInPast': 'يجب أن يكون وقت الانتهاء في المستقبل',
+  'form.error.endBeforeStart': 'يجب أن يكون وقت الانتهاء بعد وقت البدء',
+  'form.error.targetAudience': 'أدخل عددًا صحيحًا من الأشخاص، 1 على الأقل',
+
+  'pollType.single': 'اختيار واحد',
+  'pollType.multi': 'اختيار متعدد',
+  'pollType.ranked': 'ترتيب تفضيلي',
+  'pollType.rating': 'تقييم (1-5)',
+
+  'optionEditor.pasteLimited': 'تمت إضافة {added} فقط من أصل {total} سطرًا ملصقًا، الحد الأقصى للاستطلاع {count} خيارات.',
+  'optionEditor.drag': 'اسحب لإعادة الترتيب',
+  'optionEditor.option': 'الخيار {number}',
+  'optionEditor.moveUpHint': 'نقل للأعلى (Alt+سهم لأعلى)',
+  'optionEditor.moveDownHint': 'نقل للأسفل (Alt+سهم لأسفل)',
+  'optionEditor.moveUp': 'نقل الخيار {number} للأعلى',
+  'optionEditor.moveDown': 'نقل الخيار {number} للأسفل',
+  'optionEditor.remove': 'إزالة الخيار',
+  'optionEditor.removeNumbered': 'إزالة الخيار {number}',
+  'optionEditor.add': '+ إضافة خيار',
+  'optionEditor.hint': '{count}/{max} · الصق قائمة لإضافة عدة خيارات',
+
+  'templates.saved': 'تم حفظ «{name}».',
+  'templates.deleted': 'تم حذف «{name}».',
+  'templates.imported': { zero: 'لم يتم استيراد أي قالب.', one: 'تم استيراد قالب واحد.', two: 'تم استيراد قالبين.', few: 'تم استيراد {count} قوالب.', many: 'تم استيراد {count} قالبًا.', other: 'تم استيراد {count} قالب.' },
+  'templates.delete': 'حذف القالب',
+  'templates.deleteNamed': 'حذف القالب {name}',
+  'templates.title': 'ابدأ من قالب',
+  'templates.presets': 'قوالب جاهزة',
+  'templates.mine': 'قوالبي',
+  'templates.empty': 'لا توجد قوالب محفوظة بعد.',
+  'templates.name': 'اسم القالب',
+  'templates.saveHint': 'حفظ النموذج الحالي كقالب',
+  'templates.saveDisabledHint': 'أدخل اسمًا وسؤالًا وخيارين أولًا',
+  'templates.save': 'حفظ الحالي',
+  'templates.export': 'تصدير',
+  'templates.import': 'استيراد',
+  'templates.error.invalidJson': 'الملف لا يحتوي على JSON صالح.',
+  'templates.error.noTemplates': 'الملف لا يحتوي على أي قوالب.',
+  'templates.error.incomplete': 'يحتاج القالب {number} إلى اسم وسؤال وخيارين على الأقل.',
+  'templates.builtin.lunch.name': 'أين نتناول الغداء؟',
+  'templates.builtin.lunch.question': 'أين يجب أن نذهب لتناول الغداء؟',
+  'templates.builtin.lunch.option1': 'بيتزا',
+  'templates.builtin.lunch.option2': 'سوشي',
+  'templates.builtin.lunch.option3': 'برغر',
+  'templates.builtin.lunch.option4': 'بوفيه سلطات',
+  'templates.builtin.yesNoAbstain.name': 'نعم / لا / امتناع',
+  'templates.builtin.yesNoAbstain.question': 'هل توافق على الاقتراح؟',
+  'templates.builtin.yesNoAbstain.option1': 'نعم',
+  'templates.builtin.yesNoAbstain.option2': 'لا',
+  'templates.builtin.yesNoAbstain.option3': 'امتناع',
+  'templates.builtin.retro.name': 'مراجعة السبرنت',
+  'templates.builtin.retro.question': 'كيف سار السبرنت؟',
+  'templates.builtin.retro.option1': 'تحقيق الأهداف',
+  'templates.builtin.retro.option2': 'التعاون',
+  'templates.builtin.retro.option3': 'سير العمل',
+  'templates.builtin.retro.option4': 'حجم العمل',
+  'templates.builtin.meetingTime.name': 'موعد الاجتماع',
+  'templates.builtin.meetingTime.question': 'ما الأوقات المناسبة لك؟',
+  'templates.builtin.meetingTime.option1': 'صباح الاثنين',
+  'templates.builtin.meetingTime.option2': 'مساء الاثنين',
+  'templates.builtin.meetingTime.option3': 'صباح الثلاثاء',
+  'templates.builtin.meetingTime.option4': 'مساء الثلاثاء',
+  'templates.builtin.priorities.name': 'ترتيب أولويات الميزات',
+  'templates.builtin.priorities.question': 'ماذا يجب أن نبني بعد ذلك؟',
+  'templates.builtin.priorities.option1': 'الميزة أ',
+  'templates.builtin.priorities.option2': 'الميزة ب',
+  'templates.builtin.priorities.option3': 'الميزة ج',
+
+  'merge.title': 'تم تغيير هذا الاستطلاع في الأثناء',
+  'merge.description': 'حفظ شخص آخر هذا الاستطلاع بعد أن بدأت بتعديله. اختر التغييرات التي تريد الاحتفاظ بها.',
+  'merge.yourVersion': 'نسختك',
+  'merge.savedVersion': 'النسخة المحفوظة',
+  'merge.conflicts': 'تغييرات متعارضة (عند الدمج تُعتمد نسختك):',
+  'merge.noConflicts': 'تغييراتكما لا تتداخل ويمكن دمجها.',
+  'merge.review': 'مراجعة الدمج',
+  'merge.keepMine': 'الكتابة بنسختي',
+  'merge.useTheirs': 'تجاهل تغييراتي',
+  'merge.conflict.question': 'غيّر كلاكما السؤال',
+  'merge.conflict.editedRemoved': 'عدّل الطرف الآخر «{option}» لكنك أزلته',
+  'merge.conflict.votedRemoved': 'حصل «{option}» على أصوات جديدة لكنك أزلته',
+  'merge.conflict.option': 'غيّر كلاكما «{option}»',
+  'merge.conflict.removedEdited': 'أزال الطرف الآخر «{option}» لكنك عدّلته',
+
+  'removeOption.title': 'إزالة الخيار؟',
+  'removeOption.message': { zero: '«{option}» ليس له أصوات.', one: 'لدى «{option}» صوت واحد، سيُفقد عند الحفظ.', two: 'لدى «{option}» صوتان، سيُفقدان عند الحفظ.', few: 'لدى «{option}» {count} أصوات، ستُفقد عند الحفظ.', many: 'لدى «{option}» {count} صوتًا، ستُفقد عند الحفظ.', other: 'لدى «{option}» {count} صوت، ستُفقد عند الحفظ.' },
+  'removeOption.confirm': 'إزالة',
+
+  'replaceDraft.title': 'استبدال المسودة؟',
+  'replaceDraft.message': 'سيتم استبدال استطلاعك غير المحفوظ «{question}».',
+  'replaceDraft.untitled': 'بلا عنوان',
+  'replaceDraft.confirm': 'استبدال',
+
+  'delete.success': 'تم حذف الاستطلاع!',
+  'delete.notOwner': 'يمكن لمنشئ الاستطلاع فقط حذفه.',
+  'delete.failed': 'تعذّر حذف الاستطلاع.',
+  'delete.undoable': 'تم حذف الاستطلاع.',
+  'delete.undo': 'تراجع',
+  'delete.confirmTitle': 'حذف الاستطلاع؟',
+  'delete.confirmMessage': 'سيتم حذف «{question}» وجميع أصواته.',
+  'delete.confirm': 'حذف',
+
+  'close.success': 'تم إنهاء الاستطلاع.',
+  'close.failed': 'تعذّر إنهاء الاستطلاع.',
+
+  'outbox.pollCreated': 'تم إنشاء الاستطلاع الذي أعددته دون اتصال.',
+  'outbox.voteSent': 'تم إرسال الصوت الذي أدليت به دون اتصال.',
+  'outbox.pollFailed': 'تعذّر إنشاء الاستطلاع «{question}» الذي أعددته دون اتصال ({error}).',
+  'outbox.pollLabel': '«{question}»',
+  'outbox.unknownPoll': 'استطلاع',
+  'outbox.voteDuplicate': 'لم يُحتسب صوتك غير المتصل في {poll}: لقد صوّتّ بالفعل من هذا الجهاز.',
+  'outbox.votePollDeleted': 'لم يُحتسب صوتك غير المتصل في {poll}: تم حذف الاستطلاع.',
+  'outbox.voteRejected': 'رفض الخادم صوتك غير المتصل في {poll} ({error}).',
+  'outbox.voteQueued': 'أنت غير متصل. سيُرسل صوتك عند عودة الاتصال.',
+  'outbox.pollQueued': 'أنت غير متصل. سيُنشأ استطلاعك عند عودة الاتصال.',
+  'outbox.signInRequired': 'تتطلب بعض التغييرات التي أجريتها دون اتصال تسجيل الدخول. ستُرسل بمجرد أن تسجّل الدخول.',
+
+  'sort.newest': 'الأحدث',
+  'sort.votes': 'الأكثر أصواتًا',
+  'sort.closing': 'ينتهي قريبًا',
+
+  'toolbar.search': 'البحث في الاستطلاعات',
+  'toolbar.searchPlaceholder': 'ابحث في الأسئلة والخيارات...',
+  'toolbar.clearSearch': 'مسح البحث',
+  'toolbar.filterVoted': 'التصفية حسب التصويت',
+  'toolbar.voted.all': 'صوّتُّ أم لا',
+  'toolbar.voted.voted': 'صوّتُّ',
+  'toolbar.voted.notVoted': 'لم أصوّت',
+  'toolbar.filterStatus': 'التصفية حسب الحالة',
+  'toolbar.status.all': 'جارية ومنتهية',
+  'toolbar.status.open': 'جارية',
+  'toolbar.status.closed': 'منتهية',
+  'toolbar.mine': 'من إنشائي',
+  'toolbar.sort': 'ترتيب الاستطلاعات',
+
+  'pagination.label': 'التنقل بين الصفحات',
+  'pagination.previous': 'السابق',
+  'pagination.next': 'التالي',
+  'pagination.page': 'الصفحة {page} من {totalPages}',
+
+  'share.title': 'مشاركة الاستطلاع',
+  'share.link': 'رابط الاستطلاع',
+  'share.copy': 'نسخ الرابط',
+  'share.copied': 'تم النسخ',
+  'share.copyPrompt': 'انسخ هذا الرابط:',
+  'share.qrCode': 'رمز QR لهذا الاستطلاع',
+
+  'embed.action': 'الحصول على رمز التضمين',
+  'embed.title': 'تضمين هذا الاستطلاع',
+  'embed.theme': 'المظهر',
+  'embed.theme.light': 'فاتح',
+  'embed.theme.dark': 'داكن',
+  'embed.width': 'العرض',
+  'embed.height': 'الارتفاع',
+  'embed.script': 'وسم script',
+  'embed.scriptHint': 'يضبط ارتفاع الإطار ليلائم الاستطلاع.',
+  'embed.iframe': 'Iframe',
+  'embed.iframeHint': 'يحافظ على الارتفاع الذي حددته. يرسل الإطار رسائل "resize" إذا أردت ضبط حجمه بنفسك.',
+  'embed.copy': 'نسخ',
+  'embed.open': 'فتح في {app}',
+
+  'login.title': 'تسجيل الدخول',
+  'login.username': 'اسم المستخدم',
+  'login.password': 'كلمة المرور',
+  'login.submit': 'تسجيل الدخول',
+  'login.submitting': 'جارٍ تسجيل الدخول...',
+  'login.error.credentials': 'اسم المستخدم أو كلمة المرور غير صحيحة.',
+  'login.error.failed': 'فشل تسجيل الدخول. حاول مرة أخرى.',
+
+  'user.signOut': 'تسجيل الخروج',
+};
@@ -0,0 +1,379 @@
+// German messages
+
+export default {
+  'app.tagline': 'Umfragen erstellen, Meinungen sammeln, gemeinsam entscheiden',
+
+  'nav.allPolls': 'Alle Umfragen',
+  'nav.myPolls': 'Meine Umfragen',
+  'nav.myVotes': 'Umfragen, an denen ich teilgenommen habe',
+  'nav.skipToContent': 'Zum Inhalt springen',
+
+  'common.confirm': 'Bestätigen',
+  'common.cancel': 'Abbrechen',
+  'common.moveUp': 'Nach oben',
+  'common.moveDown': 'Nach unten',
+  'common.retry': 'Erneut versuchen',
+  'common.back': 'Zurück',
+  'common.close': 'Schließen',
+
+  'language.label': 'Sprache',
+
+  'display.label': 'Anzeigeeinstellungen',
+  'display.reduceMotion': 'Weniger Bewegung',
+  'display.highContrast': 'Hoher Kontrast',
+  'display.theme': 'Farbschema',
+  'display.theme.system': 'Wie das System',
+  'display.theme.light': 'Hell',
+  'display.theme.dark': 'Dunkel',
+
+  'connection.offline': 'Du bist offline',
+  'connection.disconnected': 'Server nicht erreichbar',
+  'connection.checking': 'Verbindung wird geprüft...',
+
+  'diagnostics.title': 'Diagnose',
+  'diagnostics.apiBase': 'API-Basis-URL',
+  'diagnostics.healthUrl': 'Health-Endpunkt',
+  'diagnostics.status': 'Status',
+  'diagnostics.status.checking': 'Wird geprüft',
+  'diagnostics.status.connected': 'Verbunden',
+  'diagnostics.status.disconnected': 'Getrennt',
+  'diagnostics.status.offline': 'Offline',
+  'diagnostics.latency': 'Latenz',
+  'diagnostics.latencyValue': '{ms} ms',
+  'diagnostics.lastChecked': 'Zuletzt geprüft',
+  'diagnostics.lastError': 'Letzter Health-Fehler',
+  'diagnostics.none': 'Keiner',
+  'diagnostics.failures': 'Letzte fehlgeschlagene Anfragen',
+  'diagnostics.noFailures': 'Keine fehlgeschlagenen Anfragen.',
+  'diagnostics.attempt': 'Versuch {attempt} von {total}',
+  'diagnostics.retried': 'wiederholt',
+  'diagnostics.gaveUp': 'aufgegeben',
+  'diagnostics.clear': 'Leeren',
+
+  'live.stream': 'Live-Ergebnisse',
+  'live.polling': 'Ergebnisse werden automatisch aktualisiert',
+
+  'toast.dismiss': 'Schließen',
+
+  'polls.loadFailed': 'Umfragen konnten nicht geladen werden. Bitte prüfe deine Verbindung und versuche es erneut.',
+  'polls.personalLoadFailed': 'Deine Umfragen konnten nicht geladen werden. Bitte versuche es erneut.',
+  'polls.refresh': 'Aktualisieren',
+  'polls.refreshing': 'Wird aktualisiert...',
+  'polls.loading': 'Umfragen werden geladen...',
+  'polls.savedCopy': 'Umfragen vom Stand {time}. Sie werden aktualisiert, sobald die Verbindung wieder da ist.',
+  'polls.closed': 'Beendete Umfragen',
+  'polls.noMatches': 'Keine Umfrage passt zu deiner Suche und den Filtern.',
+  'polls.clearFilters': 'Filter zurücksetzen',
+  'polls.empty': 'Noch keine Umfragen vorhanden.',
+  'polls.emptyHint': 'Erstelle deine erste Umfrage!',
+
+  'poll.votes': { one: '{count} Stimme', other: '{count} Stimmen' },
+  'poll.loading': 'Umfrage wird geladen...',
+  'poll.notFound': 'Diese Umfrage existiert nicht oder wurde gelöscht.',
+  'poll.loadFailed': 'Diese Umfrage konnte nicht geladen werden.',
+  'poll.duplicate': 'Umfrage duplizieren',
+  'poll.close': 'Umfrage jetzt beenden',
+  'poll.edit': 'Umfrage bearbeiten',
+  'poll.delete': 'Umfrage löschen',
+  'poll.publicBadge': 'Öffentliche Stimmen',
+  'poll.internalBadge': 'Nur für Mitglieder',
+  'poll.pendingCreate': 'Ausstehend - wird erstellt, sobald du online bist',
+  'poll.pendingVote': 'Stimme ausstehend - wird gesendet, sobald du online bist',
+  'poll.by': 'von {name}',
+  'poll.signInToVote': 'Melde dich an, um abzustimmen',
+  'poll.yourVote': 'Deine Stimme',
+  'poll.finalResults': 'Umfrage beendet - Endergebnis',
+  'poll.resultsAfterVoting': 'Ergebnisse sind nach der Abstimmung sichtbar',
+  'poll.viewResults': 'Alle Ergebnisse ansehen',
+
+  'countdown.days': '{days} T. {hours} Std.',
+  'countdown.hours': '{hours} Std. {minutes} Min.',
+  'countdown.minutes': '{minutes} Min. {seconds} Sek.',
+  'countdown.seconds': '{seconds} Sek.',
+  'countdown.closed': 'Beendet',
+  'countdown.opensIn': 'Startet in {time}',
+  'countdown.closesIn': 'Endet in {time}',
+
+  'ballot.chooseUpTo': 'Wähle bis zu {count}',
+  'ballot.voteSelected': 'Abstimmen ({selected}/{max})',
+  'ballot.ratingValue': '{value} von {max}',
+  'ballot.submitRatings': 'Bewertungen abgeben',
+  'ballot.rankHint': 'Zum Sortieren ziehen, Favorit zuerst',
+  'ballot.rankKeyboardHint': '(oder Alt+Pfeil nach oben und Alt+Pfeil nach unten)',
+  'ballot.rankItem': '{position}. {option}',
+  'ballot.rankPosition': '{position}.',
+  'ballot.moveOptionUp': '{option} nach oben verschieben',
+  'ballot.moveOptionDown': '{option} nach unten verschieben',
+  'ballot.submitRanking': 'Rangfolge abgeben',
+
+  'vote.success': 'Deine Stimme wurde abgegeben!',
+  'vote.duplicate': 'Du hast von diesem Gerät aus bereits abgestimmt.',
+  'vote.failed': 'Die Stimme konnte nicht abgegeben werden.',
+
+  'voteComment.name': 'Dein Name',
+  'voteComment.namePlaceholder': 'Dein Name (wird mit deiner Stimme angezeigt)',
+  'voteComment.label': 'Kommentar',
+  'voteComment.placeholder': 'Kommentar zu deiner Stimme (optional)',
+  'voteComment.remaining': { one: 'Noch {count} Zeichen', other: 'Noch {count} Zeichen' },
+
+  'voters.more': { one: '+{count} weitere', other: '+{count} weitere' },
+
+  'comments.count': { one: '{count} Kommentar', other: '{count} Kommentare' },
+  'comments.showAll': 'Alle Kommentare anzeigen',
+  'comments.anonymous': 'Anonym',
+  'comments.voted': 'stimmte für',
+
+  'results.title': { one: 'Ergebnisse · {count} Stimme', other: 'Ergebnisse · {count} Stimmen' },
+  'results.chart.bar': 'Balkendiagramm',
+  'results.chart.pie': 'Kreisdiagramm',
+  'results.chart.donut': 'Ringdiagramm',
+  'results.sortedByVotes': 'Nach Stimmen sortiert',
+  'results.pollOrder': 'Reihenfolge der Umfrage',
+  'results.sortByVotes': 'Nach Stimmen sortieren',
+  'results.ratingOutOf': ' von {max},',
+  'results.ratings': { one: 'Bewertung', other: 'Bewertungen' },
+  'results.roundsUnavailable': 'Die Ergebnisse der einzelnen Runden sind für diese Umfrage noch nicht verfügbar.',
+  'results.winner': 'Gewinner: {option}',
+  'results.tie': 'Kein Gewinner mit Mehrheit (Gleichstand)',
+  'results.round': 'Runde {number}',
+  'results.votesLabel': { one: 'Stimme', other: 'Stimmen' },
+  'results.eliminated': 'ausgeschieden',
+  'results.exhausted': { one: '{count} erschöpfter Stimmzettel', other: '{count} erschöpfte Stimmzettel' },
+
+  'analytics.title': 'Auswertung',
+  'analytics.loading': 'Stimmverlauf wird geladen...',
+  'analytics.loadFailed': 'Der Stimmverlauf konnte nicht geladen werden.',
+  'analytics.empty': 'Noch keine Stimmen.',
+  'analytics.timeline': 'Stimmen im Zeitverlauf',
+  'analytics.unit.hour': 'Pro Stunde',
+  'analytics.unit.day': 'Pro Tag',
+  'analytics.period': 'Zeitraum',
+  'analytics.votes': 'Stimmen',
+  'analytics.total': 'Gesamt',
+  'analytics.turnout': 'Beteiligung',
+  'analytics.turnoutValue': '{voters} von {target} haben abgestimmt · {percent}',
+  'analytics.noTarget': 'Für diese Umfrage wurde keine Zielgruppe festgelegt.',
+  'analytics.lead': 'Führung im Zeitverlauf',
+  'analytics.leadFirstPreferences': 'Führung bei den Erstpräferenzen',
+  'analytics.leadRanked': 'Bei Rangfolge-Umfragen zählen hier nur die Erstpräferenzen. Das Ergebnis oben berücksichtigt alle Präferenzen (Instant-Runoff), der Gewinner kann sich daher unterscheiden.',
+  'analytics.leadSince': { one: '{option} führt seit {time}, danach kam {count} Stimme hinzu.', other: '{option} führt seit {time}, danach kamen {count} Stimmen hinzu.' },
+  'analytics.tiedSince': { one: 'Gleichstand seit {time}, danach kam {count} Stimme hinzu.', other: 'Gleichstand seit {time}, danach kamen {count} Stimmen hinzu.' },
+  'analytics.leadChanges': { one: 'Die Führung hat einmal gewechselt.', other: 'Die Führung hat {count}-mal gewechselt.' },
+  'analytics.noLeadChanges': 'Die Führung hat nie gewechselt.',
+  'analytics.tookLead': '{option} übernahm mit Stimme {number} die Führung',
+  'analytics.tie': 'Gleichstand nach Stimme {number}',
+
+  'detail.voteToSeeResults': 'Stimme ab, um alle Ergebnisse zu sehen',
+
+  'personal.signIn': 'Melde dich an, um deine Umfragen zu sehen.',
+  'personal.noneCreated': 'Du hast noch keine Umfragen erstellt.',
+  'personal.noneVoted': 'Du hast noch an keiner Umfrage teilgenommen.',
+
+  'create.success': 'Umfrage erstellt!',
+  'create.failed': 'Die Umfrage konnte nicht erstellt werden.',
+  'create.button': 'Neue Umfrage erstellen',
+  'create.title': 'Neue Umfrage erstellen',
+  'create.submit': 'Umfrage erstellen',
+  'create.clearDraft': 'Entwurf verwerfen',
+  'create.draftNote': 'Dein Entwurf wird auf diesem Gerät gespeichert, bis die Umfrage erstellt ist.',
+
+  'edit.notOwner': 'Nur die Person, die diese Umfrage erstellt hat, kann sie bearbeiten.',
+  'edit.success': 'Umfrage aktualisiert.',
+  'edit.conflictReload': 'Diese Umfrage wurde von jemand anderem geändert. Lade sie neu und versuche es erneut.',
+  'edit.failed': 'Die Umfrage konnte nicht gespeichert werden.',
+  'edit.title': 'Umfrage bearbeiten',
+  'edit.save': 'Änderungen speichern',
+  'edit.saving': 'Wird gespeichert...',
+
+  'form.question': 'Frage',
+  'form.questionPlaceholder': 'Gib deine Frage ein...',
+  'form.type': 'Art der Umfrage',
+  'form.maxChoices': 'Max. Auswahl',
+  'form.options': 'Optionen',
+  'form.opens': 'Beginn',
+  'form.closes': 'Ende',
+  'form.optional': '(optional)',
+  'form.targetAudience': 'Zielgruppe',
+  'form.targetAudienceHint': 'Wie viele Personen abstimmen sollen, für die Beteiligung.',
+  'form.visibility': 'Stimmen',
+  'form.visibility.anonymous': 'Anonym - nur die Summen werden angezeigt',
+  'form.visibility.public': 'Öffentlich - Namen und Kommentare werden angezeigt',
+  'form.internal': 'Nur für Mitglieder - Abstimmen erfordert eine Anmeldung',
+  'form.error.questionTooLong': 'Die Frage darf höchstens {max} Zeichen lang sein',
+  'form.error.questionRequired': 'Bitte gib eine Frage ein',
+  'form.error.optionTooLong': 'Optionen dürfen höchstens {max} Zeichen lang sein',
+  'form.error.optionDuplicate': 'Wie Option {number}',
+  'form.error.optionWithVotesEmpty': 'Optionen mit Stimmen dürfen nicht leer sein',
+  'form.error.tooManyOptions': { one: 'Eine Umfrage kann höchstens {count} Option haben', other: 'Eine Umfrage kann höchstens {count} Optionen haben' },
+  'form.error.tooFewOptions': { one: 'Mindestens {count} Option ist erforderlich', other: 'Mindestens {count} Optionen sind erforderlich' },
+  'form.error.maxChoicesRange': 'Die max. Auswahl muss zwischen 1 und {max} liegen',
+  'form.error.endInPast': 'Das Ende muss in der Zukunft liegen',
+  'form.error.endBeforeStart': 'Das Ende muss nach dem Beginn liegen',
+  'form.error.targetAudience': 'Gib eine ganze Zahl von Personen ein, mindestens 1',
+
+  'pollType.single': 'Einfachauswahl',
+  'pollType.multi': 'Mehrfachauswahl',
+  'pollType.ranked': 'Rangfolge',
+  'pollType.rating': 'Bewertung (1-5)',
+
+  'optionEditor.pasteLimited': 'Nur {added} von {total} eingefügten Zeilen wurden übernommen, eine Umfrage kann höchstens {count} Optionen haben.',
+  'optionEditor.drag': 'Zum Sortieren ziehen',
+  'optionEditor.option': 'Option {number}',
+  'optionEditor.moveUpHint': 'Nach oben (Alt+Pfeil nach oben)',
+  'optionEditor.moveDownHint': 'Nach unten (Alt+Pfeil nach unten)',
+  'optionEditor.moveUp': 'Option {number} nach oben verschieben',
+  'optionEditor.moveDown': 'Option {number} nach unten verschieben',
+  'optionEditor.remove': 'Option entfernen',
+  'optionEditor.removeNumbered': 'Option {number} entfernen',
+  'optionEditor.add': '+ Option hinzufügen',
+  'optionEditor.hint': '{count}/{max} · füge eine Liste ein, um mehrere hinzuzufügen',
+
+  'templates.saved': '„{name}“ gespeichert.',
+  'templates.deleted': '„{name}“ gelöscht.',
+  'templates.imported': { one: '{count} Vorlage importiert.', other: '{count} Vorlagen importiert.' },
+  'templates.delete': 'Vorlage löschen',
+  'templates.deleteNamed': 'Vorlage {name} löschen',
+  'templates.title': 'Mit einer Vorlage beginnen',
+  'templates.presets': 'Vorgaben',
+  'templates.mine': 'Meine Vorlagen',
+  'templates.empty': 'Noch keine gespeicherten Vorlagen.',
+  'templates.name': 'Name der Vorlage',
+  'templates.saveHint': 'Aktuelles Formular als Vorlage speichern',
+  'templates.saveDisabledHint': 'Gib zuerst einen Namen, die Frage und 2 Optionen ein',
+  'templates.save': 'Aktuelles speichern',
+  'templates.export': 'Exportieren',
+  'templates.import': 'Importieren',
+  'templates.error.invalidJson': 'Die Datei enthält kein gültiges JSON.',
+  'templates.error.noTemplates': 'Die Datei enthält keine Vorlagen.',
+  'templates.error.incomplete': 'Vorlage {number} braucht einen Namen, eine Frage und mindestens 2 Optionen.',
+  'templates.builtin.lunch.name': 'Wohin zum Mittagessen?',
+  'templates.builtin.lunch.question': 'Wo sollen wir zu Mittag essen?',
+  'templates.builtin.lunch.option1': 'Pizza',
+  'templates.builtin.lunch.option2': 'Sushi',
+  'templates.builtin.lunch.option3': 'Burger',
+  'templates.builtin.lunch.option4': 'Salatbar',
+  'templates.builtin.yesNoAbstain.name': 'Ja / Nein / Enthaltung',
+  'templates.builtin.yesNoAbstain.question': 'Stimmst du dem Vorschlag zu?',
+  'templates.builtin.yesNoAbstain.option1': 'Ja',
+  'templates.builtin.yesNoAbstain.option2': 'Nein',
+  'templates.builtin.yesNoAbstain.option3': 'Enthaltung',
+  'templates.builtin.retro.name': 'Sprint-Retro',
+  'templates.builtin.retro.question': 'Wie lief der Sprint?',
+  'templates.builtin.retro.option1': 'Ziele erreicht',
+  'templates.builtin.retro.option2': 'Zusammenarbeit',
+  'templates.builtin.retro.option3': 'Prozess',
+  'templates.builtin.retro.option4': 'Arbeitslast',
+  'templates.builtin.meetingTime.name': 'Besprechungstermin',
+  'templates.builtin.meetingTime.question': 'Welche Zeiten passen dir?',
+  'templates.builtin.meetingTime.option1': 'Montagvormittag',
+  'templates.builtin.meetingTime.option2': 'Montagnachmittag',
+  'templates.builtin.meetingTime.option3': 'Dienstagvormittag',
+  'templates.builtin.meetingTime.option4': 'Dienstagnachmittag',
+  'templates.builtin.priorities.name': 'Funktionen priorisieren',
+  'templates.builtin.priorities.question': 'Was sollen wir als Nächstes bauen?',
+  'templates.builtin.priorities.option1': 'Funktion A',
+  'templates.builtin.priorities.option2': 'Funktion B',
+  'templates.builtin.priorities.option3': 'Funktion C',
+
+  'merge.title': 'Diese Umfrage wurde inzwischen geändert',
+  'merge.description': 'Jemand hat diese Umfrage gespeichert, nachdem du mit dem Bearbeiten begonnen hast. Wähle, welche Änderungen erhalten bleiben.',
+  'merge.yourVersion': 'Deine Version',
+  'merge.savedVersion': 'Gespeicherte Version',
+  'merge.conflicts': 'Widersprüchliche Änderungen (beim Zusammenführen gilt deine Version):',
+  'merge.noConflicts': 'Eure Änderungen überschneiden sich nicht und können zusammengeführt werden.',
+  'merge.review': 'Zusammenführung prüfen',
+  'merge.keepMine': 'Mit meiner überschreiben',
+  'merge.useTheirs': 'Meine verwerfen',
+  'merge.conflict.question': 'Die Frage wurde von euch beiden geändert',
+  'merge.conflict.editedRemoved': '„{option}“ wurde von der anderen Person bearbeitet, aber von dir entfernt',
+  'merge.conflict.votedRemoved': '„{option}“ hat neue Stimmen erhalten, wurde aber von dir entfernt',
+  'merge.conflict.option': '„{option}“ wurde von euch beiden geändert',
+  'merge.conflict.removedEdited': '„{option}“ wurde von der anderen Person entfernt, aber von dir bearbeitet',
+
+  'removeOption.title': 'Option entfernen?',
+  'removeOption.message': { one: '„{option}“ hat {count} Stimme. Sie geht beim Speichern verloren.', other: '„{option}“ hat {count} Stimmen. Sie gehen beim Speichern verloren.' },
+  'removeOption.confirm': 'Entfernen',
+
+  'replaceDraft.title': 'Entwurf ersetzen?',
+  'replaceDraft.message': 'Deine ungespeicherte Umfrage „{question}“ wird ersetzt.',
+  'replaceDraft.untitled': 'Ohne Titel',
+  'replaceDraft.confirm': 'Ersetzen',
+
+  'delete.success': 'Umfrage gelöscht!',
+  'delete.notOwner': 'Nur die Person, die diese Umfrage erstellt hat, kann sie löschen.',
+  'delete.failed': 'Die Umfrage konnte nicht gelöscht werden.',
+  'delete.undoable': 'Umfrage gelöscht.',
+  'delete.undo': 'Rückgängig',
+  'delete.confirmTitle': 'Umfrage löschen?',
+  'delete.confirmMessage': '„{question}“ und alle Stimmen werden gelöscht.',
+  'delete.confirm': 'Löschen',
+
+  'close.success': 'Umfrage beendet.',
+  'close.failed': 'Die Umfrage konnte nicht beendet werden.',
+
+  'outbox.pollCreated': 'Deine offline erstellte Umfrage wurde angelegt.',
+  'outbox.voteSent': 'Deine offline abgegebene Stimme wurde übermittelt.',
+  'outbox.pollFailed': 'Deine offline erstellte Umfrage „{question}“ konnte nicht angelegt werden ({error}).',
+  'outbox.pollLabel': '„{question}“',
+  'outbox.unknownPoll': 'eine Umfrage',
+  'outbox.voteDuplicate': 'Deine offline abgegebene Stimme für {poll} wurde nicht gezählt: Du hattest von diesem Gerät aus bereits abgestimmt.',
+  'outbox.votePollDeleted': 'Deine offline abgegebene Stimme für {poll} wurde nicht gezählt: Die Umfrage wurde gelöscht.',
+  'outbox.voteRejected': 'Deine offline abgegebene Stimme für {poll} wurde vom Server abgelehnt ({error}).',
+  'outbox.voteQueued': 'Du bist offline. Deine Stimme wird gesendet, sobald die Verbindung wieder da ist.',
+  'outbox.pollQueued': 'Du bist offline. Deine Umfrage wird erstellt, sobald die Verbindung wieder da ist.',
+  'outbox.signInRequired': 'Einige deiner offline gemachten Änderungen erfordern eine Anmeldung. Sie werden gesendet, sobald du angemeldet bist.',
+
+  'sort.newest': 'Neueste',
+  'sort.votes': 'Meiste Stimmen',
+  'sort.closing': 'Enden bald',
+
+  'toolbar.search': 'Umfragen durchsuchen',
+  'toolbar.searchPlaceholder': 'Fragen und Optionen durchsuchen...',
+  'toolbar.clearSearch': 'Suche löschen',
+  'toolbar.filterVoted': 'Nach Teilnahme filtern',
+  'toolbar.voted.all': 'Abgestimmt oder nicht',
+  'toolbar.voted.voted': 'Abgestimmt',
+  'toolbar.voted.notVoted': 'Nicht abgestimmt',
+  'toolbar.filterStatus': 'Nach Status filtern',
+  'toolbar.status.all': 'Laufend und beendet',
+  'toolbar.status.open': 'Laufend',
+  'toolbar.status.closed': 'Beendet',
+  'toolbar.mine': 'Von mir erstellt',
+  'toolbar.sort': 'Umfragen sortieren',
+
+  'pagination.label': 'Seitennavigation',
+  'pagination.previous': 'Zurück',
+  'pagination.next': 'Weiter',
+  'pagination.page': 'Seite {page} von {totalPages}',
+
+  'share.title': 'Umfrage teilen',
+  'share.link': 'Link zur Umfrage',
+  'share.copy': 'Link kopieren',
+  'share.copied': 'Kopiert',
+  'share.copyPrompt': 'Diesen Link kopieren:',
+  'share.qrCode': 'QR-Code für diese Umfrage',
+
+  'embed.action': 'Einbettungscode',
+  'embed.title': 'Umfrage einbetten',
+  'embed.theme': 'Design',
+  'embed.theme.light': 'Hell',
+  'embed.theme.dark': 'Dunkel',
+  'embed.width': 'Breite',
+  'embed.height': 'Höhe',
+  'embed.script': 'Script-Tag',
+  'embed.scriptHint': 'Passt die Höhe des Rahmens an die Umfrage an.',
+  'embed.iframe': 'Iframe',
+  'embed.iframeHint': 'Behält die angegebene Höhe. Der Rahmen sendet „resize“-Nachrichten, falls du die Größe selbst anpassen möchtest.',
+  'embed.copy': 'Kopieren',
+  'embed.open': 'In {app} öffnen',
+
+  'login.title': 'Anmelden',
+  'login.username': 'Benutzername',
+  'login.password': 'Passwort',
+  'login.submit': 'Anmelden',
+  'login.submitting': 'Anmeldung läuft...',
+  'login.error.credentials': 'Benutzername oder Passwort ist falsch.',
+  'login.error.failed': 'Anmeldung fehlgeschlagen. Bitte versuche es erneut.',
+
+  'user.signOut': 'Abmelden',
+};
@@ -0,0 +1,380 @@
+// English messages, the source catalog. The other catalogs fall back to these
+// for keys they are missing. See i18n/index.js for the message format.
+
+export default {
+  'app.tagline': 'Create polls, gather opinions, make decisions together',
+
+  'nav.allPolls': 'All polls',
+  'nav.myPolls': 'My polls',
+  'nav.myVotes': 'Polls I voted in',
+  'nav.skipToContent': 'Skip to content',
+
+  'common.confirm': 'Confirm',
+  'common.cancel': 'Cancel',
+  'common.moveUp': 'Move up',
+  'common.moveDown': 'Move down',
+  'common.retry': 'Retry',
+  'common.back': 'Back',
+  'common.close': 'Close',
+
+  'language.label': 'Language',
+
+  'display.label': 'Display settings',
+  'display.reduceMotion': 'Reduce motion',
+  'display.highContrast': 'High contrast',
+  'display.theme': 'Theme',
+  'display.theme.system': 'System theme',
+  'display.theme.light': 'Light',
+  'display.theme.dark': 'Dark',
+
+  'connection.offline': 'You are offline',
+  'connection.disconnected': 'Server disconnected',
+  'connection.checking': 'Checking connection...',
+
+  'diagnostics.title': 'Diagnostics',
+  'diagnostics.apiBase': 'API base URL',
+  'diagnostics.healthUrl': 'Health endpoint',
+  'diagnostics.status': 'Status',
+  'diagnostics.status.checking': 'Checking',
+  'diagnostics.status.connected': 'Connected',
+  'diagnostics.status.disconnected': 'Disconnected',
+  'diagnostics.status.offline': 'Offline',
+  'diagnostics.latency': 'Latency',
+  'diagnostics.latencyValue': '{ms} ms',
+  'diagnostics.lastChecked': 'Last checked',
+  'diagnostics.lastError': 'Last health error',
+  'diagnostics.none': 'None',
+  'diagnostics.failures': 'Recent failed requests',
+  'diagnostics.noFailures': 'No failed requests.',
+  'diagnostics.attempt': 'Attempt {attempt} of {total}',
+  'diagnostics.retried': 'retried',
+  'diagnostics.gaveUp': 'gave up',
+  'diagnostics.clear': 'Clear',
+
+  'live.stream': 'Live results',
+  'live.polling': 'Auto-refreshing results',
+
+  'toast.dismiss': 'Dismiss',
+
+  'polls.loadFailed': 'Failed to load polls. Please check your connection and try again.',
+  'polls.personalLoadFailed': 'Failed to load your polls. Please try again.',
+  'polls.refresh': 'Refresh',
+  'polls.refreshing': 'Refreshing...',
+  'polls.loading': 'Loading polls...',
+  'polls.savedCopy': 'Showing the polls as of {time}. They update once the connection is back.',
+  'polls.closed': 'Closed polls',
+  'polls.noMatches': 'No polls match your search and filters.',
+  'polls.clearFilters': 'Clear filters',
+  'polls.empty': 'No polls available yet.',
+  'polls.emptyHint': 'Create your first poll to get started!',
+
+  'poll.votes': { one: '{count} vote', other: '{count} votes' },
+  'poll.loading': 'Loading poll...',
+  'poll.notFound': 'This poll does not exist or was deleted.',
+  'poll.loadFailed': 'Could not load this poll.',
+  'poll.duplicate': 'Duplicate poll',
+  'poll.close': 'Close poll now',
+  'poll.edit': 'Edit poll',
+  'poll.delete': 'Delete poll',
+  'poll.publicBadge': 'Public votes',
+  'poll.internalBadge': 'Members only',
+  'poll.pendingCreate': 'Pending - will be created when online',
+  'poll.pendingVote': 'Vote pending - will be sent when online',
+  'poll.by': 'by {name}',
+  'poll.signInToVote': 'Sign in to vote on this poll',
+  'poll.yourVote': 'Your vote',
+  'poll.finalResults': 'Poll closed - final results',
+  'poll.resultsAfterVoting': 'Results visible after voting',
+  'poll.viewResults': 'View full results',
+
+  'countdown.days': '{days}d {hours}h',
+  'countdown.hours': '{hours}h {minutes}m',
+  'countdown.minutes': '{minutes}m {seconds}s',
+  'countdown.seconds': '{seconds}s',
+  'countdown.closed': 'Closed',
+  'countdown.opensIn': 'Opens in {time}',
+  'countdown.closesIn': 'Closes in {time}',
+
+  'ballot.chooseUpTo': 'Choose up to {count}',
+  'ballot.voteSelected': 'Vote ({selected}/{max})',
+  'ballot.ratingValue': '{value} of {max}',
+  'ballot.submitRatings': 'Submit ratings',
+  'ballot.rankHint': 'Drag to rank, most preferred first',
+  'ballot.rankKeyboardHint': '(or use Alt+Up and Alt+Down)',
+  'ballot.rankItem': '{position}. {option}',
+  'ballot.rankPosition': '{position}.',
+  'ballot.moveOptionUp': 'Move {option} up',
+  'ballot.moveOptionDown': 'Move {option} down',
+  'ballot.submitRanking': 'Submit ranking',
+
+  'vote.success': 'Vote submitted successfully!',
+  'vote.duplicate': 'You have already voted on this poll from this device.',
+  'vote.failed': 'Failed to submit vote.',
+
+  'voteComment.name': 'Your name',
+  'voteComment.namePlaceholder': 'Your name (shown with your vote)',
+  'voteComment.label': 'Comment',
+  'voteComment.placeholder': 'Add a comment to your vote (optional)',
+  'voteComment.remaining': { one: '{count} character left', other: '{count} characters left' },
+
+  'voters.more': { other: '+{count} more' },
+
+  'comments.count': { one: '{count} comment', other: '{count} comments' },
+  'comments.showAll': 'Show all comments',
+  'comments.anonymous': 'Anonymous',
+  'comments.voted': 'voted',
+
+  'results.title': { one: 'Results · {count} vote', other: 'Results · {count} votes' },
+  'results.chart.bar': 'Bar chart',
+  'results.chart.pie': 'Pie chart',
+  'results.chart.donut': 'Donut chart',
+  'results.sortedByVotes': 'Sorted by votes',
+  'results.pollOrder': 'Poll order',
+  'results.sortByVotes': 'Sort by votes',
+  'results.ratingOutOf': ' out of {max},',
+  'results.ratings': { one: 'rating', other: 'ratings' },
+  'results.roundsUnavailable': 'Round-by-round results are not available for this poll yet.',
+  'results.winner': 'Winner: {option}',
+  'results.tie': 'No majority winner (tie)',
+  'results.round': 'Round {number}',
+  'results.votesLabel': { one: 'vote', other: 'votes' },
+  'results.eliminated': 'eliminated',
+  'results.exhausted': { one: '{count} exhausted ballot', other: '{count} exhausted ballots' },
+
+  'analytics.title': 'Analytics',
+  'analytics.loading': 'Loading the vote history...',
+  'analytics.loadFailed': 'Could not load the vote history.',
+  'analytics.empty': 'No votes yet.',
+  'analytics.timeline': 'Votes over time',
+  'analytics.unit.hour': 'By hour',
+  'analytics.unit.day': 'By day',
+  'analytics.period': 'Period',
+  'analytics.votes': 'Votes',
+  'analytics.total': 'Total',
+  'analytics.turnout': 'Turnout',
+  'analytics.turnoutValue': '{voters} of {target} voted · {percent}',
+  'analytics.noTarget': 'No target audience was set for this poll.',
+  'analytics.lead': 'Lead over time',
+  'analytics.leadFirstPreferences': 'Lead in first preferences',
+  'analytics.leadRanked': 'For ranked polls this follows the first preferences. The result above counts every preference (instant runoff), so its winner can differ.',
+  'analytics.leadSince': { one: '{option} has led since {time}, {count} vote came in after that.', other: '{option} has led since {time}, {count} votes came in after that.' },
+  'analytics.tiedSince': { one: 'Tied since {time}, {count} vote came in after that.', other: 'Tied since {time}, {count} votes came in after that.' },
+  'analytics.leadChanges': { one: 'The lead changed once.', other: 'The lead changed {count} times.' },
+  'analytics.noLeadChanges': 'The lead never changed.',
+  'analytics.tookLead': '{option} took the lead with vote {number}',
+  'analytics.tie': 'Tie after vote {number}',
+
+  'detail.voteToSeeResults': 'Vote to see the full results',
+
+  'personal.signIn': 'Sign in to see your polls.',
+  'personal.noneCreated': 'You haven\'t created any polls yet.',
+  'personal.noneVoted': 'You haven\'t voted in any polls yet.',
+
+  'create.success': 'Poll created successfully!',
+  'create.failed': 'Failed to create poll.',
+  'create.button': 'Create New Poll',
+  'create.title': 'Create New Poll',
+  'create.submit': 'Create Poll',
+  'create.clearDraft': 'Clear draft',
+  'create.draftNote': 'Your draft is saved on this device until the poll is created.',
+
+  'edit.notOwner': 'Only the creator of this poll can edit it.',
+  'edit.success': 'Poll updated.',
+  'edit.conflictReload': 'This poll was changed by someone else. Reload it and try again.',
+  'edit.failed': 'Failed to save the poll.',
+  'edit.title': 'Edit Poll',
+  'edit.save': 'Save Changes',
+  'edit.saving': 'Saving...',
+
+  'form.question': 'Question',
+  'form.questionPlaceholder': 'Enter your poll question...',
+  'form.type': 'Poll type',
+  'form.maxChoices': 'Max choices',
+  'form.options': 'Options',
+  'form.opens': 'Opens',
+  'form.closes': 'Closes',
+  'form.optional': '(optional)',
+  'form.targetAudience': 'Target audience',
+  'form.targetAudienceHint': 'How many people should vote, to see the turnout.',
+  'form.visibility': 'Votes',
+  'form.visibility.anonymous': 'Anonymous - only the totals are shown',
+  'form.visibility.public': 'Public - voter names and comments are shown',
+  'form.internal': 'Members only - voting requires signing in',
+  'form.error.questionTooLong': 'Keep the question under {max} characters',
+  'form.error.questionRequired': 'Poll question is required',
+  'form.error.optionTooLong': 'Keep options under {max} characters',
+  'form.error.optionDuplicate': 'Same as option {number}',
+  'form.error.optionWithVotesEmpty': 'Options with votes cannot be left empty',
+  'form.error.tooManyOptions': { one: 'A poll can have at most {count} option', other: 'A poll can have at most {count} options' },
+  'form.error.tooFewOptions': { one: 'At least {count} option is required', other: 'At least {count} options are required' },
+  'form.error.maxChoicesRange': 'Max choices must be between 1 and {max}',
+  'form.error.endInPast': 'The end time must be in the future',
+  'form.error.endBeforeStart': 'The end time must be after the start time',
+  'form.error.targetAudience': 'Enter a whole number of people, at least 1',
+
+  'pollType.single': 'Single choice',
+  'pollType.multi': 'Multiple choice',
+  'pollType.ranked': 'Ranked choice',
+  'pollType.rating': 'Rating (1-5)',
+
+  'optionEditor.pasteLimited': 'Only {added} of {total} pasted lines were added, a poll can have at most {count} options.',
+  'optionEditor.drag': 'Drag to reorder',
+  'optionEditor.option': 'Option {number}',
+  'optionEditor.moveUpHint': 'Move up (Alt+Up)',
+  'optionEditor.moveDownHint': 'Move down (Alt+Down)',
+  'optionEditor.moveUp': 'Move option {number} up',
+  'optionEditor.moveDown': 'Move option {number} down',
+  'optionEditor.remove': 'Remove option',
+  'optionEditor.removeNumbered': 'Remove option {number}',
+  'optionEditor.add': '+ Add Option',
+  'optionEditor.hint': '{count}/{max} · paste a list to add several',
+
+  'templates.saved': 'Saved "{name}".',
+  'templates.deleted': 'Deleted "{name}".',
+  'templates.imported': { one: 'Imported {count} template.', other: 'Imported {count} templates.' },
+  'templates.delete': 'Delete template',
+  'templates.deleteNamed': 'Delete template {name}',
+  'templates.title': 'Start from a template',
+  'templates.presets': 'Presets',
+  'templates.mine': 'My templates',
+  'templates.empty': 'No saved templates yet.',
+  'templates.name': 'Template name',
+  'templates.saveHint': 'Save the current form as a template',
+  'templates.saveDisabledHint': 'Fill in a name, the question and 2 options first',
+  'templates.save': 'Save current',
+  'templates.export': 'Export',
+  'templates.import': 'Import',
+  'templates.error.invalidJson': 'The file is not valid JSON.',
+  'templates.error.noTemplates': 'The file does not contain any templates.',
+  'templates.error.incomplete': 'Template {number} needs a name, a question and at least 2 options.',
+  'templates.builtin.lunch.name': 'Where for lunch?',
+  'templates.builtin.lunch.question': 'Where should we go for lunch?',
+  'templates.builtin.lunch.option1': 'Pizza',
+  'templates.builtin.lunch.option2': 'Sushi',
+  'templates.builtin.lunch.option3': 'Burgers',
+  'templates.builtin.lunch.option4': 'Salad bar',
+  'templates.builtin.yesNoAbstain.name': 'Yes / No / Abstain',
+  'templates.builtin.yesNoAbstain.question': 'Do you approve the proposal?',
+  'templates.builtin.yesNoAbstain.option1': 'Yes',
+  'templates.builtin.yesNoAbstain.option2': 'No',
+  'templates.builtin.yesNoAbstain.option3': 'Abstain',
+  'templates.builtin.retro.name': 'Sprint retro',
+  'templates.builtin.retro.question': 'How did the sprint go?',
+  'templates.builtin.retro.option1': 'Goals met',
+  'templates.builtin.retro.option2': 'Collaboration',
+  'templates.builtin.retro.option3': 'Process',
+  'templates.builtin.retro.option4': 'Workload',
+  'templates.builtin.meetingTime.name': 'Meeting time',
+  'templates.builtin.meetingTime.question': 'Which times work for you?',
+  'templates.builtin.meetingTime.option1': 'Monday morning',
+  'templates.builtin.meetingTime.option2': 'Monday afternoon',
+  'templates.builtin.meetingTime.option3': 'Tuesday morning',
+  'templates.builtin.meetingTime.option4': 'Tuesday afternoon',
+  'templates.builtin.priorities.name': 'Prioritize features',
+  'templates.builtin.priorities.question': 'What should we build next?',
+  'templates.builtin.priorities.option1': 'Feature A',
+  'templates.builtin.priorities.option2': 'Feature B',
+  'templates.builtin.priorities.option3': 'Feature C',
+
+  'merge.title': 'This poll was changed meanwhile',
+  'merge.description': 'Someone saved this poll after you started editing it. Choose which changes to keep.',
+  'merge.yourVersion': 'Your version',
+  'merge.savedVersion': 'Saved version',
+  'merge.conflicts': 'Conflicting changes (your version wins when merging):',
+  'merge.noConflicts': 'Your changes do not overlap and can be merged.',
+  'merge.review': 'Review merged',
+  'merge.keepMine': 'Overwrite with mine',
+  'merge.useTheirs': 'Discard mine',
+  'merge.conflict.question': 'The question was changed by both of you',
+  'merge.conflict.editedRemoved': '"{option}" was edited by them but removed by you',
+  'merge.conflict.votedRemoved': '"{option}" got new votes but was removed by you',
+  'merge.conflict.option': '"{option}" was changed by both of you',
+  'merge.conflict.removedEdited': '"{option}" was removed by them but edited by you',
+
+  'removeOption.title': 'Remove option?',
+  'removeOption.message': { one: '"{option}" has {count} vote. It will be lost when you save.', other: '"{option}" has {count} votes. They will be lost when you save.' },
+  'removeOption.confirm': 'Remove',
+
+  'replaceDraft.title': 'Replace your draft?',
+  'replaceDraft.message': 'Your unsaved poll "{question}" will be replaced.',
+  'replaceDraft.untitled': 'Untitled',
+  'replaceDraft.confirm': 'Replace',
+
+  'delete.success': 'Poll deleted successfully!',
+  'delete.notOwner': 'Only the creator of this poll can delete it.',
+  'delete.failed': 'Failed to delete poll.',
+  'delete.undoable': 'Poll deleted.',
+  'delete.undo': 'Undo',
+  'delete.confirmTitle': 'Delete poll?',
+  'delete.confirmMessage': '"{question}" and all of its votes will be deleted.',
+  'delete.confirm': 'Delete',
+
+  'close.success': 'Poll closed.',
+  'close.failed': 'Failed to close poll.',
+
+  'outbox.pollCreated': 'Your offline poll was created.',
+  'outbox.voteSent': 'Your offline vote was submitted.',
+  'outbox.pollFailed': 'Your offline poll "{question}" could not be created ({error}).',
+  'outbox.pollLabel': '"{question}"',
+  'outbox.unknownPoll': 'a poll',
+  'outbox.voteDuplicate': 'Your offline vote on {poll} was not counted: you had already voted from this device.',
+  'outbox.votePollDeleted': 'Your offline vote on {poll} was not counted: the poll was deleted.',
+  'outbox.voteRejected': 'Your offline vote on {poll} was rejected by the server ({error}).',
+  'outbox.voteQueued': 'You are offline. Your vote will be sent when the connection returns.',
+  'outbox.pollQueued': 'You are offline. Your poll will be created when the connection returns.',
+  'outbox.signInRequired': 'Some of your offline changes need you to sign in. They will be sent once you do.',
+
+  'sort.newest': 'Newest',
+  'sort.votes': 'Most votes',
+  'sort.closing': 'Closing soon',
+
+  'toolbar.search': 'Search polls',
+  'toolbar.searchPlaceholder': 'Search questions and options...',
+  'toolbar.clearSearch': 'Clear search',
+  'toolbar.filterVoted': 'Filter by vote',
+  'toolbar.voted.all': 'Voted or not',
+  'toolbar.voted.voted': 'Voted',
+  'toolbar.voted.notVoted': 'Not voted',
+  'toolbar.filterStatus': 'Filter by status',
+  'toolbar.status.all': 'Open and closed',
+  'toolbar.status.open': 'Open',
+  'toolbar.status.closed': 'Closed',
+  'toolbar.mine': 'Created by me',
+  'toolbar.sort': 'Sort polls',
+
+  'pagination.label': 'Pagination',
+  'pagination.previous': 'Previous',
+  'pagination.next': 'Next',
+  'pagination.page': 'Page {page} of {totalPages}',
+
+  'share.title': 'Share this poll',
+  'share.link': 'Poll link',
+  'share.copy': 'Copy link',
+  'share.copied': 'Copied',
+  'share.copyPrompt': 'Copy this link:',
+  'share.qrCode': 'QR code for this poll',
+
+  'embed.action': 'Get embed code',
+  'embed.title': 'Embed this poll',
+  'embed.theme': 'Theme',
+  'embed.theme.light': 'Light',
+  'embed.theme.dark': 'Dark',
+  'embed.width': 'Width',
+  'embed.height': 'Height',
+  'embed.script': 'Script tag',
+  'embed.scriptHint': 'Resizes the frame to fit the poll.',
+  'embed.iframe': 'Iframe',
+  'embed.iframeHint': 'Keeps the height you set. The frame posts "resize" messages if you want to fit it yourself.',
+  'embed.copy': 'Copy',
+  'embed.open': 'Open in {app}',
+
+  'login.title': 'Sign in',
+  'login.username': 'Username',
+  'login.password': 'Password',
+  'login.submit': 'Sign in',
+  'login.submitting': 'Signing in...',
+  'login.error.credentials': 'Wrong username or password.',
+  'login.error.failed': 'Could not sign in. Please try again.',
+
+  'user.signOut': 'Sign out',
+};
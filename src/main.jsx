@@ -1,10 +1,39 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
+import AuthProvider from './components/AuthProvider.jsx'
+import ToastProvider from './components/ToastProvider.jsx'
+import I18nProvider from './components/I18nProvider.jsx'
+import PollStoreProvider from './components/PollStoreProvider.jsx'
+import BrandingProvider from './components/BrandingProvider.jsx'
+import { loadBranding } from './branding.js'
+import { loadPreferences } from './storage/preferences.js'
+import { applyTheme } from './utils/theme.js'
+import { registerServiceWorker } from './pwa.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Before the first render, so the page does not flash in the other theme
+applyTheme(loadPreferences().theme)
+
+registerServiceWorker()
+
+loadBranding().then(branding => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <BrandingProvider branding={branding}>
+        <BrowserRouter>
+          <I18nProvider>
+            <AuthProvider>
+              <ToastProvider>
+                <PollStoreProvider>
+                  <App />
+                </PollStoreProvider>
+              </ToastProvider>
+            </AuthProvider>
+          </I18nProvider>
+        </BrowserRouter>
+      </BrandingProvider>
+    </StrictMode>,
+  )
+})
@@ -0,0 +1,19 @@
+import { API_BASE } from './config';
+import { subscribe as subscribeToSession } from './api/auth';
+
+// Registers public/sw.js (production builds only, the dev server's modules
+// should not be cached). The worker learns the API base URL from its query
+// string, see the comment at the top of sw.js.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  const url = `${import.meta.env.BASE_URL}sw.js?api=${encodeURIComponent(API_BASE)}`;
+  navigator.serviceWorker.register(url).catch(error => {
+    console.error('Could not register the service worker:', error);
+  });
+
+  // Polls cached for a signed-in user may include members-only ones
+  subscribeToSession(session => {
+    if (!session) navigator.serviceWorker.controller?.postMessage({ type: 'clear-polls-cache' });
+  });
+};
@@ -0,0 +1,43 @@
+// Small JSON wrappers around localStorage. Storage can be unavailable
+// (private mode, disabled cookies, quota exceeded), so every helper fails soft.
+
+const PREFIX = 'votesphere:';
+
+export const readJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.error(`Could not read "${key}" from storage:`, error);
+    return fallback;
+  }
+};
+
+export const writeJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error(`Could not write "${key}" to storage:`, error);
+    return false;
+  }
+};
+
+export const removeKey = (key) => {
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+  } catch (error) {
+    console.error(`Could not remove "${key}" from storage:`, error);
+  }
+};
+
+// Key for data that belongs to one backend, e.g. `voted:https://api.example.com`
+export const backendScopedKey = (name, baseUrl) => {
+  let origin = baseUrl;
+  try {
+    origin = new URL(baseUrl, window.location.href).origin;
+  } catch {
+    // Keep the raw base URL as the scope
+  }
+  return `${name}:${origin}`;
+};
@@ -0,0 +1,10 @@
+import { readJSON, writeJSON } from './localStore';
+
+// Language picked in the switcher, null until the user picks one (then the
+// browser's languages decide)
+export const loadLocale = () => readJSON('locale', null);
+
+export const saveLocale = (locale) => {
+  writeJSON('locale', locale);
+  return locale;
+};
@@ -0,0 +1,27 @@
+import { API_BASE } from '../config';
+import { backendScopedKey, readJSON, writeJSON } from './localStore';
+
+// Writes made while offline, in the order they were made:
+// [{ id, type: 'vote' | 'create-poll', payload, createdAt }]
+const storageKey = (baseUrl) => backendScopedKey('outbox', baseUrl);
+
+export const loadOutbox = (baseUrl = API_BASE) => readJSON(storageKey(baseUrl), []);
+
+export const saveOutbox = (items, baseUrl = API_BASE) => {
+  writeJSON(storageKey(baseUrl), items);
+  return items;
+};
+
+export const enqueueOutbox = (type, payload, baseUrl = API_BASE) => {
+  const item = {
+    id: `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    payload,
+    createdAt: new Date().toISOString()
+  };
+  saveOutbox([...loadOutbox(baseUrl), item], baseUrl);
+  return item;
+};
+
+export const removeFromOutbox = (id, baseUrl = API_BASE) =>
+  saveOutbox(loadOutbox(baseUrl).filter(item => item.id !== id), baseUrl);
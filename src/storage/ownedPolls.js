@@ -0,0 +1,28 @@
+import { API_BASE } from '../config';
+import { backendScopedKey, readJSON, writeJSON } from './localStore';
+
+// Polls created from this device, so their owner controls can be shown.
+// { [pollId]: { ownerToken, createdAt } }, ownerToken is the secret the backend
+// returned at creation and must be sent with owner-only requests.
+const storageKey = (baseUrl) => backendScopedKey('owned', baseUrl);
+
+export const loadOwnedPolls = (baseUrl = API_BASE) => readJSON(storageKey(baseUrl), {});
+
+export const saveOwnedPoll = (pollId, ownerToken = null, baseUrl = API_BASE) => {
+  const ownedPolls = {
+    ...loadOwnedPolls(baseUrl),
+    [pollId]: { ownerToken, createdAt: new Date().toISOString() }
+  };
+  writeJSON(storageKey(baseUrl), ownedPolls);
+  return ownedPolls;
+};
+
+export const forgetOwnedPoll = (pollId, baseUrl = API_BASE) => {
+  const { [pollId]: _removed, ...ownedPolls } = loadOwnedPolls(baseUrl);
+  writeJSON(storageKey(baseUrl), ownedPolls);
+  return ownedPolls;
+};
+
+// Remembers a poll returned by POST /, picking up its owner token
+export const rememberCreatedPoll = (poll, baseUrl = API_BASE) =>
+  saveOwnedPoll(poll.id, poll.ownerToken ?? poll.editToken ?? null, baseUrl);
@@ -0,0 +1,9 @@
+import { readJSON, removeKey, writeJSON } from './localStore';
+
+// Unsaved create-poll form, restored when the form is opened again
+
+export const loadPollDraft = () => readJSON('poll-draft', null);
+
+export const savePollDraft = (form) => writeJSON('poll-draft', form);
+
+export const clearPollDraft = () => removeKey('poll-draft');
@@ -0,0 +1,14 @@
+import { readJSON, writeJSON } from './localStore';
+
+// Templates saved by the user, newest first (see utils/pollTemplates)
+
+export const loadTemplates = () => readJSON('templates', []);
+
+const saveTemplates = (templates) => {
+  writeJSON('templates', templates);
+  return templates;
+};
+
+export const addTemplates = (templates) => saveTemplates([...templates, ...loadTemplates()]);
+
+export const deleteTemplate = (id) => saveTemplates(loadTemplates().filter(template => template.id !== id));
@@ -0,0 +1,13 @@
+import { readJSON, writeJSON } from './localStore';
+
+// Display preferences of this device. `reduceMotion` adds to the system
+// setting (prefers-reduced-motion is always honoured), it cannot turn it off.
+// `theme` is one of utils/theme THEMES, 'system' follows the OS setting.
+const DEFAULT_PREFERENCES = { reduceMotion: false, highContrast: false, theme: 'system' };
+
+export const loadPreferences = () => ({ ...DEFAULT_PREFERENCES, ...readJSON('preferences', {}) });
+
+export const savePreferences = (preferences) => {
+  writeJSON('preferences', preferences);
+  return preferences;
+};
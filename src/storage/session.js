@@ -0,0 +1,10 @@
+import { readJSON, removeKey, writeJSON } from './localStore';
+
+// Signed-in session: { accessToken, user: { id, name, email } }. The refresh
+// token is never stored, see api/auth.
+
+export const loadSession = () => readJSON('session', null);
+
+export const saveSession = (session) => writeJSON('session', session);
+
+export const clearSession = () => removeKey('session');
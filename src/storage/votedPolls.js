@@ -0,0 +1,56 @@
+import { API_BASE } from '../config';
+import { backendScopedKey, readJSON, writeJSON } from './localStore';
+
+// Voted state is stored per backend, so a staging build and a production
+// build served from the same origin don't share votes.
+const storageKey = (baseUrl) => backendScopedKey('voted', baseUrl);
+
+// Returns { [pollId]: { optionIndex, choice, votedAt } }. `choice` is what was
+// sent with the vote (see utils/pollTypes), `optionIndex` is set for
+// single-choice votes. Both are null when the backend told us we already voted
+// but we don't know the choice.
+export const loadVotedPolls = (baseUrl = API_BASE) => readJSON(storageKey(baseUrl), {});
+
+export const saveVotedPoll = (pollId, choice, baseUrl = API_BASE) => {
+  const votedPolls = {
+    ...loadVotedPolls(baseUrl),
+    [pollId]: {
+      optionIndex: typeof choice === 'number' ? choice : null,
+      choice,
+      votedAt: new Date().toISOString()
+    }
+  };
+  writeJSON(storageKey(baseUrl), votedPolls);
+  return votedPolls;
+};
+
+export const forgetVotedPoll = (pollId, baseUrl = API_BASE) => {
+  const { [pollId]: _removed, ...votedPolls } = loadVotedPolls(baseUrl);
+  writeJSON(storageKey(baseUrl), votedPolls);
+  return votedPolls;
+};
+
+const generateToken = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Anonymous per-device token sent with every vote so the backend can enforce
+// one vote per device. It identifies the browser profile, not the person.
+export const getVoterToken = () => {
+  let token = readJSON('voter-token', null);
+  if (!token) {
+    token = generateToken();
+    writeJSON('voter-token', token);
+  }
+  return token;
+};
+
+// Name shown with votes on public polls for voters who are not signed in
+export const loadVoterName = () => readJSON('voter-name', '');
+
+export const saveVoterName = (name) => {
+  writeJSON('voter-name', name);
+  return name;
+};
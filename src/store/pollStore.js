@@ -0,0 +1,321 @@
+import { pollsClient } from '../api/pollsClient';
+import { applyLiveEvent } from '../api/liveResults';
+import { RATING_SCALE, getChosenIndexes } from '../utils/pollTypes';
+
+// Every poll the app has loaded, kept once by id, plus the lists that show them.
+// All changes go through `pollsReducer`, so a vote and a delete that finish at
+// the same time both land instead of one overwriting the other.
+
+export const initialPollsState = {
+  byId: {},
+  // The poll list of "/", in the order the server sent it. `page` is
+  // { totalPages, totalItems } when the list is one page from the server, null
+  // when it holds every poll. `serverPaging` is whether the backend pages at all.
+  // status: 'idle' | 'loading' | 'loaded' | 'error'. `updatedAt` is when the
+  // polls on screen were loaded (or cached, when the service worker answered).
+  // `key` stands for the params of the latest load (see listKey).
+  list: { ids: [], status: 'idle', page: null, serverPaging: false, updatedAt: null, key: null },
+  // "My polls" / "Polls I voted in", `ids` is null while loading
+  personal: { view: null, ids: null },
+};
+
+const upsert = (byId, polls) => {
+  const next = { ...byId };
+  polls.forEach(poll => {
+    next[poll.id] = poll;
+  });
+  return next;
+};
+
+const withoutId = (ids, pollId) => ids && ids.filter(id => String(id) !== String(pollId));
+
+const removePoll = (state, pollId) => {
+  const { [pollId]: _removed, ...byId } = state.byId;
+  return {
+    ...state,
+    byId,
+    list: { ...state.list, ids: withoutId(state.list.ids, pollId) },
+    personal: { ...state.personal, ids: withoutId(state.personal.ids, pollId) },
+  };
+};
+
+// A rating added to an option's `ratingCounts` or `ratingSum`, whichever the backend sends
+const addRating = (option, rating) => ({
+  ...option,
+  ...(Array.isArray(option.ratingCounts) && {
+    ratingCounts: option.ratingCounts.map((count, index) => (RATING_SCALE[index] === rating ? count + 1 : count))
+  }),
+  ...(typeof option.ratingSum === 'number' && { ratingSum: option.ratingSum + rating }),
+});
+
+// Counts a vote locally, for when the updated poll cannot be loaded. Rating
+// votes also go into the ratings, ranked ones into the ballots when the poll has them.
+const countVote = (poll, choice) => {
+  const chosenIndexes = getChosenIndexes(choice);
+  return {
+    ...poll,
+    ...(typeof poll.voterCount === 'number' && { voterCount: poll.voterCount + 1 }),
+    ...(choice?.ranking && Array.isArray(poll.ballots) && { ballots: [...poll.ballots, choice.ranking] }),
+    options: poll.options.map((option, index) => {
+      if (!chosenIndexes.includes(index)) return option;
+      const counted = { ...option, voteCount: option.voteCount + 1 };
+      return choice?.ratings ? addRating(counted, choice.ratings[index]) : counted;
+    })
+  };
+};
+
+// Edits (question and options without counts) applied to a poll. Each option
+// keeps the count the store has for it, found by id or else by its text, and
+// new options start at 0.
+const applyEdits = (poll, edits) => {
+  if (!poll || !edits.options) return { ...poll, ...edits };
+  const findKnown = (option) => poll.options.find(known =>
+    (option.id !== undefined ? known.id === option.id : known.voteOption === option.voteOption));
+  return {
+    ...poll,
+    ...edits,
+    options: edits.options.map(option => ({ voteCount: 0, ...findKnown(option), ...option }))
+  };
+};
+
+export const pollsReducer = (state, action) => {
+  switch (action.type) {
+    case 'list-loading':
+      return { ...state, list: { ...state.list, status: 'loading', key: action.key ?? state.list.key } };
+    case 'list-loaded':
+      return {
+        ...state,
+        byId: upsert(state.byId, action.polls),
+        list: {
+          ids: action.polls.map(poll => poll.id),
+          status: 'loaded',
+          page: action.page ?? null,
+          serverPaging: Boolean(action.serverPaging),
+          updatedAt: action.updatedAt ?? null,
+          key: state.list.key
+        },
+      };
+    // New contents for the list on screen (live results polling). A result
+    // fetched for other params than the latest load is dropped; without
+    // `page` the paging stays.
+    case 'list-replaced':
+      if (action.key !== undefined && action.key !== state.list.key) return state;
+      return {
+        ...state,
+        byId: upsert(state.byId, action.polls),
+        list: {
+          ...state.list,
+          ids: action.polls.map(poll => poll.id),
+          ...(action.page !== undefined && { page: action.page, serverPaging: Boolean(action.serverPaging) }),
+          // Fresh polls make up for a failed load
+          status: state.list.status === 'error' ? 'loaded' : state.list.status,
+          updatedAt: action.updatedAt ?? state.list.updatedAt
+        },
+      };
+    // The last loaded polls stay on screen, a dropped connection is not an empty list
+    case 'list-failed':
+      return { ...state, list: { ...state.list, status: 'error' } };
+    case 'personal-loading':
+      return { ...state, personal: { view: action.view, ids: null } };
+    case 'personal-loaded':
+      if (state.personal.view !== action.view) return state;
+      return {
+        ...state,
+        byId: upsert(state.byId, action.polls),
+        personal: { view: action.view, ids: action.polls.map(poll => poll.id) },
+      };
+    // Polls loaded or changed one at a time (detail view, edits, closing)
+    case 'received':
+      return { ...state, byId: upsert(state.byId, action.polls) };
+    case 'created':
+      return {
+        ...state,
+        byId: upsert(state.byId, [action.poll]),
+        list: { ...state.list, ids: [action.poll.id, ...withoutId(state.list.ids, action.poll.id)] },
+      };
+    case 'voted':
+      if (!state.byId[action.pollId]) return state;
+      return { ...state, byId: { ...state.byId, [action.pollId]: countVote(state.byId[action.pollId], action.choice) } };
+    case 'deleted':
+      return removePoll(state, action.pollId);
+    case 'live-event': {
+      const { event } = action;
+      const type = event.type || 'poll-updated';
+      if (type === 'poll-deleted') return removePoll(state, event.pollId ?? event.poll?.id);
+      if (type === 'poll-created') {
+        return state.byId[event.poll.id] ? state : pollsReducer(state, { type: 'created', poll: event.poll });
+      }
+      return { ...state, byId: upsert(state.byId, applyLiveEvent(Object.values(state.byId), event)) };
+    }
+    default:
+      return state;
+  }
+};
+
+// Fetch options for reads that must see the server's current state, e.g. right
+// after a write: the service worker never answers them from its cache
+export const FRESH = { cache: 'no-store' };
+
+// Identifies the params of a list load
+export const listKey = (params = {}) => JSON.stringify(params);
+
+// Selectors
+
+export const selectListPolls = (state) => state.list.ids.map(id => state.byId[id]).filter(Boolean);
+
+export const selectPersonalPolls = (state) =>
+  state.personal.ids && state.personal.ids.map(id => state.byId[id]).filter(Boolean);
+
+// Ids from the URL are strings, the keys of `byId` match either way
+export const selectPoll = (state, pollId) => (pollId === undefined || pollId === null ? null : state.byId[pollId] ?? null);
+
+// Creates a store around a polls API client. The async actions call the API and
+// dispatch the outcome; they resolve with the API result and rethrow its errors,
+// so callers decide what to tell the user. Identical requests made while one is
+// running share it, e.g. a double click on an option or two views loading the same poll.
+export const createPollStore = ({ client = pollsClient } = {}) => {
+  let state = initialPollsState;
+  const listeners = new Set();
+  const inflight = new Map();
+  // Numbers the list loads, only the latest one may change the list
+  let listSeq = 0;
+
+  const getState = () => state;
+
+  // Calls listener() after every change. Returns an unsubscribe function.
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const dispatch = (action) => {
+    const next = pollsReducer(state, action);
+    if (next === state) return;
+    state = next;
+    listeners.forEach(listener => listener());
+  };
+
+  const dedupe = (key, request) => {
+    if (!inflight.has(key)) {
+      inflight.set(key, request().finally(() => inflight.delete(key)));
+    }
+    return inflight.get(key);
+  };
+
+  // One page of the poll list, or every poll with `all: true`, see
+  // pollsClient.fetchPollsPage and fetchAllPolls. Resolves with
+  // { items, page, serverPaging, cachedAt, key } without changing the list; the
+  // live results polling passes it on as a `list-replaced` action.
+  const fetchList = async (params = {}, options) => {
+    const result = await (params.all ? client.fetchAllPolls(params, options) : client.fetchPollsPage(params, options));
+    return {
+      items: result.items,
+      page: result.paged ? { totalPages: result.totalPages, totalItems: result.totalItems } : null,
+      serverPaging: Boolean(result.paged || result.serverPaging),
+      cachedAt: result.cachedAt ?? null,
+      key: listKey(params)
+    };
+  };
+
+  // Loads the list. Callers asking for the same params share the request, but
+  // each call gets its own number: a call overtaken by a newer one (another
+  // page, search or sort) still resolves but leaves the list alone.
+  const loadList = async (params = {}) => {
+    const seq = ++listSeq;
+    const key = listKey(params);
+    dispatch({ type: 'list-loading', key });
+    try {
+      const result = await dedupe(`list:${key}`, () => fetchList(params));
+      if (seq === listSeq) {
+        dispatch({
+          type: 'list-loaded',
+          polls: result.items,
+          page: result.page,
+          serverPaging: result.serverPaging,
+          updatedAt: result.cachedAt ?? Date.now()
+        });
+      }
+      return result;
+    } catch (error) {
+      if (seq === listSeq) dispatch({ type: 'list-failed', error });
+      throw error;
+    }
+  };
+
+  // `options` go to the client, e.g. { cache: 'no-store' } to skip the service worker's copy
+  const loadPoll = (pollId, options) => dedupe(`poll:${pollId}`, async () => {
+    const poll = await client.fetchPollById(pollId, options);
+    dispatch({ type: 'received', polls: [poll] });
+    return poll;
+  });
+
+  // view: 'created' | 'voted'
+  const loadPersonal = (view) => dedupe(`personal:${view}`, async () => {
+    dispatch({ type: 'personal-loading', view });
+    try {
+      const polls = await (view === 'created' ? client.fetchMyPolls() : client.fetchVotedPolls());
+      dispatch({ type: 'personal-loaded', view, polls });
+      return polls;
+    } catch (error) {
+      dispatch({ type: 'personal-loaded', view, polls: [] });
+      throw error;
+    }
+  });
+
+  const receive = (...polls) => dispatch({ type: 'received', polls });
+
+  const createPoll = async (pollData) => {
+    const poll = await client.createPoll(pollData);
+    dispatch({ type: 'created', poll });
+    return poll;
+  };
+
+  // Sends the vote, then loads the poll with the new counts (never a cached
+  // copy from before the vote). If that fails the vote is counted locally instead.
+  // Only the same choice shares a request, a different one is sent on its own.
+  const vote = (pollId, choice, extras) => dedupe(`vote:${pollId}:${JSON.stringify(choice)}`, async () => {
+    await client.vote(pollId, choice, extras);
+    try {
+      receive(await client.fetchPollById(pollId, FRESH));
+    } catch (error) {
+      console.error('Error refreshing poll after vote:', error);
+      dispatch({ type: 'voted', pollId, choice });
+    }
+  });
+
+  // Backends without a response body get the edits applied to the known poll
+  const updatePoll = async (pollId, pollData, options) => {
+    const poll = await client.updatePoll(pollId, pollData, options);
+    const updated = poll || applyEdits(state.byId[pollId], pollData);
+    receive(updated);
+    return updated;
+  };
+
+  const closePoll = (pollId, ownerToken) => dedupe(`close:${pollId}`, async () => {
+    const poll = await client.closePoll(pollId, ownerToken);
+    const closed = poll || { ...state.byId[pollId], closed: true };
+    receive(closed);
+    return closed;
+  });
+
+  const deletePoll = (pollId, ownerToken, options) => dedupe(`delete:${pollId}`, async () => {
+    await client.deletePollById(pollId, ownerToken, options);
+    dispatch({ type: 'deleted', pollId });
+  });
+
+  return {
+    getState,
+    subscribe,
+    dispatch,
+    fetchList,
+    loadList,
+    loadPoll,
+    loadPersonal,
+    receive,
+    createPoll,
+    vote,
+    updatePoll,
+    closePoll,
+    deletePoll,
+  };
+};
@@ -0,0 +1,234 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createPollStore, initialPollsState, pollsReducer, selectListPolls, selectPersonalPolls, selectPoll } from './pollStore';
+import { SAMPLE_POLLS } from '../test/mockBackend';
+
+const loaded = (polls = SAMPLE_POLLS) => pollsReducer(initialPollsState, { type: 'list-loaded', polls });
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+};
+
+describe('pollsReducer', () => {
+  it('counts a vote on the stored poll', () => {
+    const state = pollsReducer(loaded(), { type: 'voted', pollId: 1, choice: 1 });
+    expect(selectPoll(state, 1).options.map(option => option.voteCount)).toEqual([3, 2]);
+    expect(selectPoll(state, '2')).toBe(SAMPLE_POLLS[1]);
+  });
+
+  it('removes a deleted poll from every list', () => {
+    let state = pollsReducer(loaded(), { type: 'personal-loading', view: 'created' });
+    state = pollsReducer(state, { type: 'personal-loaded', view: 'created', polls: SAMPLE_POLLS });
+    state = pollsReducer(state, { type: 'deleted', pollId: '1' });
+
+    expect(selectListPolls(state).map(poll => poll.id)).toEqual([2]);
+    expect(selectPersonalPolls(state).map(poll => poll.id)).toEqual([2]);
+    expect(selectPoll(state, 1)).toBeNull();
+  });
+
+  it('ignores personal polls loaded for a view that was left', () => {
+    let state = pollsReducer(initialPollsState, { type: 'personal-loading', view: 'voted' });
+    state = pollsReducer(state, { type: 'personal-loaded', view: 'created', polls: SAMPLE_POLLS });
+    expect(selectPersonalPolls(state)).toBeNull();
+  });
+
+  it('applies live events', () => {
+    let state = pollsReducer(loaded(), { type: 'live-event', event: { pollId: 2, optionIndex: 0, voteCount: 7 } });
+    expect(selectPoll(state, 2).options[0].voteCount).toBe(7);
+
+    const created = { id: 3, question: 'New?', options: [] };
+    state = pollsReducer(state, { type: 'live-event', event: { type: 'poll-created', poll: created } });
+    expect(selectListPolls(state)[0]).toBe(created);
+
+    state = pollsReducer(state, { type: 'live-event', event: { type: 'poll-deleted', pollId: 1 } });
+    expect(selectListPolls(state).map(poll => poll.id)).toEqual([3, 2]);
+  });
+
+  it('keeps the polls and the paging when a load fails', () => {
+    let state = pollsReducer(initialPollsState, {
+      type: 'list-loaded',
+      polls: SAMPLE_POLLS,
+      page: { totalPages: 3, totalItems: 30 },
+      serverPaging: true,
+      updatedAt: 1000
+    });
+    state = pollsReducer(state, { type: 'list-failed' });
+    expect(state.list).toEqual({ ids: [1, 2], status: 'error', page: { totalPages: 3, totalItems: 30 }, serverPaging: true, updatedAt: 1000, key: null });
+  });
+});
+
+describe('createPollStore', () => {
+  it('shares a request that is still running', async () => {
+    const request = deferred();
+    const client = { fetchPollById: vi.fn(() => request.promise) };
+    const store = createPollStore({ client });
+
+    const first = store.loadPoll(1);
+    const second = store.loadPoll('1');
+    expect(client.fetchPollById).toHaveBeenCalledTimes(1);
+
+    request.resolve(SAMPLE_POLLS[0]);
+    await Promise.all([first, second]);
+    await store.loadPoll(1);
+    expect(client.fetchPollById).toHaveBeenCalledTimes(2);
+  });
+
+  it('ignores a list response that a newer load overtook', async () => {
+    const slow = deferred();
+    const fetchPollsPage = vi.fn()
+      .mockReturnValueOnce(slow.promise)
+      .mockResolvedValueOnce({ items: [SAMPLE_POLLS[1]], paged: true, totalPages: 2, totalItems: 2 });
+    const store = createPollStore({ client: { fetchPollsPage } });
+
+    const first = store.loadList({ page: 1 });
+    await store.loadList({ page: 2 });
+    slow.resolve({ items: [SAMPLE_POLLS[0]], paged: true, totalPages: 2, totalItems: 2 });
+    await first;
+
+    expect(selectListPolls(store.getState()).map(poll => poll.id)).toEqual([2]);
+    expect(store.getState().list.status).toBe('loaded');
+  });
+
+  it('drops a live refresh made for another page and takes the totals from the current one', async () => {
+    const fetchPollsPage = vi.fn(async ({ page }) => ({ items: [SAMPLE_POLLS[page - 1]], paged: true, totalPages: 2, totalItems: 2 }));
+    const store = createPollStore({ client: { fetchPollsPage } });
+    await store.loadList({ page: 1 });
+    const staleRefresh = await store.fetchList({ page: 1 });
+    await store.loadList({ page: 2 });
+
+    store.dispatch({ type: 'list-replaced', polls: staleRefresh.items, key: staleRefresh.key, page: staleRefresh.page });
+    expect(selectListPolls(store.getState()).map(poll => poll.id)).toEqual([2]);
+
+    fetchPollsPage.mockResolvedValueOnce({ items: [SAMPLE_POLLS[1]], paged: true, totalPages: 3, totalItems: 5 });
+    const refresh = await store.fetchList({ page: 2 });
+    store.dispatch({ type: 'list-replaced', polls: refresh.items, key: refresh.key, page: refresh.page, serverPaging: refresh.serverPaging });
+    expect(store.getState().list.page).toEqual({ totalPages: 3, totalItems: 5 });
+  });
+
+  it('shows the page asked for last when going back to a page still loading', async () => {
+    const pageOne = deferred();
+    const pageTwo = deferred();
+    const fetchPollsPage = vi.fn(({ page }) => (page === 1 ? pageOne.promise : pageTwo.promise));
+    const store = createPollStore({ client: { fetchPollsPage } });
+
+    const loads = [store.loadList({ page: 1 }), store.loadList({ page: 2 }), store.loadList({ page: 1 })];
+    expect(fetchPollsPage).toHaveBeenCalledTimes(2);
+    pageTwo.resolve({ items: [SAMPLE_POLLS[1]], paged: true, totalPages: 2, totalItems: 2 });
+    pageOne.resolve({ items: [SAMPLE_POLLS[0]], paged: true, totalPages: 2, totalItems: 2 });
+    await Promise.all(loads);
+
+    expect(selectListPolls(store.getState()).map(poll => poll.id)).toEqual([1]);
+  });
+
+  it('sends a second vote with another choice instead of sharing the first', async () => {
+    const request = deferred();
+    const client = { vote: vi.fn(() => request.promise), fetchPollById: vi.fn(async () => SAMPLE_POLLS[0]) };
+    const store = createPollStore({ client });
+
+    const votes = [store.vote(1, 0), store.vote(1, 0), store.vote(1, 1)];
+    expect(client.vote.mock.calls.map(([, choice]) => choice)).toEqual([0, 1]);
+    request.resolve();
+    await Promise.all(votes);
+  });
+
+  it('keeps votes on different polls that finish together', async () => {
+    const client = {
+      fetchPollsPage: vi.fn(async () => ({ items: SAMPLE_POLLS, paged: false })),
+      vote: vi.fn(async () => {}),
+      fetchPollById: vi.fn(async () => {
+        throw new Error('unavailable');
+      })
+    };
+    const store = createPollStore({ client });
+    await store.loadList();
+
+    await Promise.all([store.vote(1, 0), store.vote(2, 1)]);
+
+    const counts = selectListPolls(store.getState()).map(poll => poll.options.map(option => option.voteCount));
+    expect(counts).toEqual([[4, 1], [0, 3]]);
+  });
+
+  it('counts a rating vote into the ratings when the poll cannot be reloaded', async () => {
+    const poll = {
+      id: 7,
+      type: 'rating',
+      options: [
+        { voteOption: 'Keynote', voteCount: 1, ratingCounts: [0, 0, 0, 1, 0] },
+        { voteOption: 'Workshop', voteCount: 1, ratingSum: 2 }
+      ]
+    };
+    const client = {
+      vote: vi.fn(async () => {}),
+      fetchPollById: vi.fn(async () => {
+        throw new Error('unavailable');
+      })
+    };
+    const store = createPollStore({ client });
+    store.receive(poll);
+
+    await store.vote(7, { ratings: [5, 3] });
+    expect(selectPoll(store.getState(), 7).options).toEqual([
+      { voteOption: 'Keynote', voteCount: 2, ratingCounts: [0, 0, 0, 1, 1] },
+      { voteOption: 'Workshop', voteCount: 2, ratingSum: 5 }
+    ]);
+  });
+
+  it('reloads a voted poll past the service worker cache', async () => {
+    const client = { vote: vi.fn(async () => {}), fetchPollById: vi.fn(async () => SAMPLE_POLLS[0]) };
+    await createPollStore({ client }).vote(1, 0);
+    expect(client.fetchPollById).toHaveBeenCalledWith(1, { cache: 'no-store' });
+  });
+
+  it('keeps the known vote counts when an edit comes back without a body', async () => {
+    const client = {
+      fetchPollsPage: vi.fn(async () => ({ items: SAMPLE_POLLS, paged: false })),
+      updatePoll: vi.fn(async () => null)
+    };
+    const store = createPollStore({ client });
+    await store.loadList();
+
+    await store.updatePoll(1, { question: 'Lunch?', options: [{ voteOption: 'Sushi' }, { voteOption: 'Tacos' }] });
+    expect(selectPoll(store.getState(), 1).options).toEqual([
+      { voteOption: 'Sushi', voteCount: 1 },
+      { voteOption: 'Tacos', voteCount: 0 }
+    ]);
+  });
+
+  it('notifies subscribers and reports failed loads', async () => {
+    const error = new Error('down');
+    const store = createPollStore({ client: { fetchPollsPage: vi.fn(async () => { throw error; }) } });
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    await expect(store.loadList({ page: 1 })).rejects.toBe(error);
+    expect(store.getState().list.status).toBe('error');
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('loads every poll for client-side filters and remembers that the backend pages', async () => {
+    const client = {
+      fetchPollsPage: vi.fn(),
+      fetchAllPolls: vi.fn(async () => ({ items: SAMPLE_POLLS, paged: false, serverPaging: true }))
+    };
+    const store = createPollStore({ client });
+    await store.loadList({ all: true, q: 'lunch' });
+
+    expect(client.fetchAllPolls).toHaveBeenCalledWith({ all: true, q: 'lunch' }, undefined);
+    expect(client.fetchPollsPage).not.toHaveBeenCalled();
+    expect(store.getState().list).toMatchObject({ page: null, serverPaging: true });
+  });
+
+  it('dates the list by when the service worker cached it', async () => {
+    const fetchPollsPage = vi.fn(async () => ({ items: SAMPLE_POLLS, paged: false, cachedAt: 1000 }));
+    const store = createPollStore({ client: { fetchPollsPage } });
+    await store.loadList();
+    expect(store.getState().list.updatedAt).toBe(1000);
+
+    fetchPollsPage.mockResolvedValue({ items: SAMPLE_POLLS, paged: false, cachedAt: null });
+    await store.loadList({ page: 2 });
+    expect(store.getState().list.updatedAt).toBeGreaterThan(1000);
+  });
+});
@@ -0,0 +1,158 @@
+import { API_BASE } from '../config';
+
+// In-memory stand-in for the polls API, answering like `fetch`. It covers the
+// endpoints the app depends on:
+//   GET    /          all polls (unpaged, like older backends)
+//   GET    /:id       one poll
+//   GET    /:id/votes every ballot with its votedAt, from `votes` and the ones sent since
+//   POST   /          create, answers with the poll and an ownerToken
+//   POST   /vote      one vote per voter token, 409 for a second one
+//   DELETE /:id       owner token required, 403 without it
+// and GET /actuator/health on the same server, 200 while the backend is up. Its
+// requests are recorded and failed under that path.
+// Failures are injected with `fail()` and used up by the next matching requests:
+//   backend.fail({ status: 503 })                      5xx (or any status)
+//   backend.fail({ network: true }, { times: 4 })      fetch rejects like it does offline
+//   backend.fail({ delay: 5000 }, { method: 'GET' })   slow response, honours the abort signal
+//   backend.fail({ status: 500 }, { path: '/1' })      only GET / POST / ... on that path
+//   const recover = backend.fail({ status: 503 }, { times: Infinity })   until recover() is called
+const HEALTH_PATH = '/actuator/health';
+
+export const createMockBackend = ({ baseUrl = API_BASE, polls = [], votes: ballots = [] } = {}) => {
+  let state = polls.map(poll => ({ ...poll, options: poll.options.map(option => ({ ...option })) }));
+  let nextId = Math.max(0, ...state.map(poll => Number(poll.id) || 0)) + 1;
+  const ownerTokens = {};
+  const votes = new Set();
+  // [{ pollId, votedAt, ...choice fields }]
+  const ballotLog = [...ballots];
+  const failures = [];
+  // Every request seen, failed ones included: { method, path, body, headers }
+  const requests = [];
+
+  // Returns a function that takes the failure back before it is used up
+  const fail = (failure, { times = 1, method, path } = {}) => {
+    const entry = { ...failure, times, method, path };
+    failures.push(entry);
+    return () => {
+      if (failures.includes(entry)) failures.splice(failures.indexOf(entry), 1);
+    };
+  };
+
+  const takeFailure = (method, path) => {
+    const failure = failures.find(f => (!f.method || f.method === method) && (!f.path || f.path === path));
+    if (!failure) return null;
+    failure.times -= 1;
+    if (failure.times <= 0) failures.splice(failures.indexOf(failure), 1);
+    return failure;
+  };
+
+  const json = (status, body) => new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' }
+  });
+
+  const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    });
+  });
+
+  const findPoll = (id) => state.find(poll => String(poll.id) === String(id));
+
+  const route = (method, path, body, headers) => {
+    if (method === 'GET' && path === '') return json(200, state);
+    if (method === 'GET' && path === HEALTH_PATH) return json(200, { status: 'UP' });
+
+    if (method === 'POST' && path === '') {
+      const poll = { ...body, id: nextId++, createdAt: new Date().toISOString() };
+      ownerTokens[poll.id] = `owner-${poll.id}`;
+      state = [poll, ...state];
+      return json(201, { ...poll, ownerToken: ownerTokens[poll.id] });
+    }
+
+    if (method === 'POST' && path === '/vote') {
+      const poll = findPoll(body.pollId);
+      if (!poll) return json(404, { message: 'Poll not found' });
+      const voteKey = `${poll.id}:${body.voterToken}`;
+      if (votes.has(voteKey)) return json(409, { message: 'Already voted' });
+      votes.add(voteKey);
+      const { pollId, optionIndex, optionIndexes, ranking, ratings } = body;
+      ballotLog.push({ pollId, optionIndex, optionIndexes, ranking, ratings, votedAt: new Date().toISOString() });
+      const chosen = body.optionIndexes ?? [body.optionIndex];
+      poll.options = poll.options.map((option, index) =>
+        chosen.includes(index) ? { ...option, voteCount: option.voteCount + 1 } : option
+      );
+      return json(200);
+    }
+
+    const votesMatch = method === 'GET' && path.match(/^\/([^/]+)\/votes$/);
+    if (votesMatch) {
+      if (!findPoll(votesMatch[1])) return json(404, { message: 'Poll not found' });
+      return json(200, ballotLog.filter(ballot => String(ballot.pollId) === votesMatch[1]));
+    }
+
+    const id = path.slice(1);
+    const poll = findPoll(id);
+    if (!poll) return json(404, { message: 'Poll not found' });
+    if (method === 'GET') return json(200, poll);
+    if (method === 'DELETE') {
+      if (headers['X-Owner-Token'] !== ownerTokens[poll.id]) return json(403, { message: 'Not the owner' });
+      state = state.filter(p => p !== poll);
+      return json(204);
+    }
+    return json(405, { message: 'Method not allowed' });
+  };
+
+  const fetch = async (input, init = {}) => {
+    const url = new URL(String(input));
+    const base = new URL(baseUrl);
+    const isHealthCheck = url.origin === base.origin && url.pathname === HEALTH_PATH;
+    if (url.origin !== base.origin || !(isHealthCheck || url.pathname.startsWith(base.pathname))) {
+      throw new TypeError(`Failed to fetch ${url}`);
+    }
+    const method = (init.method || 'GET').toUpperCase();
+    const path = isHealthCheck ? HEALTH_PATH : url.pathname.slice(base.pathname.length).replace(/\/$/, '');
+    const headers = { ...init.headers };
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    requests.push({ method, path, body, headers });
+
+    const failure = takeFailure(method, path);
+    if (failure?.delay) await wait(failure.delay, init.signal);
+    if (failure?.network) throw new TypeError('Failed to fetch');
+    if (failure?.status) return json(failure.status, { message: 'Injected failure' });
+
+    return route(method, path, body, headers);
+  };
+
+  return {
+    fetch,
+    fail,
+    requests,
+    polls: () => state,
+    // Requests for one method and path, e.g. requestsTo('POST', '/vote')
+    requestsTo: (method, path) => requests.filter(request => request.method === method && request.path === path),
+  };
+};
+
+export const SAMPLE_POLLS = [
+  {
+    id: 1,
+    question: 'Where should we have lunch?',
+    createdAt: '2024-05-02T10:00:00Z',
+    options: [
+      { voteOption: 'Pizza', voteCount: 3 },
+      { voteOption: 'Sushi', voteCount: 1 }
+    ]
+  },
+  {
+    id: 2,
+    question: 'Best day for the team meeting?',
+    createdAt: '2024-05-01T10:00:00Z',
+    options: [
+      { voteOption: 'Monday', voteCount: 0 },
+      { voteOption: 'Friday', voteCount: 2 }
+    ]
+  }
+];
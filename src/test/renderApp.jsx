@@ -0,0 +1,25 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import I18nProvider from '../components/I18nProvider';
+import AuthProvider from '../components/AuthProvider';
+import ToastProvider from '../components/ToastProvider';
+import PollStoreProvider from '../components/PollStoreProvider';
+import BrandingProvider from '../components/BrandingProvider';
+import { normalizeBranding } from '../branding';
+
+// Renders `ui` inside the providers of main.jsx, at `route`. `branding` is
+// passed through normalizeBranding like the file loaded at startup.
+export const renderWithProviders = (ui, { route = '/', branding } = {}) => render(
+  <BrandingProvider branding={normalizeBranding(branding)}>
+    <MemoryRouter initialEntries={[route]}>
+      <I18nProvider>
+        <AuthProvider>
+          <ToastProvider>
+            <PollStoreProvider>{ui}</PollStoreProvider>
+          </ToastProvider>
+        </AuthProvider>
+      </I18nProvider>
+    </MemoryRouter>
+  </BrandingProvider>
+);
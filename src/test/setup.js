@@ -0,0 +1,19 @@
+import '@testing-library/jest-dom/vitest';
+import { afterEach, beforeEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { apiDiagnostics } from '../api/diagnostics';
+
+beforeEach(() => {
+  // Failures the tests provoke on purpose are logged, keep the test output readable
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  window.localStorage.clear();
+  apiDiagnostics.clear();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
@@ -0,0 +1,24 @@
+// Keyboard helpers shared by the ballots and option lists.
+
+// Moves focus between the elements matching `selector` inside the event's
+// current target with the arrow keys (plus Home / End). Returns true when the
+// key was handled. Disabled elements are skipped.
+export const moveFocusWithArrows = (event, selector) => {
+  const keys = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1, Home: 'first', End: 'last' };
+  if (!(event.key in keys) || event.altKey || event.ctrlKey || event.metaKey) return false;
+
+  const items = Array.from(event.currentTarget.querySelectorAll(selector)).filter(item => !item.disabled);
+  if (items.length === 0) return false;
+
+  const current = items.indexOf(document.activeElement);
+  const step = keys[event.key];
+  const next = step === 'first'
+    ? 0
+    : step === 'last'
+      ? items.length - 1
+      : (current + step + items.length) % items.length;
+
+  event.preventDefault();
+  items[next].focus();
+  return true;
+};
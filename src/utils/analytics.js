@@ -0,0 +1,116 @@
+import { getChosenIndexes } from './pollTypes';
+
+// Pure helpers for the poll analytics view. They work on the vote log from
+// `GET /:pollId/votes`: one entry per ballot, { votedAt, ...choice fields },
+// where the choice fields are those of the vote body (see pollTypes).
+
+export const BUCKET_UNITS = ['hour', 'day'];
+
+const HOUR = 60 * 60 * 1000;
+
+// Hourly buckets up to this span of votes, daily ones beyond
+const HOURLY_SPAN = 3 * 24 * HOUR;
+
+// Start of the hour or day (local time) `time` falls in
+export const getBucketStart = (time, unit) => {
+  const date = new Date(time);
+  if (unit === 'day') {
+    date.setHours(0, 0, 0, 0);
+  } else {
+    date.setMinutes(0, 0, 0);
+  }
+  return date.getTime();
+};
+
+// Days are stepped on the calendar, so a daylight saving change does not shift them
+const getNextBucket = (start, unit) => {
+  if (unit !== 'day') return start + HOUR;
+  const date = new Date(start);
+  date.setDate(date.getDate() + 1);
+  return date.getTime();
+};
+
+// Ballots with a valid `votedAt`, oldest first, each with its `time` in ms
+export const sortVotes = (votes) =>
+  votes
+    .map(vote => ({ ...vote, time: Date.parse(vote.votedAt) }))
+    .filter(vote => !Number.isNaN(vote.time))
+    .sort((a, b) => a.time - b.time);
+
+export const suggestBucketUnit = (sortedVotes) =>
+  sortedVotes.length > 1 && sortedVotes[sortedVotes.length - 1].time - sortedVotes[0].time > HOURLY_SPAN ? 'day' : 'hour';
+
+// Votes per hour or day as [{ start, count, total }], from the first vote's
+// bucket to the last one's, empty buckets included. `total` is the running
+// count of votes up to the end of the bucket.
+export const getVoteTimeline = (sortedVotes, unit = 'hour') => {
+  if (sortedVotes.length === 0) return [];
+
+  const buckets = [];
+  const last = getBucketStart(sortedVotes[sortedVotes.length - 1].time, unit);
+  let index = 0;
+  for (let start = getBucketStart(sortedVotes[0].time, unit); start <= last; start = getNextBucket(start, unit)) {
+    const end = getNextBucket(start, unit);
+    let count = 0;
+    while (index < sortedVotes.length && sortedVotes[index].time < end) {
+      count += 1;
+      index += 1;
+    }
+    buckets.push({ start, count, total: index });
+  }
+  return buckets;
+};
+
+// Adds one ballot to the per-option scores: a point for every chosen option
+// (ranked ballots count for their first preference, like the totals, not for
+// the instant-runoff winner the results show), and the rating itself on
+// rating polls.
+const addBallot = (scores, vote) => {
+  if (Array.isArray(vote.ratings)) {
+    vote.ratings.forEach((rating, index) => {
+      if (index < scores.length) scores[index] += Number(rating) || 0;
+    });
+    return;
+  }
+  const choice = typeof vote.optionIndex === 'number' ? vote.optionIndex : vote;
+  getChosenIndexes(choice).forEach(index => {
+    if (index >= 0 && index < scores.length) scores[index] += 1;
+  });
+};
+
+// The option with the highest score, null while nobody leads or on a tie
+const getLeader = (scores) => {
+  const top = Math.max(...scores);
+  if (top <= 0 || scores.indexOf(top) !== scores.lastIndexOf(top)) return null;
+  return scores.indexOf(top);
+};
+
+// Every change of the leading option while the votes came in, oldest first:
+// [{ time, leader, voteNumber }], where `leader` is an option index (null
+// for a tie) and `voteNumber` counts from 1 the ballot that caused the change.
+// The first entry is the first vote.
+export const getLeadChanges = (optionCount, sortedVotes) => {
+  const scores = new Array(optionCount).fill(0);
+  const changes = [];
+  sortedVotes.forEach((vote, index) => {
+    addBallot(scores, vote);
+    const leader = getLeader(scores);
+    if (changes.length === 0 || changes[changes.length - 1].leader !== leader) {
+      changes.push({ time: vote.time, leader, voteNumber: index + 1 });
+    }
+  });
+  return changes;
+};
+
+// How often the lead passed from one option to another. Ties in between are
+// not changes of their own: A, tie, B is one change and A, tie, A none.
+export const countLeadChanges = (changes) => {
+  const leaders = changes.map(change => change.leader).filter(leader => leader !== null);
+  return leaders.filter((leader, index) => index > 0 && leader !== leaders[index - 1]).length;
+};
+
+// Share of the target audience that voted, as a percentage with one decimal
+// (like utils/results). Null without a target. Can be over 100 when more
+// people voted than expected.
+export const getTurnout = (voterCount, targetAudience) =>
+  targetAudience > 0 ? Math.round((voterCount / targetAudience) * 1000) / 10 : null;
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { countLeadChanges, getLeadChanges, getTurnout, getVoteTimeline, sortVotes, suggestBucketUnit } from './analytics';
+
+// Local time, like the buckets
+const at = (day, hour, minute = 0) => new Date(2024, 4, day, hour, minute).toISOString();
+
+describe('sortVotes', () => {
+  it('orders the votes by time and drops ones without a valid time', () => {
+    const votes = sortVotes([
+      { votedAt: at(2, 12), optionIndex: 1 },
+      { votedAt: 'yesterday', optionIndex: 0 },
+      { votedAt: at(2, 10), optionIndex: 0 }
+    ]);
+    expect(votes.map(vote => vote.optionIndex)).toEqual([0, 1]);
+    expect(votes[0].time).toBe(Date.parse(at(2, 10)));
+  });
+});
+
+describe('getVoteTimeline', () => {
+  it('counts the votes per hour, empty hours included', () => {
+    const votes = sortVotes([
+      { votedAt: at(2, 10, 5) },
+      { votedAt: at(2, 10, 55) },
+      { votedAt: at(2, 12, 30) }
+    ]);
+    expect(getVoteTimeline(votes, 'hour')).toEqual([
+      { start: new Date(2024, 4, 2, 10).getTime(), count: 2, total: 2 },
+      { start: new Date(2024, 4, 2, 11).getTime(), count: 0, total: 2 },
+      { start: new Date(2024, 4, 2, 12).getTime(), count: 1, total: 3 }
+    ]);
+  });
+
+  it('counts the votes per day', () => {
+    const votes = sortVotes([{ votedAt: at(2, 23) }, { votedAt: at(3, 1) }, { votedAt: at(3, 20) }]);
+    expect(getVoteTimeline(votes, 'day').map(bucket => [bucket.count, bucket.total])).toEqual([[1, 1], [2, 3]]);
+    expect(getVoteTimeline([], 'day')).toEqual([]);
+  });
+
+  it('suggests days once the votes span more than three days', () => {
+    expect(suggestBucketUnit(sortVotes([{ votedAt: at(2, 10) }, { votedAt: at(4, 10) }]))).toBe('hour');
+    expect(suggestBucketUnit(sortVotes([{ votedAt: at(2, 10) }, { votedAt: at(6, 10) }]))).toBe('day');
+  });
+});
+
+describe('getLeadChanges', () => {
+  it('shows late votes swinging the result', () => {
+    const votes = sortVotes([
+      { votedAt: at(2, 9), optionIndex: 0 },
+      { votedAt: at(2, 10), optionIndex: 0 },
+      { votedAt: at(2, 11), optionIndex: 1 },
+      { votedAt: at(2, 17), optionIndex: 1 },
+      { votedAt: at(2, 18), optionIndex: 1 }
+    ]);
+    expect(getLeadChanges(2, votes)).toEqual([
+      { time: Date.parse(at(2, 9)), leader: 0, voteNumber: 1 },
+      { time: Date.parse(at(2, 17)), leader: null, voteNumber: 4 },
+      { time: Date.parse(at(2, 18)), leader: 1, voteNumber: 5 }
+    ]);
+    expect(countLeadChanges(getLeadChanges(2, votes))).toBe(1);
+  });
+
+  it('does not count ties as changes of the lead', () => {
+    const leaders = (...ids) => ids.map((leader, index) => ({ time: index, leader, voteNumber: index + 1 }));
+    expect(countLeadChanges(leaders(0, null, 0))).toBe(0);
+    expect(countLeadChanges(leaders(null, 0, null, 1, 0))).toBe(2);
+    expect(countLeadChanges([])).toBe(0);
+  });
+
+  it('scores multiple choice, ranked and rating ballots like their results', () => {
+    const multi = sortVotes([{ votedAt: at(2, 9), optionIndexes: [0, 2] }, { votedAt: at(2, 10), optionIndexes: [2] }]);
+    expect(getLeadChanges(3, multi).map(change => change.leader)).toEqual([null, 2]);
+
+    const ranked = sortVotes([{ votedAt: at(2, 9), ranking: [1, 0] }]);
+    expect(getLeadChanges(2, ranked).map(change => change.leader)).toEqual([1]);
+
+    const rating = sortVotes([{ votedAt: at(2, 9), ratings: [5, 2] }, { votedAt: at(2, 10), ratings: [1, 5] }]);
+    expect(getLeadChanges(2, rating).map(change => change.leader)).toEqual([0, 1]);
+  });
+});
+
+describe('getTurnout', () => {
+  it('is the share of the target audience that voted', () => {
+    expect(getTurnout(12, 40)).toBe(30);
+    expect(getTurnout(2, 3)).toBe(66.7);
+    expect(getTurnout(12, undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+// Embedding a single poll in other pages. "/embed/:pollId" renders one poll
+// card without the app around it, either in an iframe or through the loader
+// script in public/embed.js. The frame reports to the host page with
+// postMessage, every message is { source: 'votesphere', type, pollId, ... }:
+//   'resize' { height }  whenever the height of the card changes
+//   'vote'   { choice }  after a vote was accepted
+
+export const EMBED_MESSAGE_SOURCE = 'votesphere';
+
+export const EMBED_THEMES = ['light', 'dark'];
+
+export const DEFAULT_EMBED_OPTIONS = {
+  theme: 'light',
+  width: '100%',
+  height: 480
+};
+
+export const parseEmbedTheme = (searchParams) =>
+  EMBED_THEMES.includes(searchParams.get('theme')) ? searchParams.get('theme') : DEFAULT_EMBED_OPTIONS.theme;
+
+// Plain numbers are pixels, anything else ('100%', '40rem') is used as is
+export const toCssSize = (value) => (/^\d+$/.test(String(value).trim()) ? `${String(value).trim()}px` : String(value).trim());
+
+const escapeAttribute = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const getEmbedUrl = (pollId, { theme = DEFAULT_EMBED_OPTIONS.theme } = {}, origin = window.location.origin) => {
+  const url = new URL(`/embed/${encodeURIComponent(pollId)}`, origin);
+  if (theme !== DEFAULT_EMBED_OPTIONS.theme) url.searchParams.set('theme', theme);
+  return url.toString();
+};
+
+// Fixed-size frame. Hosts that want it to fit the poll listen for 'resize' messages.
+export const getIframeSnippet = (poll, options = {}, origin = window.location.origin) => {
+  const { width, height } = { ...DEFAULT_EMBED_OPTIONS, ...options };
+  return `<iframe src="${escapeAttribute(getEmbedUrl(poll.id, options, origin))}" title="${escapeAttribute(poll.question)}" `
+    + `style="width: ${escapeAttribute(toCssSize(width))}; height: ${escapeAttribute(toCssSize(height))}; border: 0;" loading="lazy"></iframe>`;
+};
+
+// The loader script replaces itself with the frame and keeps its height in sync
+export const getScriptSnippet = (poll, options = {}, origin = window.location.origin) => {
+  const { theme, width, height } = { ...DEFAULT_EMBED_OPTIONS, ...options };
+  return `<script src="${escapeAttribute(new URL('/embed.js', origin))}" data-poll-id="${escapeAttribute(poll.id)}" `
+    + `data-theme="${escapeAttribute(theme)}" data-width="${escapeAttribute(width)}" data-height="${escapeAttribute(height)}" async></script>`;
+};
+
+// No-op outside of a frame
+export const postToHost = (type, data = {}) => {
+  if (window.parent === window) return;
+  window.parent.postMessage({ source: EMBED_MESSAGE_SOURCE, type, ...data }, '*');
+};
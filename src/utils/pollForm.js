@@ -0,0 +1,131 @@
+import { POLL_MAX_OPTIONS } from '../config';
+import { translate } from '../i18n';
+import { optionKey } from './pollMerge';
+import { getPollType } from './pollTypes';
+
+// State and validation of the create / edit poll form.
+
+export const QUESTION_MAX_LENGTH = 200;
+export const OPTION_MAX_LENGTH = 100;
+
+// Initial state of the create form
+export const createEmptyPoll = () => ({
+  question: '',
+  options: [{ voteOption: '', voteCount: 0 }, { voteOption: '', voteCount: 0 }],
+  type: 'single',
+  maxChoices: 2,
+  internal: false,
+  visibility: 'anonymous', // 'anonymous' | 'public'
+  startsAt: '',
+  endsAt: '',
+  // How many people are expected to vote, for the turnout in the analytics
+  targetAudience: ''
+});
+
+// The edit form for an existing poll. Options remember which option of the
+// loaded poll they are (`baseKey`) so concurrent edits can be merged.
+export const toEditForm = (poll) => ({
+  ...createEmptyPoll(),
+  question: poll.question,
+  options: poll.options.map((option, index) => ({
+    id: option.id,
+    voteOption: option.voteOption,
+    voteCount: option.voteCount || 0,
+    baseKey: optionKey(option, index)
+  }))
+});
+
+// Create form pre-filled from an existing poll (or template): its question,
+// options and settings, but no votes and no schedule
+export const pollToForm = (poll) => ({
+  ...createEmptyPoll(),
+  question: poll.question,
+  options: poll.options.map(option => ({ voteOption: option.voteOption, voteCount: 0 })),
+  type: getPollType(poll),
+  maxChoices: poll.maxChoices ?? 2,
+  internal: Boolean(poll.internal),
+  visibility: poll.visibility === 'public' ? 'public' : 'anonymous',
+  targetAudience: poll.targetAudience ? String(poll.targetAudience) : ''
+});
+
+// Nothing typed yet, so there is no draft worth keeping
+export const isBlankForm = (form) =>
+  !form.question.trim() && form.options.every(option => !option.voteOption.trim());
+
+// One option per non-empty line of pasted text. List markers ("-", "*", "1.",
+// "2)") are dropped so bulleted and numbered lists paste cleanly.
+export const splitPastedOptions = (text) =>
+  text
+    .split(/\r?\n/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .filter(Boolean);
+
+const normalize = (text) => text.trim().toLowerCase();
+
+// Returns the form's errors as { question, options: [per option], optionList,
+// maxChoices, schedule, targetAudience }, each a message or undefined. Errors about missing
+// input are only reported with `showRequired`, so a fresh form is not all red.
+// Edit forms skip the fields that cannot be edited. Messages come from `t`.
+export const validatePollForm = (form, {
+  showRequired = true,
+  isEditing = false,
+  maxOptions = POLL_MAX_OPTIONS,
+  now = Date.now(),
+  t = translate
+} = {}) => {
+  const errors = { options: [] };
+
+  if (form.question.trim().length > QUESTION_MAX_LENGTH) {
+    errors.question = t('form.error.questionTooLong', { max: QUESTION_MAX_LENGTH });
+  } else if (showRequired && !form.question.trim()) {
+    errors.question = t('form.error.questionRequired');
+  }
+
+  const seen = new Map();
+  form.options.forEach((option, index) => {
+    const text = normalize(option.voteOption);
+    if (option.voteOption.trim().length > OPTION_MAX_LENGTH) {
+      errors.options[index] = t('form.error.optionTooLong', { max: OPTION_MAX_LENGTH });
+    } else if (text && seen.has(text)) {
+      errors.options[index] = t('form.error.optionDuplicate', { number: seen.get(text) + 1 });
+    } else if (!text && option.voteCount > 0) {
+      errors.options[index] = t('form.error.optionWithVotesEmpty');
+    }
+    if (text && !seen.has(text)) seen.set(text, index);
+  });
+
+  const filled = form.options.filter(option => option.voteOption.trim()).length;
+  if (filled > maxOptions) {
+    errors.optionList = t('form.error.tooManyOptions', { count: maxOptions });
+  } else if (showRequired && filled < 2) {
+    errors.optionList = t('form.error.tooFewOptions', { count: 2 });
+  }
+
+  if (isEditing) return errors;
+
+  // Checked once the options are there, the range depends on them
+  const maxChoices = Number(form.maxChoices);
+  if (form.type === 'multi' && (showRequired || filled >= 2) && !(maxChoices >= 1 && maxChoices <= Math.max(filled, 1))) {
+    errors.maxChoices = t('form.error.maxChoicesRange', { max: Math.max(filled, 1) });
+  }
+
+  // datetime-local values are in the user's timezone
+  const startsAt = form.startsAt ? new Date(form.startsAt) : null;
+  const endsAt = form.endsAt ? new Date(form.endsAt) : null;
+  if (endsAt && endsAt.getTime() <= now) {
+    errors.schedule = t('form.error.endInPast');
+  } else if (startsAt && endsAt && endsAt <= startsAt) {
+    errors.schedule = t('form.error.endBeforeStart');
+  }
+
+  const targetAudience = String(form.targetAudience ?? '').trim();
+  if (targetAudience && !(Number.isInteger(Number(targetAudience)) && Number(targetAudience) >= 1)) {
+    errors.targetAudience = t('form.error.targetAudience');
+  }
+
+  return errors;
+};
+
+export const hasFormErrors = (errors) =>
+  Boolean(errors.question || errors.optionList || errors.maxChoices || errors.schedule || errors.targetAudience) ||
+  errors.options.some(Boolean);
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { QUESTION_MAX_LENGTH, createEmptyPoll, hasFormErrors, splitPastedOptions, validatePollForm } from './pollForm';
+
+const form = (changes = {}) => ({
+  ...createEmptyPoll(),
+  question: 'Tea or coffee?',
+  options: [{ voteOption: 'Tea', voteCount: 0 }, { voteOption: 'Coffee', voteCount: 0 }],
+  ...changes
+});
+
+const options = (...texts) => texts.map(voteOption => ({ voteOption, voteCount: 0 }));
+
+describe('validatePollForm', () => {
+  it('accepts a complete form', () => {
+    expect(hasFormErrors(validatePollForm(form()))).toBe(false);
+  });
+
+  it('only reports missing input with showRequired', () => {
+    const empty = createEmptyPoll();
+    expect(hasFormErrors(validatePollForm(empty, { showRequired: false }))).toBe(false);
+
+    const errors = validatePollForm(empty);
+    expect(errors.question).toBe('Poll question is required');
+    expect(errors.optionList).toBe('At least 2 options are required');
+  });
+
+  it('limits the length of the question and the options', () => {
+    const errors = validatePollForm(form({
+      question: 'x'.repeat(QUESTION_MAX_LENGTH + 1),
+      options: options('Tea', 'y'.repeat(101))
+    }), { showRequired: false });
+    expect(errors.question).toBe('Keep the question under 200 characters');
+    expect(errors.options[1]).toBe('Keep options under 100 characters');
+  });
+
+  it('flags duplicate options, ignoring case and spaces', () => {
+    const errors = validatePollForm(form({ options: options('Tea', 'Coffee', ' tea ') }));
+    expect(errors.options).toEqual([undefined, undefined, 'Same as option 1']);
+  });
+
+  it('does not count blank options', () => {
+    expect(validatePollForm(form({ options: options('Tea', '', '  ') })).optionList).toBeDefined();
+    expect(hasFormErrors(validatePollForm(form({ options: options('Tea', '', 'Coffee') })))).toBe(false);
+  });
+
+  it('limits the number of options', () => {
+    const errors = validatePollForm(form({ options: options('A', 'B', 'C') }), { maxOptions: 2 });
+    expect(errors.optionList).toBe('A poll can have at most 2 options');
+  });
+
+  it('keeps max choices within the number of options', () => {
+    expect(validatePollForm(form({ type: 'multi', maxChoices: 3 })).maxChoices).toBe('Max choices must be between 1 and 2');
+    expect(validatePollForm(form({ type: 'multi', maxChoices: 2 })).maxChoices).toBeUndefined();
+  });
+
+  it('checks the schedule', () => {
+    const now = new Date('2024-05-01T12:00').getTime();
+    expect(validatePollForm(form({ endsAt: '2024-05-01T11:00' }), { now }).schedule).toBe('The end time must be in the future');
+    expect(validatePollForm(form({ startsAt: '2024-05-03T10:00', endsAt: '2024-05-02T10:00' }), { now }).schedule)
+      .toBe('The end time must be after the start time');
+  });
+
+  it('takes an optional whole number as the target audience', () => {
+    expect(validatePollForm(form({ targetAudience: '' })).targetAudience).toBeUndefined();
+    expect(validatePollForm(form({ targetAudience: '40' })).targetAudience).toBeUndefined();
+    expect(validatePollForm(form({ targetAudience: '0' })).targetAudience).toBe('Enter a whole number of people, at least 1');
+    expect(hasFormErrors(validatePollForm(form({ targetAudience: '2.5' })))).toBe(true);
+  });
+
+  it('skips the fields of the create form when editing', () => {
+    const errors = validatePollForm(form({ type: 'multi', maxChoices: 9, endsAt: '2000-01-01T00:00' }), { isEditing: true });
+    expect(hasFormErrors(errors)).toBe(false);
+  });
+
+  it('does not allow emptying an option that has votes', () => {
+    const errors = validatePollForm(form({ options: [{ voteOption: '', voteCount: 2 }, ...options('Tea', 'Coffee')] }), { isEditing: true });
+    expect(errors.options[0]).toBe('Options with votes cannot be left empty');
+  });
+});
+
+describe('splitPastedOptions', () => {
+  it('drops blank lines and list markers', () => {
+    expect(splitPastedOptions('- Tea\n\n* Coffee\r\n1. Juice\n2) Water\n')).toEqual(['Tea', 'Coffee', 'Juice', 'Water']);
+  });
+});
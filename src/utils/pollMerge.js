@@ -0,0 +1,78 @@
+import { translate } from '../i18n';
+
+// Three-way merge of poll edits, used when someone else saved the poll while
+// we were editing it. `base` is the poll as it was when editing started,
+// `mine` the edited form and `theirs` the poll now on the server.
+//
+// Options are matched by `id` when the backend sends one, otherwise by their
+// position in `base`. Edited options in `mine` carry that identity as `baseKey`;
+// options added in the form have none.
+
+export const optionKey = (option, index) => option.id ?? index;
+
+// Changed on one side only -> take that side. Changed on both sides to
+// different values -> conflict, the caller decides.
+const pick = (base, mine, theirs) => {
+  if (mine === base || mine === theirs) return { value: theirs, conflict: false };
+  if (theirs === base) return { value: mine, conflict: false };
+  return { value: mine, conflict: true };
+};
+
+// Returns { poll, conflicts }: the merged question and options (with the
+// counts from `theirs`) and a list of conflict descriptions, worded by `t`.
+// Merged options carry their `baseKey` in `theirs`, so the result can go
+// straight back into the edit form with `theirs` as the new base.
+export const mergePollEdits = (base, mine, theirs, { t = translate } = {}) => {
+  const conflicts = [];
+
+  const question = pick(base.question, mine.question, theirs.question);
+  if (question.conflict) conflicts.push(t('merge.conflict.question'));
+
+  const baseByKey = new Map(base.options.map((option, index) => [optionKey(option, index), option]));
+  const mineByKey = new Map(mine.options.filter(option => option.baseKey !== undefined).map(option => [option.baseKey, option]));
+  const theirKeys = new Set(theirs.options.map(optionKey));
+
+  const options = [];
+  theirs.options.forEach((theirOption, index) => {
+    const key = optionKey(theirOption, index);
+    const baseOption = baseByKey.get(key);
+    if (!baseOption) {
+      // Added by them
+      options.push({ ...theirOption, baseKey: key });
+      return;
+    }
+
+    const myOption = mineByKey.get(key);
+    if (!myOption) {
+      // Removed by me; keep it if it was edited or got votes in the meantime
+      if (theirOption.voteOption !== baseOption.voteOption) {
+        conflicts.push(t('merge.conflict.editedRemoved', { option: theirOption.voteOption }));
+        options.push({ ...theirOption, baseKey: key });
+      } else if ((theirOption.voteCount || 0) > (baseOption.voteCount || 0)) {
+        conflicts.push(t('merge.conflict.votedRemoved', { option: theirOption.voteOption }));
+        options.push({ ...theirOption, baseKey: key });
+      }
+      return;
+    }
+
+    const text = pick(baseOption.voteOption, myOption.voteOption, theirOption.voteOption);
+    if (text.conflict) conflicts.push(t('merge.conflict.option', { option: baseOption.voteOption }));
+    options.push({ ...theirOption, voteOption: text.value, baseKey: key });
+  });
+
+  // Removed by them but edited by me
+  base.options.forEach((baseOption, index) => {
+    const key = optionKey(baseOption, index);
+    const myOption = mineByKey.get(key);
+    if (!theirKeys.has(key) && myOption && myOption.voteOption !== baseOption.voteOption) {
+      conflicts.push(t('merge.conflict.removedEdited', { option: baseOption.voteOption }));
+    }
+  });
+
+  // Added by me
+  mine.options
+    .filter(option => option.baseKey === undefined)
+    .forEach(option => options.push({ voteOption: option.voteOption, voteCount: 0 }));
+
+  return { poll: { ...theirs, question: question.value, options }, conflicts };
+};
@@ -0,0 +1,102 @@
+import { getTotalVotes } from './results';
+import { getPollStatus } from './pollStatus';
+
+// Search, filter, sort and paging of the poll grid. The query lives in the
+// URL (?q=lunch&status=open&sort=votes&page=2) so filtered views can be shared.
+
+export const PAGE_SIZE = 12;
+
+// Labels are the `sort.<id>` messages. `field` is what a paging backend gets
+// as `sort`, in Spring's `property,direction` form.
+export const SORT_OPTIONS = [
+  { id: 'newest', field: 'createdAt,desc' },
+  { id: 'votes', field: 'totalVotes,desc' },
+  { id: 'closing', field: 'endsAt,asc' },
+];
+
+export const toServerSort = (sort) => SORT_OPTIONS.find(option => option.id === sort)?.field ?? '';
+
+export const DEFAULT_QUERY = {
+  q: '',
+  voted: 'all', // 'all' | 'voted' | 'not-voted'
+  status: 'all', // 'all' | 'open' | 'closed'
+  mine: false,
+  sort: 'newest',
+  page: 1
+};
+
+export const parseQuery = (searchParams) => ({
+  q: searchParams.get('q') || DEFAULT_QUERY.q,
+  voted: ['voted', 'not-voted'].includes(searchParams.get('voted')) ? searchParams.get('voted') : DEFAULT_QUERY.voted,
+  status: ['open', 'closed'].includes(searchParams.get('status')) ? searchParams.get('status') : DEFAULT_QUERY.status,
+  mine: searchParams.get('mine') === '1',
+  sort: SORT_OPTIONS.some(option => option.id === searchParams.get('sort')) ? searchParams.get('sort') : DEFAULT_QUERY.sort,
+  page: Math.max(1, parseInt(searchParams.get('page'), 10) || DEFAULT_QUERY.page)
+});
+
+// Only non-default values end up in the URL
+export const toSearchParams = (query) => {
+  const params = new URLSearchParams();
+  if (query.q) params.set('q', query.q);
+  if (query.voted !== DEFAULT_QUERY.voted) params.set('voted', query.voted);
+  if (query.status !== DEFAULT_QUERY.status) params.set('status', query.status);
+  if (query.mine) params.set('mine', '1');
+  if (query.sort !== DEFAULT_QUERY.sort) params.set('sort', query.sort);
+  if (query.page > 1) params.set('page', String(query.page));
+  return params;
+};
+
+// Case-insensitive match on the question and the option texts. Every word of
+// the search has to appear somewhere.
+export const matchesSearch = (poll, q) => {
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const text = [poll.question, ...poll.options.map(option => option.voteOption)].join(' ').toLowerCase();
+  return words.every(word => text.includes(word));
+};
+
+// Voted and "mine" depend on this device, and the status on the clock, so the
+// server cannot page a list filtered by them
+export const hasClientFilters = (query) =>
+  query.voted !== DEFAULT_QUERY.voted || query.status !== DEFAULT_QUERY.status || query.mine;
+
+export const filterPolls = (polls, query, { votedPolls = {}, ownedPolls = {}, userId = null, now = Date.now() } = {}) =>
+  polls.filter(poll => {
+    if (!matchesSearch(poll, query.q)) return false;
+    if (query.voted === 'voted' && !votedPolls[poll.id]) return false;
+    if (query.voted === 'not-voted' && votedPolls[poll.id]) return false;
+    const isMine = ownedPolls[poll.id] || poll.pending || (userId !== null && poll.createdBy?.id === userId);
+    if (query.mine && !isMine) return false;
+
+    const status = getPollStatus(poll, now);
+    if (query.status === 'open' && status === 'closed') return false;
+    if (query.status === 'closed' && status !== 'closed') return false;
+    return true;
+  });
+
+const createdTime = (poll) => (poll.createdAt ? new Date(poll.createdAt).getTime() : null);
+
+// Newest first by `createdAt`, or by numeric id for backends without timestamps.
+// Polls still waiting in the offline outbox are the newest of all.
+const compareNewest = (a, b) => {
+  if (Boolean(a.pending) !== Boolean(b.pending)) return a.pending ? -1 : 1;
+  const timeA = createdTime(a);
+  const timeB = createdTime(b);
+  if (timeA !== null && timeB !== null) return timeB - timeA;
+  return (Number(b.id) || 0) - (Number(a.id) || 0);
+};
+
+// Polls ending soonest first, polls without an end (or already closed) last
+const compareClosing = (now) => (a, b) => {
+  const endA = a.endsAt && getPollStatus(a, now) !== 'closed' ? new Date(a.endsAt).getTime() : Infinity;
+  const endB = b.endsAt && getPollStatus(b, now) !== 'closed' ? new Date(b.endsAt).getTime() : Infinity;
+  if (endA === endB) return 0;
+  return endA < endB ? -1 : 1;
+};
+
+export const sortPolls = (polls, sort, now = Date.now()) => {
+  const sorted = [...polls];
+  if (sort === 'votes') return sorted.sort((a, b) => getTotalVotes(b) - getTotalVotes(a));
+  if (sort === 'closing') return sorted.sort(compareClosing(now));
+  return sorted.sort(compareNewest);
+};
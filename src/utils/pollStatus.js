@@ -0,0 +1,45 @@
+import { translate } from '../i18n';
+
+// Poll lifecycle. A poll may carry optional `startsAt` / `endsAt` ISO timestamps
+// and a `closed` flag set by the backend when the owner closes it early.
+
+export const getPollStatus = (poll, now = Date.now()) => {
+  if (poll.closed) return 'closed';
+  if (poll.endsAt && new Date(poll.endsAt).getTime() <= now) return 'closed';
+  if (poll.startsAt && new Date(poll.startsAt).getTime() > now) return 'scheduled';
+  return 'open';
+};
+
+// The poll still has a start or end ahead of it, i.e. a countdown to show.
+// Closed polls and times that have passed need no ticking clock.
+export const hasCountdown = (poll, now = Date.now()) =>
+  !poll.closed && [poll.startsAt, poll.endsAt].some(time => time && new Date(time).getTime() > now);
+
+// "2d 4h", "3h 12m", "4m 05s", "12s" in English, `t` gives the localized units
+export const formatCountdown = (ms, t = translate) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return t('countdown.days', { days, hours });
+  if (hours > 0) return t('countdown.hours', { hours, minutes });
+  if (minutes > 0) return t('countdown.minutes', { minutes, seconds: String(seconds).padStart(2, '0') });
+  return t('countdown.seconds', { seconds });
+};
+
+// Text for the card badge, e.g. "Opens in 3h 12m", "Closes in 4m 05s", "Closed"
+export const getCountdownLabel = (poll, now = Date.now(), t = translate) => {
+  const status = getPollStatus(poll, now);
+  if (status === 'closed') return t('countdown.closed');
+  if (status === 'scheduled') return t('countdown.opensIn', { time: formatCountdown(new Date(poll.startsAt).getTime() - now, t) });
+  if (poll.endsAt) return t('countdown.closesIn', { time: formatCountdown(new Date(poll.endsAt).getTime() - now, t) });
+  return null;
+};
+
+// Sort weight for the grid: open polls first, then scheduled ones, closed ones last
+const STATUS_ORDER = { open: 0, scheduled: 1, closed: 2 };
+
+export const compareByStatus = (a, b, now = Date.now()) =>
+  STATUS_ORDER[getPollStatus(a, now)] - STATUS_ORDER[getPollStatus(b, now)];
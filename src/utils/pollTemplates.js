@@ -0,0 +1,86 @@
+import { POLL_TYPES } from './pollTypes';
+import { pollToForm } from './pollForm';
+import { translate } from '../i18n';
+
+// Poll templates: { id, name, poll: { question, options: [text], type?, maxChoices?, visibility? } }.
+// Built-in presets ship with the app, saved templates live in localStorage
+// (see storage/pollTemplates) and move between browsers as JSON files.
+
+// Built-in presets. Their name, question and options are catalog messages
+// under `templates.builtin.<id>.` (`option1`, `option2`, ... for the options).
+const BUILT_IN_TEMPLATES = [
+  { id: 'lunch', options: 4 },
+  { id: 'yesNoAbstain', options: 3 },
+  { id: 'retro', options: 4, poll: { type: 'rating' } },
+  { id: 'meetingTime', options: 4, poll: { type: 'multi', maxChoices: 4 } },
+  { id: 'priorities', options: 3, poll: { type: 'ranked' } },
+];
+
+// The built-in presets worded by `t`
+export const getBuiltInTemplates = (t = translate) => BUILT_IN_TEMPLATES.map(({ id, options, poll }) => {
+  const message = (name) => t(`templates.builtin.${id}.${name}`);
+  return {
+    id: `builtin-${id}`,
+    name: message('name'),
+    poll: {
+      question: message('question'),
+      options: Array.from({ length: options }, (_, index) => message(`option${index + 1}`)),
+      ...poll
+    }
+  };
+});
+
+export const createTemplateId = () => `template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const templateToForm = (template) =>
+  pollToForm({ ...template.poll, options: template.poll.options.map(voteOption => ({ voteOption })) });
+
+// Template from the create form, only the filled-in options are kept
+export const formToTemplate = (form, name) => ({
+  id: createTemplateId(),
+  name: name.trim(),
+  poll: {
+    question: form.question.trim(),
+    options: form.options.map(option => option.voteOption.trim()).filter(Boolean),
+    type: form.type,
+    ...(form.type === 'multi' && { maxChoices: Number(form.maxChoices) }),
+    ...(form.visibility === 'public' && { visibility: 'public' })
+  }
+});
+
+export const templatesToJson = (templates) =>
+  JSON.stringify({ version: 1, templates: templates.map(({ name, poll }) => ({ name, poll })) }, null, 2);
+
+// Parses an exported file (or a bare array of templates). Throws an Error
+// saying what is wrong (worded by `t`), imported templates get fresh ids.
+export const parseTemplatesJson = (text, t = translate) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('templates.error.invalidJson'));
+  }
+
+  const list = Array.isArray(data) ? data : data?.templates;
+  if (!Array.isArray(list)) throw new Error(t('templates.error.noTemplates'));
+
+  return list.map((template, index) => {
+    const poll = template?.poll;
+    const options = Array.isArray(poll?.options) ? poll.options.filter(option => typeof option === 'string' && option.trim()) : [];
+    if (typeof template?.name !== 'string' || !template.name.trim() || typeof poll?.question !== 'string' || options.length < 2) {
+      throw new Error(t('templates.error.incomplete', { number: index + 1 }));
+    }
+    const type = POLL_TYPES.some(pollType => pollType.id === poll.type) ? poll.type : 'single';
+    return {
+      id: createTemplateId(),
+      name: template.name.trim(),
+      poll: {
+        question: poll.question,
+        options,
+        type,
+        ...(type === 'multi' && Number(poll.maxChoices) > 0 && { maxChoices: Number(poll.maxChoices) }),
+        ...(poll.visibility === 'public' && { visibility: 'public' })
+      }
+    };
+  });
+};
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { getBuiltInTemplates } from './pollTemplates';
+import { createTranslator } from '../i18n';
+import en from '../i18n/locales/en';
+import de from '../i18n/locales/de';
+import ar from '../i18n/locales/ar';
+
+describe('getBuiltInTemplates', () => {
+  it('words the presets in the given language', () => {
+    const lunch = getBuiltInTemplates(createTranslator('de'))[0];
+
+    expect(lunch).toEqual({
+      id: 'builtin-lunch',
+      name: 'Wohin zum Mittagessen?',
+      poll: { question: 'Wo sollen wir zu Mittag essen?', options: ['Pizza', 'Sushi', 'Burger', 'Salatbar'] }
+    });
+  });
+
+  it('has every message in every catalog', () => {
+    const builtInKeys = (catalog) => Object.keys(catalog).filter(key => key.startsWith('templates.builtin.'));
+
+    expect(builtInKeys(en)).toHaveLength(getBuiltInTemplates().reduce((sum, { poll }) => sum + 2 + poll.options.length, 0));
+    expect(builtInKeys(de)).toEqual(builtInKeys(en));
+    expect(builtInKeys(ar)).toEqual(builtInKeys(en));
+  });
+});
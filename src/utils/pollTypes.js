@@ -0,0 +1,98 @@
+// Poll types and their result computations.
+//
+//   single  one option                       vote body: { optionIndex }
+//   multi   up to `maxChoices` options       vote body: { optionIndexes: [..] }
+//   ranked  all options in preference order  vote body: { ranking: [..] }
+//   rating  every option rated 1-5           vote body: { ratings: [..] }
+//
+// Polls without a `type` are single-choice polls.
+
+// Labels are the `pollType.<id>` messages
+export const POLL_TYPES = [
+  { id: 'single' },
+  { id: 'multi' },
+  { id: 'ranked' },
+  { id: 'rating' },
+];
+
+export const RATING_SCALE = [1, 2, 3, 4, 5];
+
+export const getPollType = (poll) => poll.type || 'single';
+
+// Body fields for a vote, `choice` is an option index for single-choice polls
+// and { optionIndexes } / { ranking } / { ratings } for the other types
+export const toVoteFields = (choice) =>
+  typeof choice === 'number' ? { optionIndex: choice } : choice;
+
+// Option indexes a vote counts for, used to update counts optimistically.
+// Ranked votes count for their first preference.
+export const getChosenIndexes = (choice) => {
+  if (typeof choice === 'number') return [choice];
+  if (choice?.optionIndexes) return choice.optionIndexes;
+  if (choice?.ranking) return choice.ranking.slice(0, 1);
+  if (choice?.ratings) return choice.ratings.map((_, index) => index);
+  return [];
+};
+
+// Average rating of an option. The backend may send either the distribution
+// (`ratingCounts`, five counts for ratings 1 to 5) or `ratingSum` + `voteCount`.
+export const getRatingSummary = (option) => {
+  if (Array.isArray(option.ratingCounts)) {
+    const count = option.ratingCounts.reduce((sum, n) => sum + n, 0);
+    const sum = option.ratingCounts.reduce((total, n, index) => total + n * RATING_SCALE[index], 0);
+    return { count, average: count > 0 ? sum / count : 0, distribution: option.ratingCounts };
+  }
+  if (typeof option.ratingSum === 'number') {
+    const count = option.voteCount || 0;
+    return { count, average: count > 0 ? option.ratingSum / count : 0, distribution: null };
+  }
+  return { count: 0, average: 0, distribution: null };
+};
+
+// Instant-runoff count over ranked ballots (arrays of option indexes, most
+// preferred first). Each round counts every ballot for its highest-ranked
+// remaining option. An option with more than half of the non-exhausted ballots
+// wins; otherwise the option(s) with the fewest votes are eliminated together.
+//
+// Returns { rounds: [{ counts, exhausted, eliminated, winner }], winner }, where
+// winner is null when no ballots are left or the last options tie.
+export const computeInstantRunoff = (optionCount, ballots) => {
+  let remaining = Array.from({ length: optionCount }, (_, index) => index);
+  const rounds = [];
+
+  while (remaining.length > 0) {
+    const counts = Object.fromEntries(remaining.map(index => [index, 0]));
+    let exhausted = 0;
+
+    ballots.forEach(ballot => {
+      const top = ballot.find(index => remaining.includes(index));
+      if (top === undefined) {
+        exhausted += 1;
+      } else {
+        counts[top] += 1;
+      }
+    });
+
+    const active = ballots.length - exhausted;
+    const leader = remaining.reduce((best, index) => (counts[index] > counts[best] ? index : best));
+
+    if (active > 0 && (counts[leader] * 2 > active || remaining.length === 1)) {
+      rounds.push({ counts, exhausted, eliminated: [], winner: leader });
+      return { rounds, winner: leader };
+    }
+
+    const fewest = Math.min(...remaining.map(index => counts[index]));
+    const eliminated = remaining.filter(index => counts[index] === fewest);
+
+    // Everyone left is tied (or nobody has votes): no winner
+    if (active === 0 || eliminated.length === remaining.length) {
+      rounds.push({ counts, exhausted, eliminated: [], winner: null });
+      return { rounds, winner: null };
+    }
+
+    rounds.push({ counts, exhausted, eliminated, winner: null });
+    remaining = remaining.filter(index => !eliminated.includes(index));
+  }
+
+  return { rounds, winner: null };
+};
@@ -0,0 +1,181 @@
+// Pure helpers for computing and exporting poll results.
+import { computeInstantRunoff, getPollType, getRatingSummary } from './pollTypes';
+
+// Number of voters, what cards show as "N votes". Backends may send it as
+// `voterCount`. Otherwise it comes from the counts: each ranked ballot has one
+// first preference and every rating voter rates every option. Multiple choice
+// polls without `voterCount` can only count the selections.
+export const getTotalVotes = (poll) => {
+  if (typeof poll.voterCount === 'number') return poll.voterCount;
+  const type = getPollType(poll);
+  if (type === 'ranked' && Array.isArray(poll.ballots)) return poll.ballots.length;
+  if (type === 'rating') {
+    return Math.max(0, ...poll.options.map(option => getRatingSummary(option).count || option.voteCount || 0));
+  }
+  return poll.options.reduce((total, option) => total + option.voteCount, 0);
+};
+
+// Percentages with one decimal that always add up to exactly 100 (or are all 0).
+// Uses the largest remainder method: every option gets its rounded-down share,
+// then the leftover tenths go to the options with the largest remainders.
+export const getVotePercentages = (options) => {
+  const total = options.reduce((sum, option) => sum + option.voteCount, 0);
+  if (total === 0) return options.map(() => 0);
+
+  const SCALE = 1000; // tenths of a percent
+  const shares = options.map((option, index) => {
+    const exact = (option.voteCount / total) * SCALE;
+    return { index, floor: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = SCALE - shares.reduce((sum, share) => sum + share.floor, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(share => {
+      if (leftover > 0) {
+        share.floor += 1;
+        leftover -= 1;
+      }
+    });
+
+  return shares.map(share => share.floor / 10);
+};
+
+// Single and multiple choice polls: [{ index, voteOption, voteCount, percentage }],
+// optionally sorted by votes (ties keep poll order)
+export const getResultRows = (poll, { sortByVotes = false } = {}) => {
+  const percentages = getVotePercentages(poll.options);
+  const rows = poll.options.map((option, index) => ({
+    index,
+    voteOption: option.voteOption,
+    voteCount: option.voteCount,
+    percentage: percentages[index]
+  }));
+  return sortByVotes ? [...rows].sort((a, b) => b.voteCount - a.voteCount || a.index - b.index) : rows;
+};
+
+// Rating polls: [{ index, voteOption, count, average, distribution }], see
+// getRatingSummary. Optionally best rated first (ties keep poll order).
+export const getRatingRows = (poll, { sortByRating = false } = {}) => {
+  const rows = poll.options.map((option, index) => ({ index, voteOption: option.voteOption, ...getRatingSummary(option) }));
+  return sortByRating ? [...rows].sort((a, b) => b.average - a.average || a.index - b.index) : rows;
+};
+
+// Ranked polls: the instant-runoff count over `poll.ballots` (null without
+// them) and, per option, its first preferences and its votes in the last round
+// it took part in. `winner` is an option index, null on a tie or without ballots.
+export const getRankedResults = (poll) => {
+  if (!Array.isArray(poll.ballots)) {
+    return {
+      runoff: null,
+      winner: null,
+      rows: poll.options.map((option, index) => ({
+        index, voteOption: option.voteOption, firstPreferences: option.voteCount, lastRound: null, lastRoundVotes: null
+      }))
+    };
+  }
+  const runoff = computeInstantRunoff(poll.options.length, poll.ballots);
+  const rows = poll.options.map((option, index) => {
+    const last = runoff.rounds.findLastIndex(round => index in round.counts);
+    return {
+      index,
+      voteOption: option.voteOption,
+      firstPreferences: runoff.rounds[0].counts[index],
+      lastRound: last + 1,
+      lastRoundVotes: runoff.rounds[last].counts[index]
+    };
+  });
+  return { runoff, winner: runoff.winner, rows };
+};
+
+const roundAverage = (average) => Math.round(average * 100) / 100;
+
+// Poll texts are user-written, and spreadsheets run a cell starting with
+// = + - @ (or a tab or carriage return) as a formula. Those get a leading quote.
+const csvCell = (value) => {
+  const isFormula = typeof value === 'string' && /^[=+\-@\t\r]/.test(value);
+  const text = isFormula ? `'${value}` : String(value);
+  return isFormula || /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Columns and rows (without the question) of an export, by poll type
+const exportTable = (poll) => {
+  const type = getPollType(poll);
+  if (type === 'rating') {
+    return {
+      header: ['Option', 'Ratings', 'Average rating'],
+      rows: getRatingRows(poll).map(row => [row.voteOption, row.count, roundAverage(row.average)])
+    };
+  }
+  if (type === 'ranked') {
+    const { rows, winner } = getRankedResults(poll);
+    return {
+      header: ['Option', 'First preferences', 'Last round', 'Votes in last round', 'Winner'],
+      rows: rows.map(row => [row.voteOption, row.firstPreferences, row.lastRound ?? '', row.lastRoundVotes ?? '', row.index === winner ? 'yes' : ''])
+    };
+  }
+  return {
+    header: ['Option', 'Votes', 'Percentage'],
+    rows: getResultRows(poll).map(row => [row.voteOption, row.voteCount, row.percentage])
+  };
+};
+
+export const resultsToCsv = (poll) => {
+  const { header, rows } = exportTable(poll);
+  return [['Poll', ...header], ...rows.map(row => [poll.question, ...row])]
+    .map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const jsonOptions = (poll) => {
+  const type = getPollType(poll);
+  if (type === 'rating') {
+    return { options: getRatingRows(poll).map(row => ({ option: row.voteOption, ratings: row.count, average: roundAverage(row.average) })) };
+  }
+  if (type === 'ranked') {
+    const { rows, winner } = getRankedResults(poll);
+    return {
+      winner: winner === null ? null : poll.options[winner].voteOption,
+      options: rows.map(row => ({
+        option: row.voteOption,
+        firstPreferences: row.firstPreferences,
+        lastRound: row.lastRound,
+        lastRoundVotes: row.lastRoundVotes
+      }))
+    };
+  }
+  return {
+    options: getResultRows(poll).map(row => ({
+      option: row.voteOption,
+      votes: row.voteCount,
+      percentage: row.percentage
+    }))
+  };
+};
+
+export const resultsToJson = (poll) => JSON.stringify({
+  id: poll.id,
+  question: poll.question,
+  type: getPollType(poll),
+  totalVotes: getTotalVotes(poll),
+  exportedAt: new Date().toISOString(),
+  ...jsonOptions(poll)
+}, null, 2);
+
+// File name safe version of the poll question
+export const exportFileName = (poll, extension) => {
+  const slug = poll.question.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50);
+  return `${slug || `poll-${poll.id}`}-results.${extension}`;
+};
+
+// Triggers a download of generated content, nothing leaves the browser
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled, some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
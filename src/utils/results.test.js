@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { getTotalVotes, resultsToCsv, resultsToJson } from './results';
+
+const poll = (question, options) => ({
+  question,
+  options: options.map(([voteOption, voteCount]) => ({ voteOption, voteCount }))
+});
+
+describe('resultsToCsv', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    const csv = resultsToCsv(poll('Lunch, today?', [['Say "hi"', 1], ['Pizza', 1]]));
+    expect(csv.split('\r\n')[1]).toBe('"Lunch, today?","Say ""hi""",1,50');
+  });
+
+  it('keeps spreadsheets from running user texts as formulas', () => {
+    const csv = resultsToCsv(poll('=HYPERLINK("x")', [['+1', 2], ['-', 0], ['@me', 0], ['Fine', 0]]));
+    const [, plus, minus, at, fine] = csv.trim().split('\r\n');
+    expect(plus).toBe(`"'=HYPERLINK(""x"")","'+1",2,100`);
+    expect(minus).toBe(`"'=HYPERLINK(""x"")","'-",0,0`);
+    expect(at.split(',')[1]).toBe(`"'@me"`);
+    expect(fine.split(',').slice(-3)).toEqual(['Fine', '0', '0']);
+  });
+});
+
+describe('results by poll type', () => {
+  const ratingPoll = {
+    question: 'Rate the talks',
+    type: 'rating',
+    options: [
+      { voteOption: 'Keynote', voteCount: 2, ratingCounts: [0, 0, 0, 1, 1] },
+      { voteOption: 'Workshop', voteCount: 2, ratingCounts: [1, 1, 0, 0, 0] }
+    ]
+  };
+  const rankedPoll = {
+    question: 'Where to?',
+    type: 'ranked',
+    options: [{ voteOption: 'Beach', voteCount: 2 }, { voteOption: 'Hills', voteCount: 2 }, { voteOption: 'City', voteCount: 1 }],
+    ballots: [[0, 2, 1], [0, 1, 2], [1, 0, 2], [1, 2, 0], [2, 1, 0]]
+  };
+
+  it('counts voters, not ratings or selections', () => {
+    expect(getTotalVotes(ratingPoll)).toBe(2);
+    expect(getTotalVotes(rankedPoll)).toBe(5);
+    expect(getTotalVotes({ type: 'multi', voterCount: 3, options: [{ voteCount: 3 }, { voteCount: 2 }] })).toBe(3);
+  });
+
+  it('exports average ratings for rating polls', () => {
+    const [header, keynote, workshop] = resultsToCsv(ratingPoll).trim().split('\r\n');
+    expect(header).toBe('Poll,Option,Ratings,Average rating');
+    expect(keynote).toBe('Rate the talks,Keynote,2,4.5');
+    expect(workshop).toBe('Rate the talks,Workshop,2,1.5');
+  });
+
+  it('exports the instant-runoff count for ranked polls', () => {
+    const [header, beach, hills, city] = resultsToCsv(rankedPoll).trim().split('\r\n');
+    expect(header).toBe('Poll,Option,First preferences,Last round,Votes in last round,Winner');
+    // City is out after the first round, its ballot moves on to Hills
+    expect(city).toBe('Where to?,City,1,1,1,');
+    expect(hills).toBe('Where to?,Hills,2,2,3,yes');
+    expect(beach).toBe('Where to?,Beach,2,2,2,');
+    expect(JSON.parse(resultsToJson(rankedPoll))).toMatchObject({ type: 'ranked', totalVotes: 5, winner: 'Hills' });
+  });
+});
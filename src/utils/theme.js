@@ -0,0 +1,30 @@
+// Color themes. 'system' follows the OS setting (prefers-color-scheme),
+// 'light' and 'dark' override it.
+export const THEMES = ['system', 'light', 'dark'];
+
+const darkSchemeQuery = () =>
+  typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+// 'light' or 'dark'
+export const resolveTheme = (theme, prefersDark = Boolean(darkSchemeQuery()?.matches)) => {
+  if (theme === 'light' || theme === 'dark') return theme;
+  return prefersDark ? 'dark' : 'light';
+};
+
+// Puts the `light` / `dark` class on <html>, index.css switches the theme
+// colors on it. Returns the applied theme.
+export const applyTheme = (theme) => {
+  const resolved = resolveTheme(theme);
+  const root = document.documentElement;
+  root.classList.toggle('dark', resolved === 'dark');
+  root.classList.toggle('light', resolved === 'light');
+  return resolved;
+};
+
+// Calls onChange when the OS setting changes. Returns an unsubscribe function.
+export const watchSystemTheme = (onChange) => {
+  const query = darkSchemeQuery();
+  if (!query) return () => {};
+  query.addEventListener('change', onChange);
+  return () => query.removeEventListener('change', onChange);
+};
@@ -0,0 +1,31 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { applyTheme, resolveTheme } from './theme';
+
+afterEach(() => {
+  document.documentElement.className = '';
+});
+
+describe('resolveTheme', () => {
+  it('follows the system unless overridden', () => {
+    expect(resolveTheme('system', true)).toBe('dark');
+    expect(resolveTheme('system', false)).toBe('light');
+    expect(resolveTheme('light', true)).toBe('light');
+    expect(resolveTheme('dark', false)).toBe('dark');
+  });
+});
+
+describe('applyTheme', () => {
+  it('switches the theme class on <html>', () => {
+    expect(applyTheme('dark')).toBe('dark');
+    expect(document.documentElement).toHaveClass('dark');
+
+    applyTheme('light');
+    expect(document.documentElement).toHaveClass('light');
+    expect(document.documentElement).not.toHaveClass('dark');
+  });
+
+  it('uses the light theme where the system preference is unknown', () => {
+    // jsdom has no matchMedia
+    expect(applyTheme('system')).toBe('light');
+  });
+});